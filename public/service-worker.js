@@ -0,0 +1,181 @@
+/* eslint-disable no-restricted-globals */
+// --- Locate service worker ---
+// Keeps the app usable with bad or no signal (say, inside a stadium):
+// - the app shell is cached, and every in-app route falls back to index.html offline;
+// - Ticketmaster searches, event feeds and Places venue lookups from the proxy are network-first, with the
+//   last response served from the cache when offline (stamped with when it was fetched, so the app can
+//   show its age); searches and venue lookups are cached apart, so a page of venues can't push searches out;
+// - event and venue images (Places photos included) are cache-first, and the app can ask for saved events'
+//   images ahead of time;
+// - event reminders are shown from here when the app is closed (see syncReminderSchedule).
+
+const CACHE_VERSION = 'v1';
+const SHELL_CACHE = `locate-shell-${CACHE_VERSION}`;
+const SEARCH_CACHE = `locate-searches-${CACHE_VERSION}`;
+const PLACES_CACHE = `locate-places-${CACHE_VERSION}`;
+const IMAGE_CACHE = `locate-images-${CACHE_VERSION}`;
+const REMINDERS_CACHE = `locate-reminders-${CACHE_VERSION}`;
+const REMINDERS_URL = '/reminders.json';
+
+const SHELL_URLS = ['/', '/index.html', '/manifest.json', '/favicon.ico', '/logo192.png', '/logo512.png'];
+// Lists the build's hashed bundles, which the shell needs to boot.
+const ASSET_MANIFEST_URL = '/asset-manifest.json';
+
+// Oldest entries are dropped past these sizes.
+const MAX_SEARCH_ENTRIES = 60;
+const MAX_PLACES_ENTRIES = 300;
+const MAX_IMAGE_ENTRIES = 200;
+
+// Set on cached API responses to the time they were fetched (ms since epoch).
+const FETCHED_AT_HEADER = 'X-Locate-Fetched-At';
+
+const trimCache = async (cacheName, maxEntries) => {
+  const cache = await caches.open(cacheName);
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map(key => cache.delete(key)));
+};
+
+// Searches and subscribed event feeds, so they still answer offline.
+const isSearchRequest = (url) => /\/api\/(ticketmaster\/|feeds$)/.test(url.pathname);
+
+// Venue lookups. Photos go to the image cache, and city autocomplete is typed live, so it isn't kept at all.
+const isPlacesPhoto = (url) => url.pathname.startsWith('/api/places/photo');
+const isPlacesLookup = (url) => url.pathname.startsWith('/api/places/') && !isPlacesPhoto(url) && !url.pathname.startsWith('/api/places/autocomplete');
+
+// The JS and CSS bundles (not their source maps) from the build's asset manifest. The dev server
+// has no manifest, so there is nothing to add there.
+const bundleUrls = async () => {
+  try {
+    const response = await fetch(ASSET_MANIFEST_URL);
+    if (!response.ok) return [];
+    const { files = {} } = await response.json();
+    return Object.values(files).filter(path => /^\/static\/(js|css)\/.+\.(js|css)$/.test(path));
+  } catch (error) {
+    return [];
+  }
+};
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    Promise.all([caches.open(SHELL_CACHE), bundleUrls()])
+      .then(([cache, bundles]) => cache.addAll([...SHELL_URLS, ...bundles]))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  const current = [SHELL_CACHE, SEARCH_CACHE, PLACES_CACHE, IMAGE_CACHE, REMINDERS_CACHE];
+  event.waitUntil(
+    caches.keys()
+      .then(names => Promise.all(names.filter(name => !current.includes(name)).map(name => caches.delete(name))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// Pages: network first, so a new deploy is picked up straight away; index.html when offline.
+// Only a good page replaces the cached shell, never a 404 or 500.
+const handleNavigation = async (request) => {
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      const cache = await caches.open(SHELL_CACHE);
+      cache.put('/index.html', response.clone());
+    }
+    return response;
+  } catch (error) {
+    return (await caches.match('/index.html')) || Response.error();
+  }
+};
+
+// Build assets have hashed names, so a cached copy is always right; refresh it in the background anyway.
+const handleStaticAsset = async (request) => {
+  const cache = await caches.open(SHELL_CACHE);
+  const cached = await cache.match(request);
+  const network = fetch(request).then(response => {
+    if (response.ok) cache.put(request, response.clone());
+    return response;
+  }).catch(() => cached || Response.error());
+  return cached || network;
+};
+
+const handleApiRequest = async (request, cacheName, maxEntries) => {
+  const cache = await caches.open(cacheName);
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      const headers = new Headers(response.headers);
+      headers.set(FETCHED_AT_HEADER, String(Date.now()));
+      const body = await response.clone().blob();
+      await cache.put(request, new Response(body, { status: response.status, statusText: response.statusText, headers }));
+      trimCache(cacheName, maxEntries);
+    }
+    return response;
+  } catch (error) {
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    throw error;
+  }
+};
+
+const handleImage = async (request) => {
+  const cache = await caches.open(IMAGE_CACHE);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  // Cross-origin images come back opaque (status 0); they still display from the cache.
+  if (response.ok || response.type === 'opaque') {
+    cache.put(request, response.clone());
+    trimCache(IMAGE_CACHE, MAX_IMAGE_ENTRIES);
+  }
+  return response;
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+
+  if (request.mode === 'navigate') event.respondWith(handleNavigation(request));
+  else if (isSearchRequest(url)) event.respondWith(handleApiRequest(request, SEARCH_CACHE, MAX_SEARCH_ENTRIES));
+  else if (isPlacesLookup(url)) event.respondWith(handleApiRequest(request, PLACES_CACHE, MAX_PLACES_ENTRIES));
+  else if (request.destination === 'image' || isPlacesPhoto(url)) event.respondWith(handleImage(request));
+  else if (url.origin === self.location.origin && url.pathname.startsWith('/static/')) event.respondWith(handleStaticAsset(request));
+});
+
+// The app sends { type: 'CACHE_IMAGES', urls } when an event is saved, so it is there offline later.
+self.addEventListener('message', (event) => {
+  if (event.data?.type !== 'CACHE_IMAGES') return;
+  event.waitUntil(Promise.all(event.data.urls.map(url => (
+    handleImage(new Request(url, { mode: 'no-cors' })).catch(() => null)
+  ))));
+});
+
+// The app keeps { alerts, fired } in the reminders cache (see src/reminders.js for the alert shape).
+// Periodic sync wakes the worker now and then while the app is closed; due alerts are shown and
+// recorded as fired, so the app doesn't show them again.
+const showDueReminders = async () => {
+  const cache = await caches.open(REMINDERS_CACHE);
+  const stored = await cache.match(REMINDERS_URL);
+  if (!stored) return;
+  const { alerts = [], fired = [] } = await stored.json();
+  const now = Date.now();
+  const due = alerts.filter(alert => alert.at <= now && now <= alert.until && !fired.includes(alert.tag));
+  if (due.length === 0) return;
+  await Promise.all(due.map(alert => self.registration.showNotification(alert.title, { body: alert.body, tag: alert.tag, data: { url: alert.url } })));
+  const body = JSON.stringify({ alerts, fired: [...fired, ...due.map(alert => alert.tag)] });
+  await cache.put(REMINDERS_URL, new Response(body, { headers: { 'Content-Type': 'application/json' } }));
+};
+
+self.addEventListener('periodicsync', (event) => {
+  if (event.tag === 'locate-reminders') event.waitUntil(showDueReminders());
+});
+
+// Tapping a reminder opens its event, in an open Locate tab if there is one.
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const url = event.notification.data?.url || '/';
+  event.waitUntil(self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(windows => {
+    const open = windows.find(client => new URL(client.url).origin === self.location.origin);
+    return open ? open.navigate(url).then(client => (client || open).focus()) : self.clients.openWindow(url);
+  }));
+});
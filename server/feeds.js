@@ -0,0 +1,165 @@
+// --- Event feeds ---
+// Downloads the iCalendar and JSON event feeds users subscribe to. Most feeds don't send CORS
+// headers, so the browser can't read them itself. Only public http(s) URLs are fetched, with a
+// size and time limit. Every hop, redirects included, is resolved here and each of its addresses
+// checked; the download then connects to the checked address, so a feed can't be used to reach
+// the proxy's own network, whether by a private hostname, a redirect or a DNS answer that changes
+// between the check and the connection.
+
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+// Hostnames that are only meaningful inside the proxy's network.
+const PRIVATE_HOSTNAME = /(^localhost$)|(\.local$)|(\.internal$)|(\.localhost$)/i;
+
+// Address ranges that aren't on the public internet. One list per family: a BlockList also
+// matches IPv4 addresses against IPv6 rules as if they were IPv4-mapped.
+const BLOCKED_IPV4 = new net.BlockList();
+const BLOCKED_IPV6 = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10], // carrier-grade NAT
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16], // link-local, including cloud metadata services
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 3], // multicast and reserved, up to 255.255.255.255
+].forEach(([address, prefix]) => BLOCKED_IPV4.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 127], // unspecified and loopback
+  ['::ffff:0:0', 96], // IPv4-mapped
+  ['64:ff9b::', 96], // NAT64
+  ['fc00::', 7], // unique local
+  ['fe80::', 10], // link-local
+  ['ff00::', 8], // multicast
+].forEach(([address, prefix]) => BLOCKED_IPV6.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Whether an IP address is on the public internet.
+ * @param {string} address
+ */
+function isPublicAddress(address) {
+  if (net.isIPv4(address)) return !BLOCKED_IPV4.check(address, 'ipv4');
+  if (net.isIPv6(address)) return !BLOCKED_IPV6.check(address, 'ipv6');
+  return false;
+}
+
+/**
+ * Whether a feed URL may be fetched: http(s), without credentials in it, and not on a private
+ * hostname or address. Other hostnames are checked when they are resolved.
+ * @param {string} value
+ */
+function isAllowedFeedUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    return false;
+  }
+  if (!['http:', 'https:'].includes(url.protocol) || url.username || url.password) return false;
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  if (PRIVATE_HOSTNAME.test(host)) return false;
+  return net.isIP(host) === 0 || isPublicAddress(host);
+}
+
+// One GET, connected to `target` whatever the hostname resolves to by now. TLS is still checked
+// against the hostname.
+const requestPinned = (url, target, timeoutMs) => new Promise((resolve, reject) => {
+  const transport = url.protocol === 'https:' ? https : http;
+  const request = transport.get(url, {
+    headers: { Accept: 'text/calendar, application/json, text/plain;q=0.8, */*;q=0.5' },
+    lookup: (hostname, options, callback) => (options.all
+      ? callback(null, [target])
+      : callback(null, target.address, target.family)),
+    agent: false,
+    signal: AbortSignal.timeout(timeoutMs),
+  }, resolve);
+  request.on('error', reject);
+});
+
+/**
+ * @param {{ maxBytes?: number, timeoutMs?: number, maxRedirects?: number, lookup?: Function, isAllowedAddress?: Function }} [options]
+ *   `lookup` resolves a hostname like `dns.promises.lookup` with `{ all: true }`; it and
+ *   `isAllowedAddress` are injectable for tests.
+ * @returns {{ fetchFeed: Function }}
+ */
+function createFeedFetcher({
+  maxBytes = 2 * 1024 * 1024,
+  timeoutMs = 10 * 1000,
+  maxRedirects = 5,
+  lookup = dns.promises.lookup,
+  isAllowedAddress = isPublicAddress,
+} = {}) {
+  const fail = (status, reason, message) => ({ status, body: { error: { reason, message } } });
+  const notPublic = () => fail(400, 'bad-request', 'Feeds must be public http or https links.');
+
+  // The address to connect to, or null if the host has any address that isn't allowed, so an
+  // answer mixing public and private addresses is refused too.
+  const resolveTarget = async (hostname) => {
+    const addresses = await lookup(hostname, { all: true, verbatim: true });
+    if (addresses.length === 0 || !addresses.every(({ address }) => isAllowedAddress(address))) return null;
+    return addresses[0];
+  };
+
+  /**
+   * Downloads a feed as text.
+   * @param {string} feedUrl
+   * @returns {Promise<{ status: number, body: Object }>} `body` is `{ contentType, text }`, or
+   *   `{ error: { reason, message } }` like every other proxy error.
+   */
+  async function fetchFeed(feedUrl, redirectsLeft = maxRedirects) {
+    if (!isAllowedFeedUrl(feedUrl)) return notPublic();
+    const url = new URL(feedUrl);
+
+    let target;
+    try {
+      target = await resolveTarget(url.hostname.replace(/^\[|\]$/g, ''));
+    } catch (error) {
+      return fail(502, 'network', `Could not find ${url.host}.`);
+    }
+    if (!target) return notPublic();
+
+    let upstream;
+    try {
+      // Redirects are followed by hand, so every hop is resolved and checked like the first.
+      upstream = await requestPinned(url, target, timeoutMs);
+    } catch (error) {
+      return fail(502, 'network', `Could not reach ${url.host}.`);
+    }
+    const { statusCode: status, headers } = upstream;
+    if (status >= 300 && status < 400 && headers.location) {
+      upstream.resume();
+      if (redirectsLeft === 0) return fail(502, 'server', 'The feed redirects too many times.');
+      return fetchFeed(new URL(headers.location, url).toString(), redirectsLeft - 1);
+    }
+    if (status < 200 || status >= 300) {
+      upstream.resume();
+      return fail(502, 'server', `The feed responded with ${status}.`);
+    }
+
+    const chunks = [];
+    let size = 0;
+    try {
+      for await (const chunk of upstream) {
+        size += chunk.length;
+        if (size > maxBytes) {
+          upstream.destroy();
+          return fail(413, 'server', 'The feed is too big.');
+        }
+        chunks.push(chunk);
+      }
+    } catch (error) {
+      return fail(502, 'network', `The download from ${url.host} was cut off.`);
+    }
+    return { status: 200, body: { contentType: headers['content-type'] || 'text/plain', text: Buffer.concat(chunks).toString('utf8') } };
+  }
+
+  return { fetchFeed: (feedUrl) => fetchFeed(feedUrl) };
+}
+
+module.exports = { createFeedFetcher, isAllowedFeedUrl, isPublicAddress };
@@ -0,0 +1,38 @@
+// --- Recorded fixture responses ---
+// In 'record' mode the proxy saves every JSON response from the upstream APIs; in 'replay' mode it
+// serves those recordings instead of calling out, so the app works offline in development and tests.
+// Requests without a recording fall back to `fixtures/<service>/default.json`.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// FIXTURES_DIR points recordings somewhere else, e.g. a temporary directory in tests.
+const FIXTURES_DIR = process.env.FIXTURES_DIR || path.join(__dirname, 'fixtures');
+
+/**
+ * Builds a stable file name for a request. API keys are never part of the name, and the
+ * query string is sorted so the same search always maps to the same file.
+ */
+function fixturePath(service, upstreamPath, searchParams, body) {
+  const query = [...searchParams].sort(([a], [b]) => a.localeCompare(b)).map(([key, value]) => `${key}=${value}`).join('&');
+  const hash = crypto.createHash('sha1').update(`${upstreamPath}?${query}\n${body || ''}`).digest('hex').slice(0, 16);
+  return path.join(FIXTURES_DIR, service, `${hash}.json`);
+}
+
+/**
+ * @returns {{ status: number, body: Object } | null} The recorded response, or null if there is none.
+ */
+function loadFixture(service, upstreamPath, searchParams, body) {
+  const candidates = [fixturePath(service, upstreamPath, searchParams, body), path.join(FIXTURES_DIR, service, 'default.json')];
+  const file = candidates.find(candidate => fs.existsSync(candidate));
+  return file ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+}
+
+function saveFixture(service, upstreamPath, searchParams, body, response) {
+  const file = fixturePath(service, upstreamPath, searchParams, body);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, `${JSON.stringify({ request: `${upstreamPath}?${searchParams}`, ...response }, null, 2)}\n`);
+}
+
+module.exports = { loadFixture, saveFixture };
@@ -0,0 +1,28 @@
+/**
+ * @jest-environment node
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const fixturesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'locate-fixtures-'));
+process.env.FIXTURES_DIR = fixturesDir;
+const { loadFixture, saveFixture } = require('./fixtures');
+
+afterAll(() => fs.rmSync(fixturesDir, { recursive: true, force: true }));
+
+test('replays a recorded response for the same request, whatever the query order', () => {
+  const response = { status: 200, body: { _embedded: { events: [{ id: 'a' }] } } };
+  saveFixture('ticketmaster', '/events.json', new URLSearchParams('city=Denver&size=50'), undefined, response);
+  expect(loadFixture('ticketmaster', '/events.json', new URLSearchParams('size=50&city=Denver'))).toMatchObject(response);
+  expect(loadFixture('ticketmaster', '/events.json', new URLSearchParams('size=50&city=Boulder'))).toBeNull();
+  // POST bodies are part of the request.
+  saveFixture('gemini', '/models', new URLSearchParams(), '{"prompt":"a"}', { status: 200, body: { text: 'a' } });
+  expect(loadFixture('gemini', '/models', new URLSearchParams(), '{"prompt":"b"}')).toBeNull();
+});
+
+test("falls back to the service's default.json", () => {
+  fs.mkdirSync(path.join(fixturesDir, 'places'), { recursive: true });
+  fs.writeFileSync(path.join(fixturesDir, 'places', 'default.json'), JSON.stringify({ status: 200, body: { status: 'ZERO_RESULTS' } }));
+  expect(loadFixture('places', '/details/json', new URLSearchParams('place_id=x'))).toEqual({ status: 200, body: { status: 'ZERO_RESULTS' } });
+});
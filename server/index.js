@@ -0,0 +1,273 @@
+// --- LocateApp API proxy ---
+// A small Node server that sits between the React app and Ticketmaster, Google Places and Gemini,
+// keeps the votes on shared shortlists (see shortlists.js) and downloads the event feeds users
+// subscribe to (see feeds.js).
+// It keeps the API keys on the server (read from environment variables), normalises upstream
+// errors into `{ error: { reason, message } }`, applies per-client rate limiting and can run
+// entirely from recorded fixtures.
+//
+// Usage:
+//   TICKETMASTER_API_KEY=... GOOGLE_PLACES_API_KEY=... GEMINI_API_KEY=... node server/index.js
+//   PROXY_MODE=replay node server/index.js   # offline, serves server/fixtures
+//   PROXY_MODE=record node server/index.js   # live, and saves every JSON response as a fixture
+//
+// Requires Node 18+ (for the global fetch).
+
+const http = require('http');
+const { createRateLimiter, clientIdFor } = require('./rateLimiter');
+const { loadFixture, saveFixture } = require('./fixtures');
+const { createShortlistStore } = require('./shortlists');
+const { createFeedFetcher } = require('./feeds');
+
+const PORT = Number(process.env.PORT) || 5001;
+const PROXY_MODE = process.env.PROXY_MODE || 'live'; // 'live', 'record' or 'replay'
+const ALLOWED_ORIGIN = process.env.ALLOWED_ORIGIN || '*';
+const RATE_LIMIT_PER_MINUTE = Number(process.env.RATE_LIMIT_PER_MINUTE) || 60;
+// Venue enrichment makes two Places calls per venue on every search, so Places gets its own, larger budget
+// rather than eating into the searches'.
+const PLACES_RATE_LIMIT_PER_MINUTE = Number(process.env.PLACES_RATE_LIMIT_PER_MINUTE) || 600;
+// Set TRUST_PROXY=true behind a reverse proxy, so clients are told apart by X-Forwarded-For.
+const TRUST_PROXY = process.env.TRUST_PROXY === 'true';
+
+// Each service is reachable at /api/<name>/<path>, forwarded to `${baseUrl}/<path>` with the key appended.
+const SERVICES = {
+  ticketmaster: { baseUrl: 'https://app.ticketmaster.com/discovery/v2', keyParam: 'apikey', keyEnv: 'TICKETMASTER_API_KEY' },
+  places: { baseUrl: 'https://maps.googleapis.com/maps/api/place', keyParam: 'key', keyEnv: 'GOOGLE_PLACES_API_KEY' },
+  gemini: { baseUrl: 'https://generativelanguage.googleapis.com/v1beta', keyParam: 'key', keyEnv: 'GEMINI_API_KEY' },
+};
+
+// Request bodies past these sizes are refused with a 413 rather than held in memory.
+const MAX_VOTE_BODY_BYTES = 16 * 1024;
+const MAX_FORWARDED_BODY_BYTES = 1024 * 1024;
+
+const PLACES_ERROR_STATUSES = {
+  REQUEST_DENIED: { httpStatus: 403, reason: 'bad-key' },
+  OVER_QUERY_LIMIT: { httpStatus: 429, reason: 'rate-limited' },
+};
+
+const rateLimiter = createRateLimiter({ limit: RATE_LIMIT_PER_MINUTE, windowMs: 60 * 1000 });
+const placesRateLimiter = createRateLimiter({ limit: PLACES_RATE_LIMIT_PER_MINUTE, windowMs: 60 * 1000 });
+const shortlistStore = createShortlistStore();
+const feedFetcher = createFeedFetcher();
+
+// Maps a failed upstream HTTP status to the error reasons the app understands.
+const reasonForStatus = (status) => {
+  if (status === 429) return 'rate-limited';
+  if (status === 401 || status === 403) return 'bad-key';
+  return 'server';
+};
+
+const sendJSON = (res, status, body, headers = {}) => {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+};
+
+const sendError = (res, status, reason, message, headers) => sendJSON(res, status, { error: { reason, message } }, headers);
+
+// Rejects with `{ code: 'body-too-large' }` past `maxBytes`. The rest of the body is read and thrown
+// away, so the 413 can still be sent.
+const readBody = (req, maxBytes) => new Promise((resolve, reject) => {
+  const chunks = [];
+  let size = 0;
+  const tooLarge = () => Object.assign(new Error(`Request body is over ${maxBytes} bytes.`), { code: 'body-too-large' });
+  if (Number(req.headers['content-length']) > maxBytes) {
+    req.resume();
+    reject(tooLarge());
+    return;
+  }
+  req.on('data', chunk => {
+    size += chunk.length;
+    if (size > maxBytes) {
+      chunks.length = 0;
+      reject(tooLarge());
+      return;
+    }
+    chunks.push(chunk);
+  });
+  req.on('end', () => resolve(chunks.length ? Buffer.concat(chunks).toString('utf8') : undefined));
+  req.on('error', reject);
+});
+
+const sendBodyTooLarge = (res, maxBytes) => sendError(res, 413, 'bad-request', `Request bodies are limited to ${maxBytes / 1024} KB.`, { Connection: 'close' });
+
+// GET or POST /api/shortlists/<id>/votes. Both answer with `{ votes }`.
+async function handleShortlistRequest(req, res, [shortlistId, resource, ...extra]) {
+  if (!shortlistId || resource !== 'votes' || extra.length > 0) {
+    sendError(res, 404, 'not-found', 'Unknown shortlist route.');
+    return;
+  }
+  const id = decodeURIComponent(shortlistId);
+  if (req.method === 'GET') {
+    sendJSON(res, 200, { votes: shortlistStore.getVotes(id) }, { 'Cache-Control': 'no-store' });
+    return;
+  }
+  if (req.method !== 'POST') {
+    sendError(res, 405, 'bad-request', `${req.method} is not supported here.`);
+    return;
+  }
+  let body;
+  try {
+    body = await readBody(req, MAX_VOTE_BODY_BYTES);
+  } catch (error) {
+    if (error.code !== 'body-too-large') throw error;
+    sendBodyTooLarge(res, MAX_VOTE_BODY_BYTES);
+    return;
+  }
+  let vote;
+  try {
+    vote = JSON.parse(body || 'null');
+  } catch (error) {
+    vote = null;
+  }
+  const votes = shortlistStore.castVote(id, vote);
+  if (!votes) {
+    sendError(res, 400, 'bad-request', 'A vote needs a voterId, name and eventId.');
+    return;
+  }
+  sendJSON(res, 200, { votes }, { 'Cache-Control': 'no-store' });
+}
+
+// GET /api/feeds?url=<feed url>. Answers with `{ contentType, text }`. Recorded and replayed like
+// the other services, so subscribed feeds also work with PROXY_MODE=replay.
+async function handleFeedRequest(req, res, url) {
+  if (req.method !== 'GET') {
+    sendError(res, 405, 'bad-request', `${req.method} is not supported here.`);
+    return;
+  }
+  if (PROXY_MODE === 'replay') {
+    const fixture = loadFixture('feeds', '/', url.searchParams);
+    if (!fixture) {
+      sendError(res, 404, 'fixture-missing', 'No fixture recorded for this feed.');
+      return;
+    }
+    sendJSON(res, fixture.status, fixture.body);
+    return;
+  }
+  const { status, body } = await feedFetcher.fetchFeed(url.searchParams.get('url') || '');
+  if (PROXY_MODE === 'record' && status === 200) saveFixture('feeds', '/', url.searchParams, undefined, { status, body });
+  sendJSON(res, status, body, { 'Cache-Control': 'no-store' });
+}
+
+async function handleRequest(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', ALLOWED_ORIGIN);
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204);
+    res.end();
+    return;
+  }
+
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  const [, prefix, serviceName, ...rest] = url.pathname.split('/');
+  const service = SERVICES[serviceName];
+  if (prefix !== 'api' || (!service && !['shortlists', 'feeds'].includes(serviceName))) {
+    sendError(res, 404, 'not-found', `Unknown route ${url.pathname}`);
+    return;
+  }
+
+  const limiter = serviceName === 'places' ? placesRateLimiter : rateLimiter;
+  const { allowed, retryAfterSeconds } = limiter.take(clientIdFor(req, { trustProxy: TRUST_PROXY }));
+  if (!allowed) {
+    sendError(res, 429, 'rate-limited', 'Too many requests from this client.', { 'Retry-After': String(retryAfterSeconds) });
+    return;
+  }
+
+  // Shortlist votes are kept here rather than forwarded, so they work in every PROXY_MODE.
+  if (serviceName === 'shortlists') {
+    await handleShortlistRequest(req, res, rest);
+    return;
+  }
+  if (serviceName === 'feeds') {
+    await handleFeedRequest(req, res, url);
+    return;
+  }
+
+  // Never forward a key the client tried to supply.
+  url.searchParams.delete(service.keyParam);
+  const upstreamPath = `/${rest.join('/')}`;
+  let body;
+  try {
+    body = req.method === 'POST' ? await readBody(req, MAX_FORWARDED_BODY_BYTES) : undefined;
+  } catch (error) {
+    if (error.code !== 'body-too-large') throw error;
+    sendBodyTooLarge(res, MAX_FORWARDED_BODY_BYTES);
+    return;
+  }
+
+  if (PROXY_MODE === 'replay') {
+    const fixture = loadFixture(serviceName, upstreamPath, url.searchParams, body);
+    if (!fixture) {
+      sendError(res, 404, 'fixture-missing', `No fixture recorded for ${serviceName}${upstreamPath}`);
+      return;
+    }
+    sendJSON(res, fixture.status, fixture.body);
+    return;
+  }
+
+  const apiKey = process.env[service.keyEnv];
+  if (!apiKey) {
+    sendError(res, 500, 'bad-key', `${service.keyEnv} is not set on the proxy.`);
+    return;
+  }
+
+  const upstreamUrl = new URL(`${service.baseUrl}${upstreamPath}`);
+  url.searchParams.forEach((value, key) => upstreamUrl.searchParams.append(key, value));
+  upstreamUrl.searchParams.set(service.keyParam, apiKey);
+
+  let upstream;
+  try {
+    upstream = await fetch(upstreamUrl, {
+      method: req.method,
+      headers: body ? { 'Content-Type': 'application/json' } : undefined,
+      body,
+    });
+  } catch (error) {
+    console.error(`[proxy] ${serviceName} request failed:`, error.message);
+    sendError(res, 502, 'network', `Could not reach ${serviceName}.`);
+    return;
+  }
+
+  if (!upstream.ok) {
+    console.warn(`[proxy] ${serviceName}${upstreamPath} responded with ${upstream.status}`);
+    sendError(res, upstream.status, reasonForStatus(upstream.status), `${serviceName} responded with ${upstream.status}.`);
+    return;
+  }
+
+  const contentType = upstream.headers.get('content-type') || 'application/octet-stream';
+  // Streamed answers (Gemini's streamGenerateContent?alt=sse) are passed through chunk by chunk, not buffered.
+  if (contentType.includes('text/event-stream')) {
+    res.writeHead(upstream.status, { 'Content-Type': contentType, 'Cache-Control': 'no-store' });
+    for await (const chunk of upstream.body) res.write(chunk);
+    res.end();
+    return;
+  }
+  const payload = Buffer.from(await upstream.arrayBuffer());
+  // Places reports key and quota problems with HTTP 200 and a status field.
+  if (serviceName === 'places' && contentType.includes('json')) {
+    const { status, error_message: message } = JSON.parse(payload.toString('utf8'));
+    if (PLACES_ERROR_STATUSES[status]) {
+      sendError(res, PLACES_ERROR_STATUSES[status].httpStatus, PLACES_ERROR_STATUSES[status].reason, message || status);
+      return;
+    }
+  }
+  if (PROXY_MODE === 'record' && contentType.includes('json')) {
+    saveFixture(serviceName, upstreamPath, url.searchParams, body, { status: upstream.status, body: JSON.parse(payload.toString('utf8')) });
+  }
+  res.writeHead(upstream.status, { 'Content-Type': contentType, 'Cache-Control': upstream.headers.get('cache-control') || 'no-store' });
+  res.end(payload);
+}
+
+const server = http.createServer((req, res) => {
+  handleRequest(req, res).catch(error => {
+    console.error('[proxy] Unexpected error:', error);
+    if (!res.headersSent) sendError(res, 500, 'server', 'Unexpected proxy error.');
+    else res.end();
+  });
+});
+
+if (require.main === module) {
+  server.listen(PORT, () => console.log(`[proxy] Listening on http://localhost:${PORT} in ${PROXY_MODE} mode`));
+}
+
+module.exports = { server };
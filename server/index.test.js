@@ -0,0 +1,32 @@
+/**
+ * @jest-environment node
+ */
+const { server } = require('./index');
+
+let baseUrl;
+
+beforeAll(done => {
+  server.listen(0, '127.0.0.1', () => {
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    done();
+  });
+});
+
+afterAll(done => {
+  server.close(done);
+});
+
+const postVote = (body) => fetch(`${baseUrl}/api/shortlists/s1/votes`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body });
+
+test('records shortlist votes', async () => {
+  const response = await postVote(JSON.stringify({ voterId: 'v1', name: 'Sam', eventId: 'a' }));
+  expect(response.status).toBe(200);
+  expect((await response.json()).votes).toEqual([expect.objectContaining({ voterId: 'v1', eventId: 'a' })]);
+  expect((await postVote('not json')).status).toBe(400);
+});
+
+test('refuses vote bodies over 16 KB', async () => {
+  const response = await postVote(JSON.stringify({ voterId: 'v1', name: 'Sam', eventId: 'a', padding: 'x'.repeat(20 * 1024) }));
+  expect(response.status).toBe(413);
+  expect((await response.json()).error.reason).toBe('bad-request');
+});
@@ -0,0 +1,50 @@
+// --- Per-client rate limiting ---
+// A fixed-window counter per client IP. Keeps one misbehaving tab (or an infinite-scroll loop)
+// from burning through the shared Ticketmaster / Places quota.
+
+/**
+ * @param {{ limit: number, windowMs: number }} options - At most `limit` requests per client per window.
+ * @returns {{ take: (clientId: string) => { allowed: boolean, retryAfterSeconds: number } }}
+ */
+function createRateLimiter({ limit, windowMs }) {
+  const windows = new Map();
+
+  // Forget idle clients so the map doesn't grow forever.
+  const cleanup = setInterval(() => {
+    const now = Date.now();
+    for (const [clientId, window] of windows) {
+      if (now - window.start >= windowMs) windows.delete(clientId);
+    }
+  }, windowMs);
+  cleanup.unref();
+
+  return {
+    take(clientId) {
+      const now = Date.now();
+      let window = windows.get(clientId);
+      if (!window || now - window.start >= windowMs) {
+        window = { start: now, count: 0 };
+        windows.set(clientId, window);
+      }
+      window.count += 1;
+      return {
+        allowed: window.count <= limit,
+        retryAfterSeconds: Math.ceil((window.start + windowMs - now) / 1000),
+      };
+    },
+  };
+}
+
+/**
+ * The id a request is rate limited by: the address it came from. X-Forwarded-For is set by the
+ * client, so it only counts with `trustProxy` (the proxy runs behind a load balancer or reverse
+ * proxy), and then only its last entry, which that proxy added.
+ * @param {import('http').IncomingMessage} req
+ * @param {{ trustProxy?: boolean }} [options]
+ */
+function clientIdFor(req, { trustProxy = false } = {}) {
+  const forwardedFor = trustProxy ? (req.headers['x-forwarded-for'] || '').split(',').pop().trim() : '';
+  return forwardedFor || req.socket.remoteAddress;
+}
+
+module.exports = { createRateLimiter, clientIdFor };
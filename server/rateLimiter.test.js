@@ -0,0 +1,30 @@
+/**
+ * @jest-environment node
+ */
+const { createRateLimiter, clientIdFor } = require('./rateLimiter');
+
+afterEach(() => jest.restoreAllMocks());
+
+test('allows `limit` requests per client per window', () => {
+  const start = Date.now();
+  jest.spyOn(Date, 'now').mockReturnValue(start);
+  const limiter = createRateLimiter({ limit: 2, windowMs: 60 * 1000 });
+  expect(limiter.take('a').allowed).toBe(true);
+  expect(limiter.take('a').allowed).toBe(true);
+  expect(limiter.take('a')).toEqual({ allowed: false, retryAfterSeconds: 60 });
+  // Other clients have their own window.
+  expect(limiter.take('b').allowed).toBe(true);
+
+  Date.now.mockReturnValue(start + 45 * 1000);
+  expect(limiter.take('a')).toEqual({ allowed: false, retryAfterSeconds: 15 });
+  Date.now.mockReturnValue(start + 60 * 1000);
+  expect(limiter.take('a').allowed).toBe(true);
+});
+
+test('tells clients apart by address, and only trusts X-Forwarded-For behind a proxy', () => {
+  const req = { headers: { 'x-forwarded-for': '203.0.113.7, 198.51.100.2' }, socket: { remoteAddress: '10.0.0.5' } };
+  expect(clientIdFor(req)).toBe('10.0.0.5');
+  // The last entry is the one the trusted proxy added; the ones before it came from the client.
+  expect(clientIdFor(req, { trustProxy: true })).toBe('198.51.100.2');
+  expect(clientIdFor({ headers: {}, socket: { remoteAddress: '10.0.0.5' } }, { trustProxy: true })).toBe('10.0.0.5');
+});
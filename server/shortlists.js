@@ -0,0 +1,47 @@
+// --- Shortlist votes ---
+// The votes on shared "Plan with friends" shortlists. The shortlist itself travels in its link,
+// so the server only keeps who voted for which event. Votes live in memory and are lost when the
+// proxy restarts, which is fine for deciding on tonight's plans.
+
+const MAX_ID_LENGTH = 64;
+const MAX_NAME_LENGTH = 40;
+
+const isShortString = (value, maxLength) => typeof value === 'string' && value.trim().length > 0 && value.length <= maxLength;
+
+/**
+ * @param {{ maxShortlists?: number, maxVotesPerShortlist?: number }} [options]
+ *   The oldest shortlist is forgotten once there are more than `maxShortlists`.
+ * @returns {{ getVotes: Function, castVote: Function }}
+ */
+function createShortlistStore({ maxShortlists = 1000, maxVotesPerShortlist = 50 } = {}) {
+  // Map keeps insertion order, so the first key is the least recently voted-on shortlist.
+  const shortlists = new Map();
+
+  return {
+    getVotes(shortlistId) {
+      return shortlists.get(shortlistId) || [];
+    },
+
+    /**
+     * Records a vote, replacing the voter's earlier one.
+     * @param {string} shortlistId
+     * @param {{ voterId: string, name: string, eventId: string }} vote
+     * @returns {Array|null} The shortlist's votes, or null if the vote is malformed or the shortlist is full.
+     */
+    castVote(shortlistId, vote) {
+      if (!isShortString(shortlistId, MAX_ID_LENGTH) || !vote) return null;
+      const { voterId, name, eventId } = vote;
+      if (!isShortString(voterId, MAX_ID_LENGTH) || !isShortString(name, MAX_NAME_LENGTH) || !isShortString(eventId, MAX_ID_LENGTH)) return null;
+
+      const others = (shortlists.get(shortlistId) || []).filter(existing => existing.voterId !== voterId);
+      if (others.length >= maxVotesPerShortlist) return null;
+      const votes = [...others, { voterId, name: name.trim(), eventId, votedAt: Date.now() }];
+      shortlists.delete(shortlistId);
+      shortlists.set(shortlistId, votes);
+      if (shortlists.size > maxShortlists) shortlists.delete(shortlists.keys().next().value);
+      return votes;
+    },
+  };
+}
+
+module.exports = { createShortlistStore };
@@ -0,0 +1,51 @@
+/**
+ * @jest-environment node
+ */
+const { createShortlistStore } = require('./shortlists');
+
+const vote = (voterId, eventId, name = 'Sam') => ({ voterId, name, eventId });
+
+test('keeps one vote per voter, replacing their earlier one', () => {
+  const store = createShortlistStore();
+  store.castVote('s1', vote('v1', 'a'));
+  store.castVote('s1', vote('v2', 'a', ' Alex '));
+  const votes = store.castVote('s1', vote('v1', 'b'));
+  expect(votes.map(({ voterId, name, eventId }) => [voterId, name, eventId])).toEqual([['v2', 'Alex', 'a'], ['v1', 'Sam', 'b']]);
+  expect(votes.every(({ votedAt }) => typeof votedAt === 'number')).toBe(true);
+});
+
+test('keeps the votes for later reads, per shortlist', () => {
+  const store = createShortlistStore();
+  expect(store.getVotes('s1')).toEqual([]);
+  store.castVote('s1', vote('v1', 'a'));
+  store.castVote('s2', vote('v1', 'b'));
+  expect(store.getVotes('s1')).toEqual([expect.objectContaining({ voterId: 'v1', eventId: 'a' })]);
+  expect(store.getVotes('s2')).toEqual([expect.objectContaining({ voterId: 'v1', eventId: 'b' })]);
+});
+
+test('rejects malformed ids and votes', () => {
+  const store = createShortlistStore();
+  expect(store.castVote('', vote('v1', 'a'))).toBeNull();
+  expect(store.castVote('x'.repeat(65), vote('v1', 'a'))).toBeNull();
+  expect(store.castVote('s1', null)).toBeNull();
+  expect(store.castVote('s1', vote('', 'a'))).toBeNull();
+  expect(store.castVote('s1', vote('v1', 'a', '   '))).toBeNull();
+  expect(store.castVote('s1', vote('v1', 'a', 'x'.repeat(41)))).toBeNull();
+  expect(store.castVote('s1', { voterId: 'v1', name: 'Sam', eventId: 42 })).toBeNull();
+  expect(store.getVotes('s1')).toEqual([]);
+});
+
+test('caps the voters per shortlist and forgets the least recently voted-on shortlist', () => {
+  const store = createShortlistStore({ maxShortlists: 2, maxVotesPerShortlist: 2 });
+  store.castVote('s1', vote('v1', 'a'));
+  store.castVote('s1', vote('v2', 'a'));
+  expect(store.castVote('s1', vote('v3', 'a'))).toBeNull();
+  // A voter already on a full shortlist can still change their vote.
+  expect(store.castVote('s1', vote('v2', 'b'))).toHaveLength(2);
+
+  store.castVote('s2', vote('v1', 'a'));
+  store.castVote('s1', vote('v1', 'c'));
+  store.castVote('s3', vote('v1', 'a'));
+  expect(store.getVotes('s2')).toEqual([]);
+  expect(store.getVotes('s1')).toHaveLength(2);
+});
@@ -1,110 +1,532 @@
-import React, { useState, useMemo, useEffect } from 'react';
+import React, { useState, useMemo, useEffect, useRef } from 'react';
 import SportsScreen from './SportsScreen';
 import MusicScreen from './MusicScreen';
+import SocialScreen from './SocialScreen';
+import SavedScreen from './SavedScreen';
+import DiscoverScreen from './DiscoverScreen';
+import FollowingScreen from './FollowingScreen';
+import VenueScreen from './VenueScreen';
+import ShortlistScreen from './ShortlistScreen';
+import GroupVoteScreen from './GroupVoteScreen';
+import RemindersScreen from './RemindersScreen';
+import SourcesScreen from './SourcesScreen';
 import SearchControls from './SearchControls';
+import withSearchCache from './searchCache';
+import useSavedEvents from './useSavedEvents';
+import useFollowedAttractions from './useFollowedAttractions';
+import useFollowedVenues from './useFollowedVenues';
+import useTasteProfile from './useTasteProfile';
+import useShortlistDraft from './useShortlistDraft';
+import useReminders from './useReminders';
+import useEventFeeds from './useEventFeeds';
+import { combineProviders, TICKETMASTER_SOURCE, EVENT_IMAGE_PLACEHOLDER } from './eventProviders';
+import { createHttpSyncBackend, createMemorySyncBackend } from './shortlistSync';
+import { parseFacetSelection, resolveSelection } from './facets';
+import { downloadICalendar } from './calendarExport';
+import { encodeGeohash, distanceInMiles } from './geo';
+import { pickWeightedEvent, FIND_MY_NIGHT_CONSTRAINTS } from './findMyNight';
+import { createNightPlanner, createGeminiModel, createStubModel } from './nightPlanner';
+import ItineraryTimeline from './ItineraryTimeline';
+import { eventStatusBadge, canBuyTickets, priceRangeFromTicketmaster, formatPrice, formatPriceRange, formatSaleWindow, directionsUrl } from './ticketInfo';
+import { estimateNightCost } from './nightCost';
+import { REMINDER_KINDS, canRemindOnSale } from './reminders';
+import useRoute, { buildModuleUrl, buildEventUrl, buildVenueUrl, buildShortlistUrl, UNSEARCHED_MODULES } from './router';
+import { LoadingSpinner, OfflineBanner } from './SharedComponents';
+import { formatEventDate, formatEventTime } from './eventFilters';
+import { formatVenueAddress } from './venueInfo';
+import useOfflineQueue from './useOfflineQueue';
+import { cachedResponseTime } from './serviceWorkerRegistration';
 
 // --- 1. API CONFIGURATION ---
-// These constants hold your API keys. It's best practice to store these
-// in environment variables in a real application for security.
-const TICKETMASTER_API_KEY = 'secret';
-const GOOGLE_PLACES_API_KEY = 'secret';
-// Note: The Gemini API key is handled by the environment and is not needed here.
+// No API keys live in the bundle. Every call goes through the proxy in server/, which adds the
+// Ticketmaster, Google Places and Gemini keys from its own environment and normalises errors to
+// `{ error: { reason, message } }`. It also downloads subscribed event feeds, which rarely allow
+// the browser to read them. Override the base URL with REACT_APP_API_PROXY_URL.
+const API_PROXY_BASE_URL = process.env.REACT_APP_API_PROXY_URL || 'http://localhost:5001/api';
+const TICKETMASTER_BASE_URL = `${API_PROXY_BASE_URL}/ticketmaster`;
+// Forwards `/findplacefromtext`, `/details`, `/nearbysearch`, `/autocomplete` and `/photo` to https://maps.googleapis.com/maps/api/place.
+const PLACES_PROXY_BASE_URL = `${API_PROXY_BASE_URL}/places`;
+const GEMINI_MODEL_URL = `${API_PROXY_BASE_URL}/gemini/models/gemini-2.5-flash-preview-05-20`;
+const FEEDS_PROXY_URL = `${API_PROXY_BASE_URL}/feeds`;
+// Set REACT_APP_NIGHT_PLAN_MODEL=stub to plan nights with canned local answers instead of Gemini.
+const NIGHT_PLAN_MODEL = process.env.REACT_APP_NIGHT_PLAN_MODEL || 'gemini';
+// Votes on shared shortlists are kept by the proxy. Set REACT_APP_SHORTLIST_SYNC=memory to keep them
+// in the page instead (votes are then only seen by the person who cast them).
+const SHORTLIST_SYNC = process.env.REACT_APP_SHORTLIST_SYNC || 'proxy';
+
+// Demo mode swaps in mock events when a search fails or comes back empty. It is off by default
+// so that mock data is never mistaken for real listings; enable it with REACT_APP_DEMO_MODE=true.
+const DEMO_MODE = process.env.REACT_APP_DEMO_MODE === 'true';
+
+// How long (in minutes) a cached search counts as fresh. Older results are still shown instantly,
+// but are refreshed in the background. Override with REACT_APP_SEARCH_CACHE_TTL_MINUTES.
+const SEARCH_CACHE_TTL_MINUTES = Number(process.env.REACT_APP_SEARCH_CACHE_TTL_MINUTES) || 15;
+
+// Ticketmaster page size, and the deep-paging limit of its Discovery API (size * page must stay below 1000).
+const TICKETMASTER_PAGE_SIZE = 50;
+const TICKETMASTER_MAX_RESULTS = 1000;
+
+// Place lookups are cached per venue for the lifetime of the page. The cache stores the
+// promise, so concurrent lookups for the same venue share one request.
+const placeDetailsCache = new Map();
+
+// The nearby places looked up for the night-out estimate, per stop (see nightCost.js), and how far from the venue to look.
+const NEARBY_SPOT_TYPES = { before: 'restaurant', after: 'bar' };
+const NEARBY_SPOTS_RADIUS_METRES = 800;
+// Cached per venue location like placeDetailsCache.
+const nearbySpotsCache = new Map();
 
 // --- 2. API SERVICE ---
 // This object centralizes all external API calls.
 const api = {
   /**
-   * Fetches events from the Ticketmaster API based on a city and radius.
-   * @param {string} city - The city to search for events in.
-   * @param {number} radius - The search radius in miles.
-   * @returns {Promise<Array>} A promise that resolves to an array of event objects.
+   * Fetches one page of events from the Ticketmaster API around a city or a point.
+   * @param {{ city: string, stateCode: string, radius: number, coordinates?: { lat: number, lng: number } }} searchParams
+   *   Where to search. With `coordinates` (from "Use my location" or a resolved city) the search is a
+   *   radius around that point and each event gets a `distance` in miles; otherwise it is a city/state search.
+   *   Pass null to search every city, e.g. for the upcoming events of followed attractions.
+   * @param {string} [category] - A classification name, or a comma-separated list of them (e.g. 'Arts & Theatre,Family').
+   * @param {number} [page] - The zero-based page to fetch.
+   * @param {{ genreIds?: Array<string>, subGenreIds?: Array<string>, attractionIds?: Array<string>, venueIds?: Array<string>, keyword?: string, sort?: string }} [refinements]
+   *   Narrows the search server-side to the selected genre and league facets, teams or artists, venues and a keyword, and sets
+   *   Ticketmaster's sort order (default 'date,asc').
+   *   Distance sorting needs coordinates, so it falls back to date order for a city search.
+   * @returns {Promise<{ status: string, events: Array, page: Object, fetchedAt?: number|null, error?: { reason: string, message: string } }>}
+   *   A typed search result. `status` is one of:
+   *   - 'ok': `events` holds the requested page and `page` Ticketmaster's paging info for the whole search.
+   *   - 'empty': the search succeeded but found nothing.
+   *   - 'error': the search failed; `error.reason` is 'rate-limited', 'bad-key', 'network' or 'server'.
+   *   - 'demo': demo mode is on and mock events stand in for an empty or failed search.
+   *   When offline, the service worker may answer with the last response it saw; `fetchedAt` is then
+   *   when that response was fetched (otherwise null).
    */
-  // Add 'category = null' as a new parameter
-  fetchTicketmasterEvents: async (city, stateCode, radius, category = null) => {
+  fetchTicketmasterEvents: async (searchParams, category = null, page = 0, refinements = {}) => {
+    const { city, stateCode, radius, coordinates } = searchParams || {};
+    const sort = refinements.sort === 'distance,asc' && !coordinates ? null : refinements.sort;
+    const query = new URLSearchParams({ ...(searchParams ? { radius, unit: 'miles' } : {}), size: TICKETMASTER_PAGE_SIZE, page, sort: sort || 'date,asc' });
+    if (coordinates) {
+      query.set('geoPoint', encodeGeohash(coordinates.lat, coordinates.lng));
+    } else if (searchParams) {
+      query.set('city', city);
+      if (stateCode) query.set('stateCode', stateCode);
+    }
     // Add the classificationName to the URL if a category is provided
-    let classificationQuery = category ? `&classificationName=${category}` : '';
-    const TICKETMASTER_ENDPOINT = `https://app.ticketmaster.com/discovery/v2/events.json?city=${city}&stateCode=${stateCode}&radius=${radius}&unit=miles${classificationQuery}&apikey=${TICKETMASTER_API_KEY}`;
-    // ... rest of the function remains the same
+    if (category) query.set('classificationName', category);
+    if (refinements.genreIds?.length) query.set('genreId', refinements.genreIds.join(','));
+    if (refinements.subGenreIds?.length) query.set('subGenreId', refinements.subGenreIds.join(','));
+    if (refinements.attractionIds?.length) query.set('attractionId', refinements.attractionIds.join(','));
+    if (refinements.venueIds?.length) query.set('venueId', refinements.venueIds.join(','));
+    if (refinements.keyword) query.set('keyword', refinements.keyword);
+    const TICKETMASTER_ENDPOINT = `${TICKETMASTER_BASE_URL}/events.json?${query}`;
 
+    let response;
+    try {
+      response = await fetch(TICKETMASTER_ENDPOINT);
+    } catch (error) {
+      console.error("Error fetching from Ticketmaster API:", error);
+      return withDemoFallback(errorResult('network', error.message));
+    }
 
     try {
-      const response = await fetch(TICKETMASTER_ENDPOINT);
+      if (!response.ok) {
+        console.error(`Ticketmaster API responded with ${response.status}.`);
+        // The proxy explains the failure in the body; fall back to the status code if it didn't.
+        const body = await response.json().catch(() => ({}));
+        return withDemoFallback(errorResult(body.error?.reason || errorReasonForStatus(response.status), body.error?.message || `HTTP ${response.status}`));
+      }
       const data = await response.json();
       // Check if the API returned any events.
       if (!data._embedded || !data._embedded.events || data._embedded.events.length === 0) {
-        console.warn(`No events found for ${city}. Falling back to mock data.`);
-        return mockApi.fetchTicketmasterEvents(); // Use mock data as a fallback.
+        console.warn(`No events found for ${city || 'this search'}.`);
+        return withDemoFallback(emptyResult());
       }
       // Map the complex API response to a simpler object structure for the app.
-      return data._embedded.events.map(event => ({
-        id: event.id,
-        name: event.name,
-        category: event.classifications?.[0]?.segment?.name || 'Social',
-        subcategory: event.classifications?.[0]?.subGenre?.name || 'N/A',
-        date: event.dates?.start?.dateTime,
-        venueName: event._embedded?.venues?.[0]?.name,
-        imageUrl: event.images?.find(img => img.ratio === '16_9')?.url || 'https://placehold.co/600x400/1a202c/ffffff?text=Event',
-        address: `${event._embedded?.venues?.[0]?.address?.line1}, ${event._embedded?.venues?.[0]?.city?.name}, ${event._embedded?.venues?.[0]?.state?.stateCode}`,
-      }));
+      const events = data._embedded.events.map(normaliseTicketmasterEvent).map(event => (
+        coordinates && event.coordinates ? { ...event, distance: distanceInMiles(coordinates, event.coordinates) } : event
+      ));
+      const pageSize = data.page?.size || TICKETMASTER_PAGE_SIZE;
+      return {
+        status: 'ok',
+        events: await api.attachGooglePlaceData(events),
+        fetchedAt: cachedResponseTime(response),
+        page: {
+          number: data.page?.number || 0,
+          size: pageSize,
+          totalPages: Math.min(data.page?.totalPages || 1, Math.floor(TICKETMASTER_MAX_RESULTS / pageSize)),
+          totalElements: data.page?.totalElements || events.length,
+        },
+      };
     } catch (error) {
-      console.error("Error fetching from Ticketmaster API:", error);
-      return mockApi.fetchTicketmasterEvents(); // Use mock data on error.
+      console.error("Error reading the Ticketmaster API response:", error);
+      return withDemoFallback(errorResult('server', error.message));
     }
   },
 
   /**
-   * Fetches place details from Google Places API.
-   * NOTE: In a real app, this should be done via a server-side proxy to avoid CORS issues.
-   * @param {string} address - The address to look up.
-   * @returns {Promise<Object>} A promise that resolves to an object with place details.
+   * Loads a single event by its Ticketmaster id, for event links opened directly.
+   * @param {string} eventId
+   * @returns {Promise<Object|null>} The normalised event (with `googleData`), or null if it couldn't be loaded.
    */
-  fetchGooglePlaceDetails: async (address) => {
-    // For the demo, we directly return mock data.
-    return mockApi.fetchGooglePlaceDetails(address);
+  fetchTicketmasterEventById: async (eventId) => {
+    try {
+      const response = await fetch(`${TICKETMASTER_BASE_URL}/events/${encodeURIComponent(eventId)}.json`);
+      if (!response.ok) {
+        console.error(`Ticketmaster API responded with ${response.status} for event ${eventId}.`);
+        if (!DEMO_MODE) return null;
+        const mockEvents = await mockApi.fetchTicketmasterEvents();
+        return mockEvents.find(event => event.id === eventId) || null;
+      }
+      const [event] = await api.attachGooglePlaceData([normaliseTicketmasterEvent(await response.json())]);
+      return event;
+    } catch (error) {
+      console.error(`Error fetching event ${eventId}:`, error);
+      return null;
+    }
+  },
+
+  /**
+   * Loads a single venue by its Ticketmaster id, for venue links opened directly.
+   * @param {string} venueId
+   * @returns {Promise<Object|null>} The normalised venue, or null if it couldn't be loaded.
+   */
+  fetchTicketmasterVenueById: async (venueId) => {
+    try {
+      const response = await fetch(`${TICKETMASTER_BASE_URL}/venues/${encodeURIComponent(venueId)}.json`);
+      if (!response.ok) {
+        console.error(`Ticketmaster API responded with ${response.status} for venue ${venueId}.`);
+        return null;
+      }
+      return normaliseTicketmasterVenue(await response.json());
+    } catch (error) {
+      console.error(`Error fetching venue ${venueId}:`, error);
+      return null;
+    }
   },
 
   /**
-   * Generates a "night plan" using the Gemini API.
+   * Suggests cities for the search box using Google Places Autocomplete.
+   * @param {string} input - What the user has typed so far.
+   * @returns {Promise<Array<{ placeId: string, description: string }>>} Up to five suggestions; empty on error.
+   */
+  autocompleteCities: async (input) => {
+    try {
+      const response = await fetch(`${PLACES_PROXY_BASE_URL}/autocomplete/json?input=${encodeURIComponent(input)}&types=(cities)&components=country:us`);
+      const data = await response.json();
+      return (data.predictions || []).slice(0, 5).map(prediction => ({ placeId: prediction.place_id, description: prediction.description }));
+    } catch (error) {
+      console.error("Error fetching city suggestions:", error);
+      return [];
+    }
+  },
+
+  /**
+   * Resolves a city suggestion to the search parameters Ticketmaster needs.
+   * @param {string} placeId - A place id from autocompleteCities.
+   * @returns {Promise<{ city: string, stateCode: string, coordinates: { lat: number, lng: number } } | null>}
+   */
+  resolveCity: async (placeId) => {
+    try {
+      const response = await fetch(`${PLACES_PROXY_BASE_URL}/details/json?place_id=${encodeURIComponent(placeId)}&fields=geometry,address_components`);
+      const data = await response.json();
+      const location = data.result?.geometry?.location;
+      if (!location) return null;
+      const componentOfType = (type) => data.result.address_components?.find(component => component.types.includes(type));
+      return {
+        city: componentOfType('locality')?.long_name || '',
+        stateCode: componentOfType('administrative_area_level_1')?.short_name || '',
+        coordinates: { lat: location.lat, lng: location.lng },
+      };
+    } catch (error) {
+      console.error("Error resolving city:", error);
+      return null;
+    }
+  },
+
+  /**
+   * Fetches place details for a venue from the Google Places API (via PLACES_PROXY_BASE_URL).
+   * Results are cached per venue name + address.
+   * @param {string} venueName - The venue name, e.g. "Ball Arena".
+   * @param {string} address - The venue's street address, used to disambiguate the name.
+   * @returns {Promise<Object|null>} Normalised place details, or null if the venue could not be found.
+   */
+  fetchGooglePlaceDetails: (venueName, address) => {
+    const cacheKey = `${venueName}|${address}`;
+    if (!placeDetailsCache.has(cacheKey)) {
+      const lookup = lookupGooglePlace(venueName, address).catch(error => {
+        console.error(`Error fetching Google Places data for ${venueName}:`, error);
+        placeDetailsCache.delete(cacheKey); // Don't cache failures, so the next search retries.
+        return null;
+      });
+      placeDetailsCache.set(cacheKey, lookup);
+    }
+    return placeDetailsCache.get(cacheKey);
+  },
+
+  /**
+   * Looks up every unique venue in a list of events once and merges the
+   * result onto each event as `event.googleData`.
+   * @param {Array} events - Normalised events from fetchTicketmasterEvents.
+   * @returns {Promise<Array>} The same events, with `googleData` attached where a place was found.
+   */
+  attachGooglePlaceData: async (events) => {
+    const venues = new Map();
+    events.forEach(event => {
+      if (event.venueName) venues.set(`${event.venueName}|${event.address}`, { venueName: event.venueName, address: event.address });
+    });
+    const entries = await Promise.all(
+      [...venues].map(async ([key, venue]) => [key, await api.fetchGooglePlaceDetails(venue.venueName, venue.address)])
+    );
+    const placesByVenue = new Map(entries);
+    return events.map(event => {
+      const googleData = placesByVenue.get(`${event.venueName}|${event.address}`);
+      return googleData ? { ...event, googleData } : event;
+    });
+  },
+
+  /**
+   * Finds places to eat before and drink after an event near its venue, for the night-out estimate.
+   * Results are cached per location; failed lookups aren't, so they are tried again next time.
+   * @param {{ lat: number, lng: number }} coordinates - The venue's location.
+   * @returns {Promise<{ before: Array, after: Array }>} Nearby restaurants and bars ({ name, priceLevel, rating }); empty lists on error.
+   */
+  fetchNearbySpots: (coordinates) => {
+    const cacheKey = `${coordinates.lat},${coordinates.lng}`;
+    if (!nearbySpotsCache.has(cacheKey)) {
+      const lookup = lookupNearbySpots(coordinates).catch(error => {
+        console.error('Error fetching nearby places:', error);
+        nearbySpotsCache.delete(cacheKey);
+        return { before: [], after: [] };
+      });
+      nearbySpotsCache.set(cacheKey, lookup);
+    }
+    return nearbySpotsCache.get(cacheKey);
+  },
+
+  /**
+   * Downloads an iCalendar or JSON event feed the user subscribes to (see eventFeeds.js).
+   * @param {string} feedUrl
+   * @returns {Promise<{ status: 'ok', text: string, fetchedAt: number } | { status: 'error', error: { reason: string, message: string } }>}
+   *   Like searches, `fetchedAt` is when the service worker fetched a response it served from its cache.
+   */
+  fetchEventFeed: async (feedUrl) => {
+    try {
+      const response = await fetch(`${FEEDS_PROXY_URL}?url=${encodeURIComponent(feedUrl)}`);
+      const body = await response.json().catch(() => ({}));
+      if (!response.ok) return { status: 'error', error: { reason: body.error?.reason || errorReasonForStatus(response.status), message: body.error?.message || `HTTP ${response.status}` } };
+      return { status: 'ok', text: body.text || '', fetchedAt: cachedResponseTime(response) || Date.now() };
+    } catch (error) {
+      console.error(`Error fetching the feed ${feedUrl}:`, error);
+      return { status: 'error', error: { reason: 'network', message: 'Check your connection and try again.' } };
+    }
+  },
+
+  /**
+   * Generates a structured "night plan" itinerary for an event.
    * @param {Object} event - The event object to create a plan for.
-   * @returns {Promise<string>} A promise that resolves to a string containing the generated plan.
+   * @param {Function} [onUpdate] - Called with the partial plan while the model's answer streams in.
+   * @returns {Promise<Object|null>} The plan ({ steps, conversationStarter, createdAt }), or null if it failed.
+   */
+  generateNightPlan: async (event, onUpdate) => {
+    try {
+      return await nightPlanner.generatePlan(event, { onUpdate });
+    } catch (error) {
+      console.error("Error generating a night plan:", error);
+      return null;
+    }
+  },
+
+  /**
+   * Regenerates one part of a night plan ('preEvent', 'postEvent' or 'conversationStarter').
+   * @returns {Promise<Object|null>} The updated plan, or null if it failed.
    */
-  generateNightPlan: async (event) => {
-    console.log("Generating night plan with Gemini...");
-    // Create a detailed prompt for the AI model.
-    const prompt = `Create a fun, brief plan for a night out based on this event. Event: "${event.name}" at ${event.venueName} on ${new Date(event.date).toLocaleDateString()}. The plan should have three short parts: a pre-event suggestion (like a themed bar or quick bite nearby), a post-event suggestion (like a late-night food spot or a place to unwind), and a fun conversation starter related to the event. Make it sound exciting and engaging.`;
-    
+  regenerateNightPlanStep: async (event, plan, stepKey) => {
     try {
-        // Prepare the payload for the Gemini API.
-        let chatHistory = [];
-        chatHistory.push({ role: "user", parts: [{ text: prompt }] });
-        const payload = { contents: chatHistory };
-        const apiKey = "" // The key is handled by the environment.
-        const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash-preview-05-20:generateContent?key=${apiKey}`;
-        
-        // Make the API call.
-        const response = await fetch(apiUrl, {
-                   method: 'POST',
-                   headers: { 'Content-Type': 'application/json' },
-                   body: JSON.stringify(payload)
-               });
-        const result = await response.json();
-
-        // Safely parse the response from the AI.
-        if (result.candidates && result.candidates.length > 0 &&
-            result.candidates[0].content && result.candidates[0].content.parts &&
-            result.candidates[0].content.parts.length > 0) {
-          const text = result.candidates[0].content.parts[0].text;
-          return text;
-        } else {
-          return "Could not generate a plan at this time. Please try again later.";
-        }
+      return await nightPlanner.regenerateStep(event, plan, stepKey);
     } catch (error) {
-        console.error("Error calling Gemini API:", error);
-        return "Sorry, I couldn't come up with a plan right now. Check your connection and try again.";
+      console.error(`Error regenerating the ${stepKey} step:`, error);
+      return null;
     }
   },
 };
 
+// --- Ticketmaster helpers ---
+
+/**
+ * Maps a Ticketmaster Discovery API event to the simpler object structure used across the app.
+ */
+const classificationLevel = (level) => (level?.id ? { id: level.id, name: level.name } : null);
+
+// Ticketmaster sends coordinates as strings, and sometimes leaves them out.
+const coordinatesFrom = (location) => {
+  const coordinates = { lat: Number(location?.latitude), lng: Number(location?.longitude) };
+  return location && Number.isFinite(coordinates.lat) && Number.isFinite(coordinates.lng) ? coordinates : null;
+};
+
+/**
+ * Maps a Ticketmaster venue to the venue object used across the app.
+ * The notes are free text that only some venues fill in. The Discovery API has no capacity field,
+ * but a few venues include one, so `capacity` is usually null.
+ * @returns {{ id: string, name: string, address: Object, coordinates: Object|null, timezone: string|null, capacity: number|null, notes: Object, url: string|null, imageUrl: string|null } | null}
+ */
+const normaliseTicketmasterVenue = (venue) => {
+  if (!venue) return null;
+  return {
+    id: venue.id || null,
+    name: venue.name || null,
+    address: {
+      line1: venue.address?.line1 || null,
+      line2: venue.address?.line2 || null,
+      city: venue.city?.name || null,
+      stateCode: venue.state?.stateCode || null,
+      postalCode: venue.postalCode || null,
+      countryCode: venue.country?.countryCode || null,
+    },
+    coordinates: coordinatesFrom(venue.location),
+    // The venue's IANA timezone (e.g. 'America/Denver'); dates are filtered and shown in it.
+    timezone: venue.timezone || null,
+    capacity: Number(venue.capacity) || null,
+    notes: {
+      parking: venue.parkingDetail || null,
+      accessibility: venue.accessibleSeatingDetail || null,
+      general: venue.generalInfo?.generalRule || null,
+      children: venue.generalInfo?.childRule || null,
+      boxOffice: venue.boxOfficeInfo?.openHoursDetail || null,
+    },
+    url: venue.url || null,
+    imageUrl: venue.images?.[0]?.url || null,
+  };
+};
+
+const normaliseTicketmasterEvent = (event) => {
+  const venue = normaliseTicketmasterVenue(event._embedded?.venues?.[0]);
+  return {
+    id: event.id,
+    name: event.name,
+    url: event.url,
+    category: event.classifications?.[0]?.segment?.name || 'Social',
+    genre: event.classifications?.[0]?.genre?.name,
+    subcategory: event.classifications?.[0]?.subGenre?.name || 'N/A',
+    // Ids and names of each classification level, for the genre and league facets.
+    classification: {
+      segment: classificationLevel(event.classifications?.[0]?.segment),
+      genre: classificationLevel(event.classifications?.[0]?.genre),
+      subGenre: classificationLevel(event.classifications?.[0]?.subGenre),
+    },
+    date: event.dates?.start?.dateTime,
+    venue,
+    // Shorthands for the venue fields most screens use.
+    venueName: venue?.name,
+    city: venue?.address.city || null,
+    imageUrl: event.images?.find(img => img.ratio === '16_9')?.url || EVENT_IMAGE_PLACEHOLDER,
+    address: formatVenueAddress(venue?.address),
+    // The performers or teams; `name` is what keyword search matches on.
+    attractions: (event._embedded?.attractions || []).map(attraction => ({ id: attraction.id, name: attraction.name })),
+    timezone: venue?.timezone || null,
+    coordinates: venue?.coordinates || null,
+    // null when Ticketmaster lists no prices, which the app shows as "Price TBA".
+    priceRange: priceRangeFromTicketmaster(event.priceRanges),
+    // Ticketmaster's status code: 'onsale', 'offsale', 'canceled', 'postponed' or 'rescheduled'.
+    status: event.dates?.status?.code || null,
+    sales: {
+      publicSale: event.sales?.public && !event.sales.public.startTBD
+        ? { start: event.sales.public.startDateTime || null, end: event.sales.public.endDateTime || null }
+        : null,
+      presales: (event.sales?.presales || []).map(presale => ({ name: presale.name || 'Presale', start: presale.startDateTime || null, end: presale.endDateTime || null })),
+    },
+    sources: [TICKETMASTER_SOURCE],
+  };
+};
+
+// --- Search result helpers ---
+// Every search resolves to one of these shapes rather than throwing; see fetchTicketmasterEvents.
+
+const singlePage = (events) => ({ number: 0, size: events.length, totalPages: events.length ? 1 : 0, totalElements: events.length });
+
+const emptyResult = () => ({ status: 'empty', events: [], page: singlePage([]) });
+
+const errorResult = (reason, message) => ({ status: 'error', events: [], page: singlePage([]), error: { reason, message } });
+
+// Maps a failed HTTP status from Ticketmaster to an error reason.
+const errorReasonForStatus = (status) => {
+  if (status === 429) return 'rate-limited';
+  if (status === 401 || status === 403) return 'bad-key';
+  return 'server';
+};
+
+// In demo mode, an empty or failed search is replaced by clearly-labelled mock events.
+const withDemoFallback = async (result) => {
+  if (!DEMO_MODE) return result;
+  const events = await mockApi.fetchTicketmasterEvents();
+  return { status: 'demo', events, page: singlePage(events) };
+};
+
+/**
+ * Resolves a venue to a Google place and fetches the fields the app displays.
+ * Find Place only returns `open_now`, so a Place Details call fills in the weekly hours.
+ * Throws when the proxy or Places fails (e.g. REQUEST_DENIED, OVER_QUERY_LIMIT), so the failure isn't cached as "no such place".
+ * @returns {Promise<Object|null>} null when Places has no match for the venue.
+ */
+const lookupGooglePlace = async (venueName, address) => {
+  const input = encodeURIComponent(`${venueName}, ${address}`);
+  const findResponse = await fetch(`${PLACES_PROXY_BASE_URL}/findplacefromtext/json?input=${input}&inputtype=textquery&fields=place_id,rating,user_ratings_total,price_level,photos`);
+  if (!findResponse.ok) throw new Error(`Find Place failed with HTTP ${findResponse.status}`);
+  const findData = await findResponse.json();
+  if (findData.status !== 'OK' && findData.status !== 'ZERO_RESULTS') throw new Error(`Find Place failed: ${findData.status}`);
+  const candidate = findData.candidates?.[0];
+  if (!candidate) return null;
+
+  const detailsResponse = await fetch(`${PLACES_PROXY_BASE_URL}/details/json?place_id=${encodeURIComponent(candidate.place_id)}&fields=opening_hours`);
+  if (!detailsResponse.ok) throw new Error(`Place Details failed with HTTP ${detailsResponse.status}`);
+  const detailsData = await detailsResponse.json();
+  if (detailsData.status !== 'OK' && detailsData.status !== 'ZERO_RESULTS') throw new Error(`Place Details failed: ${detailsData.status}`);
+  const openingHours = detailsData.result?.opening_hours;
+  const photoReference = candidate.photos?.[0]?.photo_reference;
+
+  return {
+    placeId: candidate.place_id,
+    rating: candidate.rating,
+    userRatingsTotal: candidate.user_ratings_total,
+    priceLevel: candidate.price_level, // 0 (free) to 4 (very expensive)
+    openingHours: openingHours ? { openNow: openingHours.open_now, weekdayText: openingHours.weekday_text || [] } : null,
+    photoUrl: photoReference ? `${PLACES_PROXY_BASE_URL}/photo?maxwidth=600&photo_reference=${photoReference}` : null,
+  };
+};
+
+/**
+ * Runs a Nearby Search for each kind of stop in NEARBY_SPOT_TYPES.
+ * Throws when the proxy or Places fails (e.g. REQUEST_DENIED, OVER_QUERY_LIMIT), so the failure isn't cached as "nothing nearby".
+ * @returns {Promise<{ before: Array, after: Array }>}
+ */
+const lookupNearbySpots = async ({ lat, lng }) => {
+  const entries = await Promise.all(Object.entries(NEARBY_SPOT_TYPES).map(async ([stop, type]) => {
+    const response = await fetch(`${PLACES_PROXY_BASE_URL}/nearbysearch/json?location=${lat},${lng}&radius=${NEARBY_SPOTS_RADIUS_METRES}&type=${type}`);
+    if (!response.ok) throw new Error(`Nearby search failed with HTTP ${response.status}`);
+    const data = await response.json();
+    if (data.status !== 'OK' && data.status !== 'ZERO_RESULTS') throw new Error(`Nearby search failed: ${data.status}`);
+    return [stop, (data.results || []).map(place => ({ name: place.name, priceLevel: place.price_level, rating: place.rating }))];
+  }));
+  return Object.fromEntries(entries);
+};
+
+// "Plan My Night" runs on Gemini (through the proxy) unless the local stub model is configured.
+const nightPlanner = createNightPlanner(
+  NIGHT_PLAN_MODEL === 'stub' ? createStubModel(() => mockApi.nightPlanAnswer()) : createGeminiModel(GEMINI_MODEL_URL)
+);
+
+// "Plan with friends" votes go through the proxy's vote store unless the in-memory stand-in is configured.
+const shortlistSync = SHORTLIST_SYNC === 'memory' ? createMemorySyncBackend() : createHttpSyncBackend(`${API_PROXY_BASE_URL}/shortlists`);
+
+// The screens use this cached copy of the api, so switching tabs doesn't refetch the same search.
+const cachedApi = withSearchCache(api, { ttlMs: SEARCH_CACHE_TTL_MINUTES * 60 * 1000 });
+
+// Ticketmaster as an event provider (see eventProviders.js). App searches it together with the user's feeds.
+const ticketmasterProvider = {
+  ...TICKETMASTER_SOURCE,
+  searchEvents: cachedApi.fetchTicketmasterEvents,
+  getCachedEvents: cachedApi.getCachedTicketmasterEvents,
+  fetchEventById: cachedApi.fetchTicketmasterEventById,
+};
+
 // --- MOCK API SERVICE ---
 // This provides fallback data for development and when live APIs fail.
 const mockApi = {
@@ -128,6 +550,12 @@ const mockApi = {
     await new Promise(resolve => setTimeout(resolve, 100));
     return { rating: 4.5, userRatingsTotal: 1337 };
   },
+  // A canned answer in the night planner's line format, used by the stub model.
+  nightPlanAnswer: () => [
+    '{"step":"preEvent","name":"The Mock Tavern","address":"100 Mock St","time":"6:00 PM","description":"Grab wings and a pint before the doors open."}',
+    '{"step":"postEvent","name":"Midnight Mock Diner","address":"200 Mock Ave","time":"10:30 PM","description":"Late-night pie to relive the best moments."}',
+    '{"step":"conversationStarter","text":"If you could swap lives with anyone on stage tonight, who would it be?"}',
+  ].join('\n'),
 };
 
 // --- STYLES ---
@@ -148,6 +576,12 @@ const styles = {
   searchContainer: { display: 'flex', gap: '10px', padding: '15px 20px' },
   searchInput: { flex: 1, padding: '10px 15px', fontSize: '16px', border: '1px solid #2D2D2D', borderRadius: '8px', backgroundColor: '#1E1E1E', color: '#FFFFFF' },
   searchButton: { padding: '10px 15px', border: 'none', borderRadius: '8px', backgroundColor: '#1DB954', color: '#FFFFFF', fontWeight: 'bold', cursor: 'pointer' },
+  autocompleteContainer: { flex: 2, position: 'relative' },
+  suggestionList: { position: 'absolute', top: '100%', left: 0, right: 0, margin: '4px 0 0 0', padding: 0, listStyle: 'none', backgroundColor: '#1E1E1E', border: '1px solid #2D2D2D', borderRadius: '8px', zIndex: 20, overflow: 'hidden' },
+  suggestionItem: { display: 'block', width: '100%', padding: '10px 15px', background: 'none', border: 'none', color: '#FFFFFF', fontSize: '14px', textAlign: 'left', cursor: 'pointer' },
+  locationContainer: { padding: '0 20px 10px 20px' },
+  locationButton: { padding: 0, background: 'none', border: 'none', color: '#1DB954', fontSize: '14px', fontWeight: 'bold', cursor: 'pointer' },
+  locationError: { fontSize: '13px', color: '#FF6B6B', margin: '5px 0 0 0' },
   radiusContainer: { padding: '0 20px 15px 20px', display: 'flex', flexDirection: 'column', gap: '8px' },
   radiusLabel: { fontSize: '14px', color: '#B3B3B3', textAlign: 'center' },
   radiusSlider: { width: '100%', cursor: 'pointer' },
@@ -158,27 +592,105 @@ const styles = {
   categoryFilters: { overflowX: 'auto', whiteSpace: 'nowrap', paddingBottom: '5px' },
   categoryFilterButton: { display: 'inline-block', padding: '8px 16px', backgroundColor: '#2D2D2D', borderRadius: '20px', marginRight: '10px', border: 'none', color: '#FFFFFF', fontSize: '14px', cursor: 'pointer' },
   categoryFilterButtonActive: { backgroundColor: '#1DB954', fontWeight: 'bold' },
+  facetCount: { marginLeft: '4px', fontSize: '12px', opacity: 0.7 },
+  resultsToolbar: { display: 'flex', gap: '10px', marginBottom: '10px' },
+  keywordInput: { padding: '8px 12px', fontSize: '14px', minWidth: 0 },
+  sortSelect: { padding: '8px', fontSize: '14px', border: '1px solid #2D2D2D', borderRadius: '8px', backgroundColor: '#1E1E1E', color: '#FFFFFF' },
+  dateRangeInputs: { display: 'flex', gap: '10px', marginBottom: '15px' },
+  dateRangeLabel: { flex: 1, display: 'flex', flexDirection: 'column', gap: '4px', fontSize: '12px', color: '#B3B3B3' },
+  dateRangeInput: { padding: '8px', borderRadius: '6px', border: '1px solid #2D2D2D', backgroundColor: '#1E1E1E', color: '#FFFFFF', fontSize: '14px', colorScheme: 'dark' },
   eventList: { padding: '0 20px 80px 20px' },
+  viewToggle: { display: 'flex', gap: '8px', marginTop: '10px' },
+  viewToggleButton: { padding: '6px 12px', border: '1px solid #2D2D2D', borderRadius: '16px', background: 'transparent', color: '#B3B3B3', fontSize: '13px', cursor: 'pointer' },
+  viewToggleButtonActive: { backgroundColor: '#2D2D2D', color: '#FFFFFF', fontWeight: 'bold' },
+  mapContainer: { position: 'relative', overflow: 'hidden', borderRadius: '12px', backgroundColor: '#1E1E1E', touchAction: 'none', cursor: 'grab', margin: '0 auto' },
+  mapTile: { position: 'absolute', width: '256px', height: '256px', userSelect: 'none', pointerEvents: 'none' },
+  mapMarker: { position: 'absolute', transform: 'translate(-50%, -50%)', minWidth: '30px', height: '30px', padding: '0 6px', borderRadius: '15px', border: '2px solid #FFFFFF', backgroundColor: '#1DB954', color: '#FFFFFF', fontSize: '13px', fontWeight: 'bold', cursor: 'pointer', boxShadow: '0 2px 4px rgba(0,0,0,0.5)' },
+  mapMarkerActive: { backgroundColor: '#4A90E2', zIndex: 2 },
+  mapZoomControls: { position: 'absolute', top: '10px', right: '10px', display: 'flex', flexDirection: 'column', gap: '4px' },
+  mapZoomButton: { width: '32px', height: '32px', border: 'none', borderRadius: '6px', backgroundColor: 'rgba(30,30,30,0.9)', color: '#FFFFFF', fontSize: '18px', cursor: 'pointer' },
+  mapAttribution: { position: 'absolute', bottom: 0, right: 0, padding: '2px 6px', backgroundColor: 'rgba(255,255,255,0.8)', color: '#333333', fontSize: '10px' },
+  mapPopup: { backgroundColor: '#1E1E1E', borderRadius: '12px', padding: '15px', marginTop: '15px' },
+  mapPopupTitle: { fontSize: '16px', fontWeight: 'bold', color: '#FFFFFF', margin: '0 0 10px 0' },
+  mapPopupEvent: { display: 'flex', flexDirection: 'column', alignItems: 'flex-start', gap: '2px', width: '100%', padding: '10px 0', background: 'none', border: 'none', borderTop: '1px solid #2D2D2D', color: '#FFFFFF', fontSize: '14px', textAlign: 'left', cursor: 'pointer' },
+  mapPopupTime: { fontSize: '13px', color: '#1DB954' },
+  calendarExportButton: { marginTop: '10px', padding: 0, background: 'none', border: 'none', color: '#1DB954', fontSize: '14px', fontWeight: 'bold', cursor: 'pointer' },
+  headerLink: { display: 'block', marginTop: '10px', padding: 0, background: 'none', border: 'none', color: '#1DB954', fontSize: '14px', fontWeight: 'bold', cursor: 'pointer' },
+  resultsSummary: { fontSize: '14px', color: '#B3B3B3', margin: '5px 0 0 0' },
+  lastUpdated: { fontSize: '12px', color: '#808080', margin: '2px 0 0 0', display: 'flex', alignItems: 'center', gap: '6px' },
+  refreshButton: { background: 'none', border: 'none', color: '#1DB954', fontSize: '16px', cursor: 'pointer', padding: 0 },
+  pullIndicator: { display: 'flex', justifyContent: 'center', alignItems: 'flex-end', paddingBottom: '8px', overflow: 'hidden', fontSize: '14px', color: '#B3B3B3' },
+  loadMoreContainer: { display: 'flex', justifyContent: 'center', padding: '10px 0 20px 0' },
+  loadMoreButton: { padding: '10px 20px', border: '1px solid #2D2D2D', borderRadius: '20px', backgroundColor: '#1E1E1E', color: '#FFFFFF', fontSize: '14px', fontWeight: 'bold', cursor: 'pointer' },
   noEventsContainer: { textAlign: 'center', marginTop: '50px', color: '#B3B3B3' },
   noEventsText: { fontSize: '18px' },
+  errorDetailText: { fontSize: '14px', color: '#B3B3B3', marginTop: '5px' },
+  retryButton: { marginTop: '15px', padding: '10px 20px', border: 'none', borderRadius: '20px', backgroundColor: '#1DB954', color: '#FFFFFF', fontSize: '14px', fontWeight: 'bold', cursor: 'pointer' },
+  demoBanner: { margin: '0 20px 15px 20px', padding: '10px 15px', borderRadius: '8px', backgroundColor: '#3A2E00', color: '#FFD75E', fontSize: '14px', textAlign: 'center' },
+  offlineBanner: { margin: '0 20px 15px 20px', padding: '10px 15px', borderRadius: '8px', backgroundColor: '#2A2A2A', color: '#B3B3B3', fontSize: '14px', textAlign: 'center' },
   card: { backgroundColor: '#1E1E1E', borderRadius: '12px', marginBottom: '20px', overflow: 'hidden', boxShadow: '0 2px 4px rgba(0,0,0,0.5)', cursor: 'pointer' },
+  cardImageContainer: { position: 'relative' },
   cardImage: { width: '100%', height: '180px', objectFit: 'cover' },
+  saveToggle: { position: 'absolute', top: '10px', right: '10px', width: '36px', height: '36px', borderRadius: '50%', border: 'none', backgroundColor: 'rgba(0,0,0,0.6)', color: '#FFFFFF', fontSize: '20px', cursor: 'pointer' },
+  saveToggleActive: { color: '#E91E63' },
+  priceBadge: { position: 'absolute', bottom: '10px', left: '10px', padding: '4px 10px', borderRadius: '12px', backgroundColor: 'rgba(0,0,0,0.7)', color: '#FFFFFF', fontSize: '13px', fontWeight: 'bold' },
+  priceBadgeUnknown: { color: '#B3B3B3', fontWeight: 'normal' },
+  dateGroupHeader: { fontSize: '16px', fontWeight: 'bold', color: '#B3B3B3', margin: '10px 0 12px 0' },
+  archiveToggle: { display: 'block', margin: '10px auto 20px auto', background: 'none', border: 'none', color: '#1DB954', fontSize: '14px', fontWeight: 'bold', cursor: 'pointer' },
   cardContent: { padding: '15px' },
+  cardFollowing: { boxShadow: '0 0 0 2px #1DB954' },
+  followingLabel: { fontSize: '12px', fontWeight: 'bold', color: '#1DB954', margin: '0 0 6px 0', textTransform: 'uppercase', letterSpacing: '0.5px' },
   cardTitle: { fontSize: '18px', fontWeight: 'bold', color: '#FFFFFF', margin: 0 },
   cardVenue: { fontSize: '14px', color: '#B3B3B3', marginTop: '5px' },
   cardTime: { fontSize: '14px', color: '#1DB954', fontWeight: 'bold', marginTop: '10px' },
-  fab: { position: 'fixed', bottom: '30px', right: '30px', width: '60px', height: '60px', borderRadius: '50%', backgroundColor: '#1DB954', display: 'flex', justifyContent: 'center', alignItems: 'center', boxShadow: '0 4px 6px rgba(0,0,0,0.6)', cursor: 'pointer', border: 'none', fontSize: '28px', zIndex: 1000 },
+  cardSource: { fontSize: '12px', color: '#808080', margin: '6px 0 0 0' },
+  fab: { position: 'fixed', bottom: '90px', right: '30px', width: '60px', height: '60px', borderRadius: '50%', backgroundColor: '#1DB954', display: 'flex', justifyContent: 'center', alignItems: 'center', boxShadow: '0 4px 6px rgba(0,0,0,0.6)', cursor: 'pointer', border: 'none', fontSize: '28px', zIndex: 1000 },
   detailsContainer: { backgroundColor: '#121212' },
   detailsImageContainer: { position: 'relative' },
   detailsImage: { width: '100%', height: '300px', objectFit: 'cover' },
   backButton: { position: 'absolute', top: '20px', left: '20px', backgroundColor: 'rgba(0,0,0,0.5)', width: '40px', height: '40px', borderRadius: '50%', display: 'flex', justifyContent: 'center', alignItems: 'center', color: '#FFFFFF', fontSize: '24px', fontWeight: 'bold', border: 'none', cursor: 'pointer' },
   detailsContent: { padding: '20px' },
+  detailsOfflineBanner: { margin: '0 0 15px 0' },
   detailsTitle: { fontSize: '28px', fontWeight: 'bold', color: '#FFFFFF', margin: 0 },
   detailsSubtitle: { fontSize: '16px', color: '#B3B3B3', marginTop: '5px' },
   separator: { height: '1px', backgroundColor: '#2D2D2D', margin: '20px 0' },
   detailsVenue: { fontSize: '18px', fontWeight: 'bold', color: '#FFFFFF' },
+  detailsVenueLink: { display: 'block', background: 'none', border: 'none', padding: 0, cursor: 'pointer', textAlign: 'left', fontFamily: 'inherit' },
   detailsAddress: { fontSize: '16px', color: '#B3B3B3', marginTop: '5px' },
+  detailsSource: { fontSize: '13px', color: '#808080', marginTop: '5px' },
+  detailsFeedDescription: { fontSize: '15px', color: '#FFFFFF', marginTop: '15px', lineHeight: '1.5', whiteSpace: 'pre-line' },
+  attractionList: { marginTop: '15px', display: 'flex', flexDirection: 'column', gap: '8px' },
+  attractionRow: { display: 'flex', justifyContent: 'space-between', alignItems: 'center' },
+  attractionName: { fontSize: '16px', color: '#FFFFFF' },
+  followButton: { padding: '6px 14px', borderRadius: '20px', border: '1px solid #1DB954', backgroundColor: 'transparent', color: '#1DB954', fontSize: '14px', cursor: 'pointer' },
+  followButtonActive: { backgroundColor: '#1DB954', color: '#FFFFFF', fontWeight: 'bold' },
+  headerBackButton: { padding: 0, marginBottom: '8px', background: 'none', border: 'none', color: '#FFFFFF', fontSize: '22px', cursor: 'pointer' },
+  shortlistLabel: { display: 'flex', flexDirection: 'column', gap: '4px', marginBottom: '15px', fontSize: '12px', color: '#B3B3B3' },
+  shortlistInput: { padding: '10px', borderRadius: '6px', border: '1px solid #2D2D2D', backgroundColor: '#1E1E1E', color: '#FFFFFF', fontSize: '14px' },
+  shortlistRow: { display: 'flex', alignItems: 'center', gap: '10px', padding: '12px', marginBottom: '10px', backgroundColor: '#1E1E1E', borderRadius: '12px' },
+  shortlistRowWinner: { boxShadow: 'inset 0 0 0 2px #1DB954' },
+  shortlistRowMain: { flex: 1, display: 'flex', flexDirection: 'column', gap: '4px', padding: 0, background: 'none', border: 'none', textAlign: 'left', cursor: 'pointer' },
+  shortlistRowName: { fontSize: '16px', fontWeight: 'bold', color: '#FFFFFF' },
+  shortlistRowMeta: { fontSize: '13px', color: '#B3B3B3' },
+  shortlistVoters: { fontSize: '13px', color: '#1DB954' },
+  shortlistRemove: { background: 'none', border: 'none', color: '#808080', fontSize: '18px', cursor: 'pointer' },
+  shortlistHint: { fontSize: '13px', color: '#B3B3B3', margin: '0 0 15px 0' },
+  shortlistWinner: { fontSize: '18px', fontWeight: 'bold', color: '#1DB954', margin: '0 0 15px 0' },
+  reminderCard: { marginBottom: '10px' },
+  reminderKinds: { display: 'flex', flexWrap: 'wrap', gap: '8px', margin: '0 0 10px 0' },
+  reminderChange: { fontSize: '13px', color: '#F5A623', margin: '0 0 10px 0' },
+  detailsReminders: { marginTop: '15px' },
+  detailsRemindersLabel: { fontSize: '14px', fontWeight: 'bold', color: '#FFFFFF', margin: '0 0 8px 0' },
+  notInterestedButton: { marginTop: '8px', padding: 0, background: 'none', border: 'none', color: '#808080', fontSize: '13px', cursor: 'pointer' },
+  venueActions: { display: 'flex', gap: '10px', margin: '15px 0' },
+  venueNote: { borderTop: '1px solid #333', padding: '10px 0' },
+  venueNoteLabel: { fontSize: '15px', fontWeight: 'bold', color: '#FFFFFF', cursor: 'pointer' },
+  venueNoteText: { fontSize: '14px', color: '#B3B3B3', lineHeight: 1.5, margin: '8px 0 0 0', whiteSpace: 'pre-line' },
   detailsDescription: { fontSize: '16px', color: '#FFFFFF', marginTop: '20px', lineHeight: '1.5', fontStyle: 'italic' },
+  detailsHours: { marginTop: '10px' },
+  detailsHoursStatus: { fontSize: '14px', fontWeight: 'bold', color: '#1DB954', margin: '0 0 5px 0' },
+  detailsHoursLine: { fontSize: '14px', color: '#B3B3B3', margin: '2px 0' },
+  detailsVenuePhoto: { width: '100%', height: '160px', objectFit: 'cover', borderRadius: '12px', marginTop: '15px' },
   detailsActions: { padding: '20px' },
   actionButton: { backgroundColor: '#2D2D2D', padding: '15px', borderRadius: '30px', textAlign: 'center', marginBottom: '10px', border: 'none', color: '#FFFFFF', fontSize: '16px', fontWeight: 'bold', width: '100%', cursor: 'pointer' },
   primaryButton: { backgroundColor: '#1DB954' },
@@ -186,149 +698,223 @@ const styles = {
   geminiPlanContainer: { backgroundColor: '#1E1E1E', borderRadius: '12px', padding: '20px', margin: '0 20px 20px 20px' },
   geminiPlanTitle: { fontSize: '20px', fontWeight: 'bold', color: '#FFFFFF', marginBottom: '15px' },
   geminiPlanText: { fontSize: '16px', color: '#E0E0E0', whiteSpace: 'pre-wrap', lineHeight: '1.6' },
+  statusBadge: { display: 'inline-block', padding: '4px 10px', borderRadius: '12px', fontSize: '12px', fontWeight: 'bold', textTransform: 'uppercase', marginBottom: '10px' },
+  statusBadgeTones: {
+    bad: { backgroundColor: '#E53E3E', color: '#FFFFFF' },
+    warning: { backgroundColor: '#DD6B20', color: '#FFFFFF' },
+    muted: { backgroundColor: '#2D2D2D', color: '#B3B3B3' },
+  },
+  ticketInfo: { backgroundColor: '#1E1E1E', borderRadius: '8px', padding: '12px', marginTop: '15px' },
+  ticketPrice: { fontSize: '18px', fontWeight: 'bold', color: '#1DB954', margin: '0 0 6px 0' },
+  ticketSaleWindow: { fontSize: '14px', color: '#B3B3B3', margin: '4px 0 0 0' },
+  timeline: { listStyle: 'none', margin: 0, padding: 0, borderLeft: '2px solid #2D2D2D', marginLeft: '6px' },
+  timelineStep: { position: 'relative', display: 'flex', alignItems: 'flex-start', gap: '10px', padding: '0 0 20px 20px' },
+  timelineDot: { position: 'absolute', left: '-8px', top: '4px', width: '14px', height: '14px', borderRadius: '50%', backgroundColor: '#4A90E2' },
+  timelineDotEvent: { backgroundColor: '#1DB954' },
+  timelineBody: { flex: 1 },
+  timelineTime: { fontSize: '13px', fontWeight: 'bold', color: '#4A90E2', margin: 0 },
+  timelineName: { fontSize: '16px', fontWeight: 'bold', color: '#FFFFFF', margin: '4px 0 0 0' },
+  timelineAddress: { fontSize: '14px', color: '#B3B3B3', margin: '2px 0 0 0' },
+  timelineDescription: { fontSize: '14px', color: '#E0E0E0', margin: '6px 0 0 0', lineHeight: '1.5' },
+  timelineRegenerate: { background: 'none', border: '1px solid #2D2D2D', borderRadius: '50%', width: '30px', height: '30px', color: '#B3B3B3', fontSize: '16px', cursor: 'pointer', flexShrink: 0 },
+  timelineStreaming: { fontSize: '14px', color: '#B3B3B3', fontStyle: 'italic', margin: '0 0 15px 0' },
+  timelineStarter: { display: 'flex', alignItems: 'flex-start', gap: '10px', backgroundColor: '#2D2D2D', borderRadius: '8px', padding: '12px' },
+  planActions: { display: 'flex', gap: '10px', marginTop: '15px' },
+  planActionButton: { flex: 1, padding: '10px', border: 'none', borderRadius: '20px', backgroundColor: '#2D2D2D', color: '#FFFFFF', fontSize: '14px', fontWeight: 'bold', cursor: 'pointer' },
   modalContainer: { position: 'fixed', top: 0, left: 0, right: 0, bottom: 0, display: 'flex', justifyContent: 'center', alignItems: 'center', backgroundColor: 'rgba(0,0,0,0.8)', zIndex: 2000 },
   modalContent: { backgroundColor: '#1E1E1E', borderRadius: '20px', padding: '20px', width: '90%', maxWidth: '380px', textAlign: 'center' },
   modalHeader: { fontSize: '22px', fontWeight: 'bold', color: '#FFFFFF', margin: 0 },
   modalSubHeader: { fontSize: '16px', color: '#B3B3B3', marginBottom: '20px' },
   modalActions: { width: '100%', marginTop: '20px' },
+  constraintChips: { display: 'flex', justifyContent: 'center', gap: '8px', marginBottom: '15px' },
   closeButton: { marginTop: '10px', background: 'none', border: 'none', color: '#B3B3B3', fontSize: '16px', cursor: 'pointer' },
 };
 
-// --- Reusable Components ---
-
-/**
- * A card component to display a single event.
- * @param {{ event: Object, onPress: Function }} props
- */
-const EventCard = ({ event, onPress }) => (
-  <div style={styles.card} onClick={() => onPress(event)}>
-    <img src={event.imageUrl} alt={event.name} style={styles.cardImage} />
-    <div style={styles.cardContent}>
-      <h3 style={styles.cardTitle}>{event.name}</h3>
-      <p style={styles.cardVenue}>{event.venueName} • ⭐ {event.googleData?.rating || 'N/A'}</p>
-      <p style={styles.cardTime}>{new Date(event.date).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}</p>
-    </div>
-  </div>
-);
-
 // --- Screen Components ---
 
-/**
- * The main screen for discovering events.
- */
-const DiscoverScreen = ({ events, onEventSelect, onFindMyNight, timeFilter, setTimeFilter, categoryFilter, setCategoryFilter, radius, setRadius, city, handleCityChange }) => {
-  const [cityInput, setCityInput] = useState(city);
-  const timeCategories = ['Today', 'This Week', 'This Month', 'Next Month'];
-  const eventCategories = ['All', 'Music', 'Sports', 'Social'];
-  const sportsSubCategories = ['NFL', 'NBA', 'MLB', 'NHL'];
-
-  const handleSearch = (e) => {
-    e.preventDefault();
-    handleCityChange(cityInput);
-  };
-
-  return (
-    <div style={styles.container}>
-      <header style={styles.header}>
-        <h1 style={styles.headerTitle}>Events in {city}</h1>
-      </header>
-      
-      <form style={styles.searchContainer} onSubmit={handleSearch}>
-        <input 
-          type="text"
-          value={cityInput}
-          onChange={(e) => setCityInput(e.target.value)}
-          placeholder="Search for a city..."
-          style={styles.searchInput}
-        />
-        <button type="submit" style={styles.searchButton}>Search</button>
-      </form>
-
-      <div style={styles.radiusContainer}>
-        <label htmlFor="radius" style={styles.radiusLabel}>Search Radius: {radius} miles</label>
-        <input
-          type="range"
-          id="radius"
-          min="5"
-          max="100"
-          value={radius}
-          onChange={(e) => setRadius(e.target.value)}
-          style={styles.radiusSlider}
-        />
-      </div>
-
-      <div style={styles.filtersContainer}>
-        <div style={styles.timeFilters}>
-          {timeCategories.map(time => (<button key={time} onClick={() => setTimeFilter(time)} style={{ ...styles.timeFilterButton, ...(timeFilter === time ? styles.timeFilterButtonActive : {}) }}>{time}</button>))}
-        </div>
-        <div style={styles.categoryFilters}>
-          {eventCategories.map(category => (<button key={category} onClick={() => setCategoryFilter(category)} style={{ ...styles.categoryFilterButton, ...(categoryFilter === category ? styles.categoryFilterButtonActive : {}) }}>{category}</button>))}
-          {/* Show sports subcategories only when 'Sports' is selected */}
-          {categoryFilter === 'Sports' && sportsSubCategories.map(subCategory => (<button key={subCategory} onClick={() => setCategoryFilter(subCategory)} style={{ ...styles.categoryFilterButton, ...(categoryFilter === subCategory ? styles.categoryFilterButtonActive : {}) }}>{subCategory}</button>))}
-        </div>
-      </div>
-
-      <main style={styles.eventList}>
-        {events.length > 0 ? (
-          events.map(event => <EventCard key={event.id} event={event} onPress={onEventSelect} />)
-        ) : (
-          <div style={styles.noEventsContainer}><p style={styles.noEventsText}>No events match your filters.</p></div>
-        )}
-      </main>
-
-      <button style={styles.fab} onClick={() => onFindMyNight(events)} aria-label="Find my night">🎲</button>
-    </div>
-  );
-};
-
 /**
  * The screen that shows detailed information about a selected event.
  */
-const EventDetailsScreen = ({ event, onBack }) => {
-  const [plan, setPlan] = useState('');
+const EventDetailsScreen = ({ event, onBack, isSaved, onToggleSave, savedPlan, onSavePlan, followedAttractions, onVenueSelect, shortlistDraft, onOpenShortlist, reminders, onOpenReminders }) => {
+  // A plan saved with the event is shown straight away.
+  const [plan, setPlan] = useState(savedPlan || null);
   const [isPlanning, setIsPlanning] = useState(false);
+  const [planError, setPlanError] = useState('');
+  // The step currently being regenerated ('preEvent', 'postEvent' or 'conversationStarter').
+  const [regeneratingStep, setRegeneratingStep] = useState(null);
+  // Restaurants and bars near the venue, for the night-out estimate.
+  const [nearbySpots, setNearbySpots] = useState(null);
+
+  useEffect(() => {
+    if (!event.coordinates) return undefined;
+    let isCurrent = true;
+    api.fetchNearbySpots(event.coordinates).then(spots => {
+      if (isCurrent) setNearbySpots(spots);
+    });
+    return () => { isCurrent = false; };
+  }, [event.coordinates]);
 
-  // Calls the Gemini API to generate an itinerary.
+  // Asks the model for an itinerary, showing each step as it streams in.
   const handlePlanMyNight = async () => {
     setIsPlanning(true);
-    const result = await api.generateNightPlan(event);
-    setPlan(result);
+    setPlanError('');
+    const result = await api.generateNightPlan(event, setPlan);
+    setPlan(result || null);
+    if (!result) setPlanError("Sorry, I couldn't come up with a plan right now. Check your connection and try again.");
     setIsPlanning(false);
   };
 
+  const handleRegenerateStep = async (stepKey) => {
+    setRegeneratingStep(stepKey);
+    const result = await api.regenerateNightPlanStep(event, plan, stepKey);
+    if (result) setPlan(result);
+    setRegeneratingStep(null);
+  };
+
+  const isPlanSaved = Boolean(plan && savedPlan && plan === savedPlan);
+  const statusBadge = eventStatusBadge(event);
+  const priceRange = formatPriceRange(event.priceRange);
+  const nightCost = estimateNightCost(event, nearbySpots || {});
+  const saleWindows = [
+    ...(event.sales?.presales || []),
+    ...(event.sales?.publicSale ? [{ name: 'General sale', ...event.sales.publicSale }] : []),
+  ];
+  const reminderKinds = reminders.kindsFor(event.id);
+  // "When tickets go on sale" only while there's a sale still to open.
+  const availableReminderKinds = Object.keys(REMINDER_KINDS).filter(kind => kind !== 'onSale' || reminderKinds.includes(kind) || canRemindOnSale(event));
+  const toggleReminder = (kind) => reminders.setKinds(event, reminderKinds.includes(kind) ? reminderKinds.filter(existing => existing !== kind) : [...reminderKinds, kind]);
+
   return (
     <div style={styles.detailsContainer}>
       <div style={styles.detailsImageContainer}>
         <img src={event.imageUrl} alt={event.name} style={styles.detailsImage} />
         <button style={styles.backButton} onClick={onBack}>←</button>
+        <button style={{ ...styles.saveToggle, ...(isSaved ? styles.saveToggleActive : {}), top: '20px', right: '20px' }} onClick={() => onToggleSave(event)} aria-label={isSaved ? 'Remove from saved events' : 'Save event'}>
+          {isSaved ? '♥' : '♡'}
+        </button>
       </div>
       <div style={styles.detailsContent}>
+        {/* The details content is already padded, so the banner drops its own side margins here. */}
+        <OfflineBanner styles={{ ...styles, offlineBanner: { ...styles.offlineBanner, ...styles.detailsOfflineBanner } }} />
+        {statusBadge && <span style={{ ...styles.statusBadge, ...styles.statusBadgeTones[statusBadge.tone] }}>{statusBadge.label}</span>}
         <h1 style={styles.detailsTitle}>{event.name}</h1>
-        <p style={styles.detailsSubtitle}>{new Date(event.date).toLocaleDateString([], { weekday: 'long', month: 'long', day: 'numeric' })} at {new Date(event.date).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}</p>
+        <p style={styles.detailsSubtitle}>{formatEventDate(event)} at {formatEventTime(event)}</p>
         <div style={styles.separator} />
-        <p style={styles.detailsVenue}>{event.venueName}</p>
+        {event.venue?.id ? (
+          <button style={{ ...styles.detailsVenue, ...styles.detailsVenueLink }} onClick={() => onVenueSelect(event.venue)}>{event.venueName} ›</button>
+        ) : (
+          <p style={styles.detailsVenue}>{event.venueName}</p>
+        )}
         <p style={styles.detailsAddress}>{event.address}</p>
-        {event.googleData && <p style={styles.detailsDescription}>Google Rating: {event.googleData.rating} ({event.googleData.userRatingsTotal.toLocaleString()} reviews)</p>}
+        {event.sources?.length > 0 && <p style={styles.detailsSource}>Listed by {event.sources.map(source => source.name).join(', ')}</p>}
+        {/* Only feed events come with a description. */}
+        {event.description && <p style={styles.detailsFeedDescription}>{event.description}</p>}
+        {event.attractions?.length > 0 && (
+          <div style={styles.attractionList}>
+            {event.attractions.map(attraction => {
+              const isFollowing = followedAttractions.isFollowing(attraction.id);
+              return (
+                <div key={attraction.id} style={styles.attractionRow}>
+                  <span style={styles.attractionName}>{attraction.name}</span>
+                  <button style={{ ...styles.followButton, ...(isFollowing ? styles.followButtonActive : {}) }} onClick={() => followedAttractions.toggleFollow(attraction)}>
+                    {isFollowing ? '★ Following' : '☆ Follow'}
+                  </button>
+                </div>
+              );
+            })}
+          </div>
+        )}
+        <div style={styles.ticketInfo}>
+          {priceRange ? <p style={styles.ticketPrice}>🎟️ {priceRange}</p> : <p style={styles.ticketSaleWindow}>🎟️ Ticket prices haven't been announced yet.</p>}
+          {saleWindows.map(saleWindow => (
+            <p key={saleWindow.name} style={styles.ticketSaleWindow}><strong>{saleWindow.name}:</strong> {formatSaleWindow(saleWindow)}</p>
+          ))}
+        </div>
+        <div style={styles.detailsReminders}>
+          <p style={styles.detailsRemindersLabel}>🔔 Remind me</p>
+          <div style={styles.reminderKinds}>
+            {availableReminderKinds.map(kind => (
+              <button key={kind} style={{ ...styles.followButton, ...(reminderKinds.includes(kind) ? styles.followButtonActive : {}) }} onClick={() => toggleReminder(kind)}>
+                {REMINDER_KINDS[kind].label}
+              </button>
+            ))}
+          </div>
+          {reminders.permission === 'denied' && reminderKinds.length > 0 && <p style={styles.shortlistHint}>Notifications are blocked, so these reminders can't reach you.</p>}
+          <button style={styles.headerLink} onClick={onOpenReminders}>Manage reminders ›</button>
+        </div>
+        {/* Only worth showing once there is something to add to the ticket. */}
+        {nightCost?.stops.length > 0 && (
+          <div style={styles.ticketInfo}>
+            <p style={styles.ticketPrice}>💸 Night out: about {formatPriceRange({ ...nightCost.total, currency: nightCost.currency })} per person{!nightCost.ticket && ' plus tickets'}</p>
+            <p style={styles.ticketSaleWindow}>
+              <strong>Tickets:</strong> {nightCost.ticket ? formatPriceRange({ ...nightCost.ticket, currency: nightCost.currency }) : 'not announced, so not included'}
+            </p>
+            {nightCost.stops.map(stop => (
+              <p key={stop.key} style={styles.ticketSaleWindow}>
+                <strong>{stop.label}:</strong> ~{formatPrice(stop.amount, nightCost.currency)} at a typical {'$'.repeat(stop.priceLevel) || 'free'} spot nearby
+              </p>
+            ))}
+          </div>
+        )}
+        {event.googleData && (
+          <div>
+            {event.googleData.rating && <p style={styles.detailsDescription}>Google Rating: {event.googleData.rating} ({(event.googleData.userRatingsTotal || 0).toLocaleString()} reviews){event.googleData.priceLevel > 0 && ` • ${'$'.repeat(event.googleData.priceLevel)}`}</p>}
+            {event.googleData.openingHours && (
+              <div style={styles.detailsHours}>
+                <p style={styles.detailsHoursStatus}>{event.googleData.openingHours.openNow ? 'Open now' : 'Closed now'}</p>
+                {event.googleData.openingHours.weekdayText.map(line => <p key={line} style={styles.detailsHoursLine}>{line}</p>)}
+              </div>
+            )}
+            {event.googleData.photoUrl && <img src={event.googleData.photoUrl} alt={event.venueName} style={styles.detailsVenuePhoto} />}
+          </div>
+        )}
       </div>
       
-      {/* This section only appears after the Gemini plan is generated */}
+      {/* This section only appears once the plan starts streaming in (or was saved earlier) */}
       {plan && (
         <div style={styles.geminiPlanContainer}>
             <h2 style={styles.geminiPlanTitle}>✨ Your AI-Powered Itinerary</h2>
-            <p style={styles.geminiPlanText}>{plan}</p>
+            <ItineraryTimeline plan={plan} isStreaming={isPlanning} regeneratingStep={regeneratingStep} onRegenerateStep={handleRegenerateStep} styles={styles} />
+            {!isPlanning && (
+              <div style={styles.planActions}>
+                <button style={styles.planActionButton} onClick={() => onSavePlan(event, plan)} disabled={isPlanSaved}>
+                  {isPlanSaved ? '✓ Plan saved' : '💾 Save plan'}
+                </button>
+              </div>
+            )}
+        </div>
+      )}
+      {planError && (
+        <div style={styles.geminiPlanContainer}>
+            <p style={styles.geminiPlanText}>{planError}</p>
         </div>
       )}
 
       <div style={styles.detailsActions}>
         <button style={{...styles.actionButton, ...styles.geminiButton}} onClick={handlePlanMyNight} disabled={isPlanning}>
-          {isPlanning ? 'Planning...' : <>✨ Plan My Night</>}
+          {isPlanning ? 'Planning...' : <>✨ {plan ? 'Plan a Different Night' : 'Plan My Night'}</>}
         </button>
-        <button style={{...styles.actionButton, ...styles.primaryButton}}>
+        <button style={{...styles.actionButton, ...styles.primaryButton}} onClick={() => window.open(directionsUrl(event), '_blank', 'noopener')}>
           Get Directions
         </button>
-        <button style={styles.actionButton}>
-          Buy Tickets
+        <button style={styles.actionButton} onClick={() => window.open(event.url, '_blank', 'noopener')} disabled={!canBuyTickets(event)}>
+          {statusBadge?.label === 'Sold out' ? 'Check for Resale Tickets' : 'Buy Tickets'}
+        </button>
+        <button style={styles.actionButton} onClick={() => downloadICalendar([event], event.name)}>
+          📅 Add to Calendar
+        </button>
+        <button style={styles.actionButton} onClick={() => onToggleSave(event)}>
+          {isSaved ? '♥ Saved' : '♡ Save Event'}
+        </button>
+        {/* "Plan with friends": collect a shortlist, then share it for the group to vote on. */}
+        <button style={styles.actionButton} onClick={() => shortlistDraft.toggleShortlisted(event)} disabled={!shortlistDraft.isShortlisted(event.id) && shortlistDraft.isFull}>
+          {shortlistDraft.isShortlisted(event.id) ? '✓ On your shortlist' : '👥 Add to shortlist'}
         </button>
+        {shortlistDraft.events.length > 0 && (
+          <button style={styles.actionButton} onClick={onOpenShortlist}>
+            Plan with friends ({shortlistDraft.events.length}) ›
+          </button>
+        )}
       </div>
     </div>
   );
@@ -336,20 +922,46 @@ const EventDetailsScreen = ({ event, onBack }) => {
 
 /**
  * A modal component for the "Find My Night" feature.
+ * Shows the current suggestion, or a hint to relax the constraints when nothing is left to suggest.
  */
-const FindMyNightModal = ({ visible, event, onAccept, onRetry, onClose }) => {
-  if (!visible || !event) return null;
+const FindMyNightModal = ({ visible, event, constraints, onToggleConstraint, onAccept, onRetry, onClose }) => {
+  if (!visible) return null;
+
+  const constraintChips = (
+    <div style={styles.constraintChips}>
+      {Object.entries(FIND_MY_NIGHT_CONSTRAINTS).map(([key, label]) => (
+        <button key={key} onClick={() => onToggleConstraint(key)} style={{ ...styles.categoryFilterButton, marginRight: 0, ...(constraints[key] ? styles.categoryFilterButtonActive : {}) }}>
+          {label}
+        </button>
+      ))}
+    </div>
+  );
+
+  if (!event) {
+    return (
+      <div style={styles.modalContainer} onClick={onClose}>
+        <div style={styles.modalContent} onClick={(e) => e.stopPropagation()}>
+          <h2 style={styles.modalHeader}>Out of ideas!</h2>
+          <p style={styles.modalSubHeader}>You've seen every event that fits. Try loosening the filters.</p>
+          {constraintChips}
+          <button style={styles.closeButton} onClick={onClose}>Close</button>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div style={styles.modalContainer} onClick={onClose}>
       <div style={styles.modalContent} onClick={(e) => e.stopPropagation()}>
         <h2 style={styles.modalHeader}>Your night is planned!</h2>
         <p style={styles.modalSubHeader}>How about some {event.category.toLowerCase()}?</p>
+        {constraintChips}
         <div style={styles.card} onClick={() => { onAccept(); onClose(); }}>
           <img src={event.imageUrl} alt={event.name} style={styles.cardImage} />
           <div style={styles.cardContent}>
             <h3 style={styles.cardTitle}>{event.name}</h3>
             <p style={styles.cardVenue}>{event.venueName} • ⭐ {event.googleData?.rating || 'N/A'}</p>
-            <p style={styles.cardTime}>{new Date(event.date).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}</p>
+            <p style={styles.cardTime}>{formatEventTime(event)}</p>
           </div>
         </div>
         <div style={styles.modalActions}>
@@ -369,81 +981,289 @@ const FindMyNightModal = ({ visible, event, onAccept, onRetry, onClose }) => {
 // --- Main App Component ---
 // This is the root component that manages the overall state and renders other components.
 export default function App() {
-  // Modular applicaqtion state management using React hooks.
-  const [activeModule, setActiveModule] = useState('Sports'); // Sports Module
-  // State for storing all events fetched from the API.
-  
-  // State to show a loading indicator while fetching data.
- 
-  // State to track which event is currently selected to view details.
-  const [selectedEvent, setSelectedEvent] = useState(null);
+  // The module, search, filters and open event all live in the URL (see router.js).
+  const { route, historyState, navigate, updateState } = useRoute();
+  const { searchParams, filters } = route;
+  // The details screen goes back to the module it was opened from.
+  const activeModule = historyState?.module || route.module;
+  // The event last opened from a list, so its details show without loading it again.
+  const [openedEvent, setOpenedEvent] = useState(null);
+  // An event loaded by id, for event links opened directly: { id, event, status: 'loading'|'ok'|'not-found' }.
+  const [linkedEvent, setLinkedEvent] = useState(null);
   // State for the "Find My Night" modal visibility.
   const [findMyNightVisible, setFindMyNightVisible] = useState(false);
   // State for the event suggested by "Find My Night".
   const [suggestedEvent, setSuggestedEvent] = useState(null);
-  // State for the active time filter ('Today', 'This Week', etc.).
-  
-  // State for the active category filter ('All', 'Music', etc.).
-  
-  // State for the search radius slider.
-  const [searchParams, setSearchParams] = useState({ city: 'Denver', stateCode: 'CO', radius: 50 });
+  // Opens, saves, filters and "Not interested" taps, which rank the Home feed.
+  const tasteProfile = useTasteProfile();
+  // Saved events ("My Events"), persisted to localStorage. Every save also counts towards the taste profile.
+  const storedSavedEvents = useSavedEvents();
+  const savedEvents = {
+    ...storedSavedEvents,
+    toggleSaved: (event) => {
+      if (!storedSavedEvents.isSaved(event.id)) tasteProfile.record('save', event);
+      storedSavedEvents.toggleSaved(event);
+    },
+  };
+  // Followed teams and artists, for the Following tab and highlighting.
+  const followedAttractions = useFollowedAttractions();
+  const followedVenues = useFollowedVenues();
+  // The "Plan with friends" shortlist being put together, and the ones shared from this device.
+  const shortlistDraft = useShortlistDraft();
+  // Subscribed event feeds. Searches cover them and Ticketmaster at once, through eventsApi.
+  const eventFeeds = useEventFeeds(api, { ttlMs: SEARCH_CACHE_TTL_MINUTES * 60 * 1000 });
+  const eventsApi = useMemo(() => ({ ...cachedApi, ...combineProviders([ticketmasterProvider, ...eventFeeds.providers]) }), [eventFeeds.providers]);
+  // Event reminders. A change found when re-checking a reminded event also updates its saved copy.
+  const reminders = useReminders(eventsApi, { onEventChanged: storedSavedEvents.refreshSavedEvent });
+  // The venue last opened from an event, so its page shows without loading it again.
+  const [openedVenue, setOpenedVenue] = useState(null);
+  // The events Find My Night picks from, and which of them match the active module's filters.
+  const [findMyNightPool, setFindMyNightPool] = useState({ events: [], preferredIds: new Set() });
+  // Hard constraints toggled in the Find My Night modal ('tonightOnly', 'under50').
+  const [findMyNightConstraints, setFindMyNightConstraints] = useState({});
+  // Every event suggested this session, so "Try Again" never repeats one.
+  const shownSuggestionIds = useRef(new Set());
+  // Replays actions taken offline once the app reconnects. A handler returning false leaves its action queued.
+  useOfflineQueue({
+    refreshSavedEvent: async ({ eventId }) => {
+      if (!navigator.onLine) return false;
+      const event = await eventsApi.fetchEventById(eventId);
+      if (!event) return false;
+      savedEvents.refreshSavedEvent(event);
+      return true;
+    },
+    castShortlistVote: async ({ shortlistId, vote }) => {
+      if (!navigator.onLine) return false;
+      await shortlistSync.castVote(shortlistId, vote);
+      return true;
+    },
+  });
+
+  const savedEvent = route.eventId && [...savedEvents.upcoming, ...savedEvents.archived].find(event => event.id === route.eventId);
+  const selectedEvent = !route.eventId ? null
+    : openedEvent?.id === route.eventId ? openedEvent
+    : savedEvent || (linkedEvent?.id === route.eventId ? linkedEvent.event : null);
+
+  // An event link opened directly (or after a refresh): load the event by id.
+  useEffect(() => {
+    if (!route.eventId || selectedEvent || linkedEvent?.id === route.eventId) return;
+    const eventId = route.eventId;
+    setLinkedEvent({ id: eventId, event: null, status: 'loading' });
+    eventsApi.fetchEventById(eventId).then(event => {
+      setLinkedEvent(current => (current?.id === eventId ? { id: eventId, event, status: event ? 'ok' : 'not-found' } : current));
+    });
+  }, [route.eventId, selectedEvent, linkedEvent, eventsApi]);
+
+  // Back from an event or venue to a list, return to where the user was scrolled when they opened it.
+  const detailId = route.eventId || route.venueId;
+  const previousDetailId = useRef(detailId);
+  useEffect(() => {
+    const cameFromDetails = previousDetailId.current && !detailId;
+    previousDetailId.current = detailId;
+    if (!cameFromDetails) return undefined;
+    const frame = requestAnimationFrame(() => window.scrollTo(0, historyState?.scrollY || 0));
+    return () => cancelAnimationFrame(frame);
+  }, [detailId, historyState]);
 
   // --- Event Handlers ---
+  // Opens an event's page. Without the event itself (e.g. from a shared shortlist, which only has a few fields) it is loaded by id.
+  const handleEventIdSelect = (eventId) => {
+    updateState({ scrollY: window.scrollY });
+    navigate(buildEventUrl(eventId), { state: { module: activeModule, fromList: true } });
+    window.scrollTo(0, 0);
+  };
   const handleEventSelect = (event) => {
+    tasteProfile.record('open', event);
+    setOpenedEvent(event);
+    handleEventIdSelect(event.id);
+  };
+  const handleVenueSelect = (venue) => {
+    updateState({ scrollY: window.scrollY });
+    setOpenedVenue(venue);
+    navigate(buildVenueUrl(venue.id), { state: { module: activeModule, fromList: true } });
     window.scrollTo(0, 0);
-    setSelectedEvent(event);
   };
-  const handleBack = () => { setSelectedEvent(null); };
+  const handleBack = () => {
+    // A link opened directly has no list behind it in the history, so go to the module instead.
+    if (historyState?.fromList) window.history.back();
+    else navigate(buildModuleUrl(activeModule, searchParams), { replace: true });
+  };
+  const handleModuleSelect = (module) => navigate(buildModuleUrl(module, searchParams));
+  const handleOpenSharedShortlist = (entry) => navigate(buildShortlistUrl(entry.id, entry.data), { state: { module: 'Shortlist', fromList: true } });
+  // Once shared, the shortlist lives at its link, so the next one starts from scratch.
+  const handleShortlistShared = (entry) => {
+    shortlistDraft.rememberShared(entry);
+    shortlistDraft.clear();
+    handleOpenSharedShortlist(entry);
+  };
+  const handleSearch = (params) => navigate(buildModuleUrl(activeModule, params, filters));
+  // Filter changes replace the current entry rather than filling the back button with every tap.
+  // `facets` are the chips on screen, to tell which classification each picked chip stands for.
+  const handleFiltersChange = (changes, facets = []) => {
+    // Genre and league chips picked on a module tab tell us what the user likes. (Home's chips are just the modules.)
+    if (activeModule !== 'Home' && 'category' in changes) {
+      const previous = parseFacetSelection(filters.category);
+      const added = parseFacetSelection(changes.category).filter(key => !previous.includes(key));
+      if (added.length > 0) tasteProfile.record('filter', resolveSelection(added, facets));
+    }
+    navigate(buildModuleUrl(activeModule, searchParams, { ...filters, ...changes }), { replace: true });
+  };
  
+  // Picks the next Find My Night suggestion and remembers it, so it isn't suggested again.
+  const suggestEvent = (pool, constraints) => {
+    const event = pickWeightedEvent(pool.events, {
+      preferredIds: pool.preferredIds,
+      savedEvents: savedEvents.upcoming,
+      excludeIds: shownSuggestionIds.current,
+      constraints,
+    });
+    if (event) shownSuggestionIds.current.add(event.id);
+    setSuggestedEvent(event);
+  };
+
+  // Called by the 🎲 button on each module with everything it has loaded and what its filters show.
+  const handleFindMyNight = (events, filteredEvents) => {
+    const pool = { events, preferredIds: new Set(filteredEvents.map(event => event.id)) };
+    setFindMyNightPool(pool);
+    suggestEvent(pool, findMyNightConstraints);
+    setFindMyNightVisible(true);
+  };
+
+  const handleToggleConstraint = (key) => {
+    const constraints = { ...findMyNightConstraints, [key]: !findMyNightConstraints[key] };
+    setFindMyNightConstraints(constraints);
+    suggestEvent(findMyNightPool, constraints);
+  };
+
   const handleAcceptSuggestion = () => {
     setFindMyNightVisible(false);
-    setTimeout(() => {
-      window.scrollTo(0, 0);
-      setSelectedEvent(suggestedEvent);
-    }, 100);
+    setTimeout(() => handleEventSelect(suggestedEvent), 100);
   };
 
   let content; 
 
   // 2. We check which module is currently active.
-  if (activeModule === 'Sports') {
+  if (activeModule === 'Home') {
+    content = <DiscoverScreen onEventSelect={handleEventSelect} api={eventsApi} styles={styles} searchParams={searchParams} filters={filters} onFiltersChange={handleFiltersChange} savedEvents={savedEvents} followedAttractions={followedAttractions} tasteProfile={tasteProfile} onFindMyNight={handleFindMyNight} onOpenSources={() => handleModuleSelect('Sources')} />;
+  } else if (activeModule === 'Sports') {
     // If 'Sports' is active, we put the SportsScreen component into our placeholder.
-    content = <SportsScreen onEventSelect={handleEventSelect} api={api} styles={styles} searchParams={searchParams} />;
+    content = <SportsScreen onEventSelect={handleEventSelect} api={eventsApi} styles={styles} searchParams={searchParams} filters={filters} onFiltersChange={handleFiltersChange} savedEvents={savedEvents} followedAttractions={followedAttractions} onFindMyNight={handleFindMyNight} />;
   } else if (activeModule === 'Music') {
-    // Otherwise, we show a "Coming Soon" message for Music...
-    content = <MusicScreen onEventSelect={handleEventSelect} api={api} styles={styles} searchParams={searchParams}/>;
+    content = <MusicScreen onEventSelect={handleEventSelect} api={eventsApi} styles={styles} searchParams={searchParams} filters={filters} onFiltersChange={handleFiltersChange} savedEvents={savedEvents} followedAttractions={followedAttractions} onFindMyNight={handleFindMyNight} />;
+  } else if (activeModule === 'Social') {
+    // Social covers everything that is neither Music nor Sports (theatre, comedy, festivals, family).
+    content = <SocialScreen onEventSelect={handleEventSelect} api={eventsApi} styles={styles} searchParams={searchParams} filters={filters} onFiltersChange={handleFiltersChange} savedEvents={savedEvents} onFindMyNight={handleFindMyNight} />;
+  } else if (activeModule === 'Shortlist') {
+    content = <ShortlistScreen shortlistDraft={shortlistDraft} onEventSelect={handleEventSelect} onShared={handleShortlistShared} onOpenShared={handleOpenSharedShortlist} styles={styles} />;
+  } else if (activeModule === 'Reminders') {
+    content = <RemindersScreen reminders={reminders} onBack={() => handleModuleSelect('Saved')} onEventSelect={handleEventSelect} styles={styles} />;
+  } else if (activeModule === 'Sources') {
+    content = <SourcesScreen eventFeeds={eventFeeds} onBack={() => handleModuleSelect('Home')} styles={styles} />;
+  } else if (activeModule === 'Following') {
+    content = <FollowingScreen onEventSelect={handleEventSelect} onVenueSelect={handleVenueSelect} api={eventsApi} styles={styles} savedEvents={savedEvents} followedAttractions={followedAttractions} followedVenues={followedVenues} />;
   } else {
-    // ...and for Social.
-    content = <div style={styles.container}><h1 style={styles.headerTitle}>Social Coming Soon</h1></div>;
+    content = <SavedScreen onEventSelect={handleEventSelect} styles={styles} savedEvents={savedEvents} onFindMyNight={handleFindMyNight} onOpenReminders={() => handleModuleSelect('Reminders')} />;
   }
 
 
-  // Main render logic: show details screen if an event is selected, otherwise show the discover screen.
+  // Main render logic: show details screen on an event route, otherwise show the active module.
   return (
     <div style={styles.safeArea}>
-      {selectedEvent ? (
-        <EventDetailsScreen event={selectedEvent} onBack={handleBack} />
+      {route.eventId && !selectedEvent ? (
+        <div style={{ ...styles.safeArea, ...styles.loadingContainer }}>
+          {linkedEvent?.status === 'not-found' ? (
+            <>
+              <p style={styles.noEventsText}>We couldn't find that event. It may have been removed.</p>
+              <button style={styles.retryButton} onClick={handleBack}>Browse events</button>
+            </>
+          ) : (
+            <>
+              <LoadingSpinner styles={styles} />
+              <p style={styles.loadingText}>Loading event...</p>
+            </>
+          )}
+        </div>
+      ) : selectedEvent ? (
+        <EventDetailsScreen
+          key={selectedEvent.id}
+          event={selectedEvent}
+          onBack={handleBack}
+          isSaved={savedEvents.isSaved(selectedEvent.id)}
+          onToggleSave={savedEvents.toggleSaved}
+          savedPlan={savedEvents.getPlan(selectedEvent.id)}
+          onSavePlan={savedEvents.savePlan}
+          followedAttractions={followedAttractions}
+          onVenueSelect={handleVenueSelect}
+          shortlistDraft={shortlistDraft}
+          onOpenShortlist={() => handleModuleSelect('Shortlist')}
+          reminders={reminders}
+          onOpenReminders={() => handleModuleSelect('Reminders')}
+        />
+      ) : route.venueId ? (
+        <VenueScreen
+          key={route.venueId}
+          venueId={route.venueId}
+          initialVenue={openedVenue?.id === route.venueId ? openedVenue : null}
+          api={eventsApi}
+          onBack={handleBack}
+          onEventSelect={handleEventSelect}
+          styles={styles}
+          savedEvents={savedEvents}
+          followedAttractions={followedAttractions}
+          followedVenues={followedVenues}
+        />
+      ) : route.shortlist ? (
+        <GroupVoteScreen
+          key={route.shortlist.id}
+          shortlistId={route.shortlist.id}
+          data={route.shortlist.data}
+          syncBackend={shortlistSync}
+          onBack={handleBack}
+          onEventSelect={handleEventIdSelect}
+          styles={styles}
+        />
       ) : (
         <>
-          <SearchControls initialParams={searchParams} onSearch={setSearchParams} styles={styles} />
+          {/* Saved and followed events and the shortlist aren't tied to a search, so those screens have no search controls. */}
+          {!UNSEARCHED_MODULES.includes(activeModule) && <SearchControls key={JSON.stringify(searchParams)} initialParams={searchParams} onSearch={handleSearch} styles={styles} api={cachedApi} />}
           {content}
         </>
       )}
 
-      <FindMyNightModal visible={findMyNightVisible} event={suggestedEvent} onAccept={handleAcceptSuggestion} onRetry={() => setFindMyNightVisible(false)} set onClose={() => setFindMyNightVisible(false)} />
+      <FindMyNightModal
+        visible={findMyNightVisible}
+        event={suggestedEvent}
+        constraints={findMyNightConstraints}
+        onToggleConstraint={handleToggleConstraint}
+        onAccept={handleAcceptSuggestion}
+        onRetry={() => suggestEvent(findMyNightPool, findMyNightConstraints)}
+        onClose={() => setFindMyNightVisible(false)}
+      />
         <nav style={styles.bottomNav}>
-          <button style={{...styles.navButton, ...(activeModule === 'Sports' ? styles.navButtonActive : {})}} onClick={() => setActiveModule('Sports')}>
+          <button style={{...styles.navButton, ...(activeModule === 'Home' ? styles.navButtonActive : {})}} onClick={() => handleModuleSelect('Home')}>
+              🏠
+              <span style={styles.navButtonText}>Home</span>
+          </button>
+          <button style={{...styles.navButton, ...(activeModule === 'Sports' ? styles.navButtonActive : {})}} onClick={() => handleModuleSelect('Sports')}>
               🏟️
               <span style={styles.navButtonText}>Sports</span>
           </button>
-          <button style={{...styles.navButton, ...(activeModule === 'Music' ? styles.navButtonActive : {})}} onClick={() => setActiveModule('Music')}>
+          <button style={{...styles.navButton, ...(activeModule === 'Music' ? styles.navButtonActive : {})}} onClick={() => handleModuleSelect('Music')}>
               🎵
               <span style={styles.navButtonText}>Music</span>
           </button>
-          <button style={{...styles.navButton, ...(activeModule === 'Social' ? styles.navButtonActive : {})}} onClick={() => setActiveModule('Social')}>
+          <button style={{...styles.navButton, ...(activeModule === 'Social' ? styles.navButtonActive : {})}} onClick={() => handleModuleSelect('Social')}>
               🍻
               <span style={styles.navButtonText}>Social</span>
           </button>
+          <button style={{...styles.navButton, ...(activeModule === 'Following' ? styles.navButtonActive : {})}} onClick={() => handleModuleSelect('Following')}>
+              ⭐
+              <span style={styles.navButtonText}>Following</span>
+          </button>
+          <button style={{...styles.navButton, ...(activeModule === 'Saved' ? styles.navButtonActive : {})}} onClick={() => handleModuleSelect('Saved')}>
+              🔖
+              <span style={styles.navButtonText}>Saved</span>
+          </button>
       </nav> 
     </div>
   );
@@ -0,0 +1,98 @@
+import React, { useMemo } from 'react';
+import { EventCard, LoadingSpinner, SearchErrorState, DemoDataBanner, OfflineBanner, LastUpdated, PullToRefreshIndicator, TimeFilterBar, PriceFilterBar, FacetChips } from './SharedComponents';
+import { filterEvents } from './eventFilters';
+import { parseFacetSelection, formatFacetSelection } from './facets';
+import { buildHomeSections } from './recommendations';
+import useHomeFeed from './useHomeFeed';
+import usePullToRefresh from './usePullToRefresh';
+
+// --- Home (Discover) Module Component ---
+// Sports, Music and Social in one feed, ranked for the user (see recommendations.js).
+
+const MODULES = ['Sports', 'Music', 'Social'];
+
+// The module an event belongs to; Social is everything that is neither Music nor Sports.
+const moduleOf = (event) => (MODULES.includes(event.category) ? event.category : 'Social');
+
+export default function DiscoverScreen({ onEventSelect, api, styles, searchParams, filters, onFiltersChange, savedEvents, followedAttractions, tasteProfile, onFindMyNight, onOpenSources }) {
+  const { events, status, error, isLoading, isRefreshing, lastUpdated, refresh } = useHomeFeed(api, searchParams);
+  const { pullHandlers, pullDistance, isPastThreshold } = usePullToRefresh(refresh);
+  // The module chips work like the genre chips on the module tabs, and live in the URL the same way.
+  const selection = useMemo(() => parseFacetSelection(filters.category), [filters.category]);
+  const setSelection = (keys) => onFiltersChange({ category: formatFacetSelection(keys) });
+
+  // The chip counts are for the events that pass the date filters.
+  const timeFilteredEvents = useMemo(() => filterEvents(events, filters), [events, filters]);
+  const moduleFacets = useMemo(() => MODULES.map(module => ({
+    key: module,
+    count: timeFilteredEvents.filter(event => moduleOf(event) === module).length,
+  })), [timeFilteredEvents]);
+  const filteredEvents = useMemo(
+    () => (selection.length ? timeFilteredEvents.filter(event => selection.includes(moduleOf(event))) : timeFilteredEvents),
+    [timeFilteredEvents, selection]
+  );
+  const sections = useMemo(() => buildHomeSections(filteredEvents, { signals: tasteProfile.signals, dismissals: tasteProfile.dismissals }), [filteredEvents, tasteProfile.signals, tasteProfile.dismissals]);
+
+  if (isLoading) {
+    return (
+      <div style={{ ...styles.safeArea, ...styles.loadingContainer }}>
+        <LoadingSpinner styles={styles} />
+        <p style={styles.loadingText}>Finding things to do in {searchParams.city}...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div style={styles.container} {...pullHandlers}>
+      <PullToRefreshIndicator pullDistance={pullDistance} isPastThreshold={isPastThreshold} styles={styles} />
+      <header style={styles.header}>
+        <h1 style={styles.headerTitle}>For you in {searchParams.city}</h1>
+        {status !== 'error' && <LastUpdated timestamp={lastUpdated} isRefreshing={isRefreshing} onRefresh={refresh} styles={styles} />}
+        <button style={styles.headerLink} onClick={onOpenSources}>Event sources ›</button>
+      </header>
+
+      <div style={styles.filtersContainer}>
+        <TimeFilterBar filters={filters} onChange={onFiltersChange} styles={styles} />
+        <PriceFilterBar filters={filters} events={events} onChange={onFiltersChange} styles={styles} />
+        <FacetChips facets={moduleFacets} selection={selection} onChange={setSelection} allLabel="All" styles={styles} />
+      </div>
+
+      {status === 'demo' && <DemoDataBanner styles={styles} />}
+      <OfflineBanner lastUpdated={status !== 'error' ? lastUpdated : null} styles={styles} />
+
+      <main style={styles.eventList}>
+        {status === 'error' && <SearchErrorState error={error} onRetry={refresh} styles={styles} />}
+        {status === 'empty' && (
+          <div style={styles.noEventsContainer}>
+            <p style={styles.noEventsText}>Nothing on within {searchParams.radius} miles of {searchParams.city}. Try a bigger radius.</p>
+          </div>
+        )}
+        {(status === 'ok' || status === 'demo' || events.length > 0) && (sections.length > 0 ? (
+          sections.map(section => (
+            <section key={section.key}>
+              <h2 style={styles.dateGroupHeader}>{section.title}</h2>
+              {section.events.map(event => (
+                <EventCard
+                  key={event.id}
+                  event={event}
+                  onPress={onEventSelect}
+                  styles={styles}
+                  isSaved={savedEvents.isSaved(event.id)}
+                  onToggleSave={savedEvents.toggleSaved}
+                  following={followedAttractions.followedIn(event)}
+                  onNotInterested={(dismissed) => tasteProfile.record('notInterested', dismissed)}
+                />
+              ))}
+            </section>
+          ))
+        ) : (
+          <div style={styles.noEventsContainer}>
+            <p style={styles.noEventsText}>No events match your filters.</p>
+          </div>
+        ))}
+      </main>
+
+      <button style={styles.fab} onClick={() => onFindMyNight(events, filteredEvents)} aria-label="Find my night">🎲</button>
+    </div>
+  );
+}
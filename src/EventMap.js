@@ -0,0 +1,167 @@
+import React, { useState, useMemo, useEffect, useRef } from 'react';
+import { formatEventDate, formatEventTime } from './eventFilters';
+
+// --- Event Map ---
+// A lightweight slippy map built from OpenStreetMap tiles. Events are clustered by venue: each
+// venue gets one marker with a count, and tapping it opens a popup listing that venue's events.
+
+const TILE_SIZE = 256;
+const MAP_WIDTH = 380;
+const MAP_HEIGHT = 420;
+const MIN_ZOOM = 3;
+const MAX_ZOOM = 17;
+const TILE_URL = (z, x, y) => `https://tile.openstreetmap.org/${z}/${x}/${y}.png`;
+
+// Web Mercator projection to world pixel coordinates at a zoom level.
+const project = ({ lat, lng }, zoom) => {
+  const scale = TILE_SIZE * 2 ** zoom;
+  const sinLat = Math.sin(lat * Math.PI / 180);
+  return {
+    x: (lng + 180) / 360 * scale,
+    y: (0.5 - Math.log((1 + sinLat) / (1 - sinLat)) / (4 * Math.PI)) * scale,
+  };
+};
+
+const unproject = ({ x, y }, zoom) => {
+  const scale = TILE_SIZE * 2 ** zoom;
+  const n = Math.PI - 2 * Math.PI * y / scale;
+  return { lat: 180 / Math.PI * Math.atan(Math.sinh(n)), lng: x / scale * 360 - 180 };
+};
+
+/**
+ * Groups events by venue. Events without usable coordinates can't be placed and are left out.
+ * @returns {Array<{ key: string, venueName: string, coordinates: Object, events: Array }>}
+ */
+export const clusterByVenue = (events) => {
+  const clusters = new Map();
+  events.forEach(event => {
+    if (!Number.isFinite(event.coordinates?.lat) || !Number.isFinite(event.coordinates?.lng)) return;
+    const key = `${event.venueName}|${event.coordinates.lat.toFixed(4)},${event.coordinates.lng.toFixed(4)}`;
+    if (!clusters.has(key)) clusters.set(key, { key, venueName: event.venueName, coordinates: event.coordinates, events: [] });
+    clusters.get(key).events.push(event);
+  });
+  return [...clusters.values()];
+};
+
+// The highest zoom at which every cluster fits on screen, and the centre of their bounds.
+const fitBounds = (clusters) => {
+  const lats = clusters.map(cluster => cluster.coordinates.lat);
+  const lngs = clusters.map(cluster => cluster.coordinates.lng);
+  const southWest = { lat: Math.min(...lats), lng: Math.min(...lngs) };
+  const northEast = { lat: Math.max(...lats), lng: Math.max(...lngs) };
+  let zoom = MAX_ZOOM - 3; // Don't zoom in all the way on a single venue.
+  while (zoom > MIN_ZOOM) {
+    const sw = project(southWest, zoom);
+    const ne = project(northEast, zoom);
+    if (ne.x - sw.x < MAP_WIDTH - 60 && sw.y - ne.y < MAP_HEIGHT - 60) break;
+    zoom -= 1;
+  }
+  const sw = project(southWest, zoom);
+  const ne = project(northEast, zoom);
+  return { zoom, center: unproject({ x: (sw.x + ne.x) / 2, y: (sw.y + ne.y) / 2 }, zoom) };
+};
+
+/**
+ * @param {{ events: Array, searchKey: string, onEventSelect: Function, styles: Object }} props
+ *   `searchKey` identifies the search the events come from. The map fits itself to the venues of
+ *   each new search; filtering within a search keeps the user's pan and zoom.
+ */
+export default function EventMap({ events, searchKey, onEventSelect, styles }) {
+  const clusters = useMemo(() => clusterByVenue(events), [events]);
+  const [view, setView] = useState(() => (clusters.length > 0 ? fitBounds(clusters) : null));
+  const [openCluster, setOpenCluster] = useState(null);
+  const dragStart = useRef(null);
+  // The search the view was last fitted to.
+  const fittedSearch = useRef(clusters.length > 0 ? searchKey : null);
+
+  useEffect(() => {
+    setOpenCluster(null);
+    if (clusters.length === 0 || fittedSearch.current === searchKey) return;
+    fittedSearch.current = searchKey;
+    setView(fitBounds(clusters));
+  }, [clusters, searchKey]);
+
+  const unplacedCount = events.length - clusters.reduce((count, cluster) => count + cluster.events.length, 0);
+
+  if (!view || clusters.length === 0) {
+    return (
+      <div style={styles.noEventsContainer}>
+        <p style={styles.noEventsText}>None of these events have a location to show on the map.</p>
+      </div>
+    );
+  }
+
+  const centerPixel = project(view.center, view.zoom);
+  const topLeft = { x: centerPixel.x - MAP_WIDTH / 2, y: centerPixel.y - MAP_HEIGHT / 2 };
+  const tileCount = 2 ** view.zoom;
+  const tiles = [];
+  for (let tileX = Math.floor(topLeft.x / TILE_SIZE); tileX * TILE_SIZE < topLeft.x + MAP_WIDTH; tileX++) {
+    for (let tileY = Math.floor(topLeft.y / TILE_SIZE); tileY * TILE_SIZE < topLeft.y + MAP_HEIGHT; tileY++) {
+      if (tileY < 0 || tileY >= tileCount) continue;
+      const wrappedX = ((tileX % tileCount) + tileCount) % tileCount;
+      tiles.push({ key: `${tileX}-${tileY}`, url: TILE_URL(view.zoom, wrappedX, tileY), left: tileX * TILE_SIZE - topLeft.x, top: tileY * TILE_SIZE - topLeft.y });
+    }
+  }
+
+  const zoomBy = (delta) => setView(current => ({ ...current, zoom: Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, current.zoom + delta)) }));
+
+  // Drag to pan.
+  const handlePointerDown = (e) => {
+    dragStart.current = { x: e.clientX, y: e.clientY, center: centerPixel };
+  };
+  const handlePointerMove = (e) => {
+    if (!dragStart.current) return;
+    const { x, y, center } = dragStart.current;
+    setView(current => ({ ...current, center: unproject({ x: center.x - (e.clientX - x), y: center.y - (e.clientY - y) }, current.zoom) }));
+  };
+  const handlePointerUp = () => { dragStart.current = null; };
+
+  return (
+    <div>
+      <div
+        style={{ ...styles.mapContainer, width: `${MAP_WIDTH}px`, height: `${MAP_HEIGHT}px` }}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerLeave={handlePointerUp}
+      >
+        {tiles.map(tile => (
+          <img key={tile.key} src={tile.url} alt="" draggable={false} style={{ ...styles.mapTile, left: `${tile.left}px`, top: `${tile.top}px` }} />
+        ))}
+        {clusters.map(cluster => {
+          const point = project(cluster.coordinates, view.zoom);
+          return (
+            <button
+              key={cluster.key}
+              style={{ ...styles.mapMarker, left: `${point.x - topLeft.x}px`, top: `${point.y - topLeft.y}px`, ...(openCluster === cluster.key ? styles.mapMarkerActive : {}) }}
+              onPointerDown={(e) => e.stopPropagation()}
+              onClick={() => setOpenCluster(openCluster === cluster.key ? null : cluster.key)}
+              aria-label={`${cluster.venueName}: ${cluster.events.length} events`}
+            >
+              {cluster.events.length}
+            </button>
+          );
+        })}
+        <div style={styles.mapZoomControls}>
+          <button style={styles.mapZoomButton} onPointerDown={(e) => e.stopPropagation()} onClick={() => zoomBy(1)} aria-label="Zoom in">+</button>
+          <button style={styles.mapZoomButton} onPointerDown={(e) => e.stopPropagation()} onClick={() => zoomBy(-1)} aria-label="Zoom out">−</button>
+        </div>
+        <div style={styles.mapAttribution}>© OpenStreetMap contributors</div>
+      </div>
+
+      {clusters.filter(cluster => cluster.key === openCluster).map(cluster => (
+        <div key={cluster.key} style={styles.mapPopup}>
+          <h3 style={styles.mapPopupTitle}>{cluster.venueName}</h3>
+          {cluster.events.map(event => (
+            <button key={event.id} style={styles.mapPopupEvent} onClick={() => onEventSelect(event)}>
+              <span>{event.name}</span>
+              <span style={styles.mapPopupTime}>{formatEventDate(event, { month: 'short', day: 'numeric' })} · {formatEventTime(event)}</span>
+            </button>
+          ))}
+        </div>
+      ))}
+
+      {unplacedCount > 0 && <p style={styles.resultsSummary}>{unplacedCount} {unplacedCount === 1 ? 'event has' : 'events have'} no venue location and {unplacedCount === 1 ? "isn't" : "aren't"} shown.</p>}
+    </div>
+  );
+}
@@ -0,0 +1,19 @@
+import { clusterByVenue } from './EventMap';
+
+const event = (id, venueName, coordinates) => ({ id, name: `Event ${id}`, venueName, coordinates });
+
+test('groups events by venue and leaves out ones that cannot be placed', () => {
+  const clusters = clusterByVenue([
+    event('a', 'Ball Arena', { lat: 39.7487, lng: -105.0077 }),
+    event('b', 'Ball Arena', { lat: 39.74871, lng: -105.00772 }),
+    event('c', 'Red Rocks', { lat: 39.6654, lng: -105.2057 }),
+    event('d', 'Somewhere', null),
+    event('e', 'Nowhere', { lat: NaN, lng: -105 }),
+    event('f', 'Nowhere', { lat: '39.7', lng: undefined }),
+  ]);
+  expect(clusters.map(cluster => [cluster.venueName, cluster.events.map(({ id }) => id)])).toEqual([
+    ['Ball Arena', ['a', 'b']],
+    ['Red Rocks', ['c']],
+  ]);
+  expect(clusterByVenue([])).toEqual([]);
+});
@@ -0,0 +1,107 @@
+import React, { useMemo } from 'react';
+import { EventCard, LoadingSpinner, LoadMoreFooter, ResultsSummary, SearchErrorState, DemoDataBanner, OfflineBanner, LastUpdated, PullToRefreshIndicator } from './SharedComponents';
+import useEventSearch from './useEventSearch';
+import usePullToRefresh from './usePullToRefresh';
+
+// --- Following Module Component ---
+// Upcoming events for the teams and artists the user follows, in any city, and the venues they follow.
+
+/**
+ * The paged feed itself. Only rendered once something is followed: a search with no
+ * attractions would return every event everywhere.
+ */
+const FollowingFeed = ({ api, attractionIds, onEventSelect, styles, savedEvents, followedAttractions }) => {
+  // One search covers every followed attraction. Memoised on the ids, so following someone new starts a new search.
+  const attractionKey = attractionIds.join(',');
+  const refinements = useMemo(() => ({ attractionIds: attractionKey.split(',') }), [attractionKey]);
+  const { events, status, error, isLoading, isLoadingMore, loadMoreError, hasMore, totalResults, loadMore, isRefreshing, lastUpdated, refresh } = useEventSearch(api, null, null, refinements);
+  const { pullHandlers, pullDistance, isPastThreshold } = usePullToRefresh(refresh);
+
+  if (isLoading) {
+    return (
+      <div style={styles.loadingContainer}>
+        <LoadingSpinner styles={styles} />
+        <p style={styles.loadingText}>Finding upcoming events...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div {...pullHandlers}>
+      <PullToRefreshIndicator pullDistance={pullDistance} isPastThreshold={isPastThreshold} styles={styles} />
+      <div style={styles.header}>
+        {status === 'ok' && <ResultsSummary totalResults={totalResults} loadedCount={events.length} styles={styles} />}
+        {status !== 'error' && <LastUpdated timestamp={lastUpdated} isRefreshing={isRefreshing} onRefresh={refresh} styles={styles} />}
+      </div>
+
+      {status === 'demo' && <DemoDataBanner styles={styles} />}
+      <OfflineBanner lastUpdated={status !== 'error' ? lastUpdated : null} styles={styles} />
+
+      <main style={styles.eventList}>
+        {status === 'error' && <SearchErrorState error={error} onRetry={refresh} styles={styles} />}
+        {status === 'empty' && (
+          <div style={styles.noEventsContainer}>
+            <p style={styles.noEventsText}>Nothing coming up for the teams and artists you follow.</p>
+          </div>
+        )}
+        {(status === 'ok' || status === 'demo') && events.map(event => (
+          <EventCard key={event.id} event={event} onPress={onEventSelect} styles={styles} isSaved={savedEvents.isSaved(event.id)} onToggleSave={savedEvents.toggleSaved} following={followedAttractions.followedIn(event)} showCity />
+        ))}
+        <LoadMoreFooter hasMore={hasMore} isLoadingMore={isLoadingMore} error={loadMoreError} onLoadMore={loadMore} styles={styles} />
+      </main>
+    </div>
+  );
+};
+
+export default function FollowingScreen({ onEventSelect, onVenueSelect, api, styles, savedEvents, followedAttractions, followedVenues }) {
+  const { followed, toggleFollow } = followedAttractions;
+
+  if (followed.length === 0 && followedVenues.followed.length === 0) {
+    return (
+      <div style={styles.container}>
+        <header style={styles.header}>
+          <h1 style={styles.headerTitle}>Following</h1>
+        </header>
+        <main style={styles.eventList}>
+          <div style={styles.noEventsContainer}>
+            <p style={styles.noEventsText}>Follow a team, artist or venue from any event to see all their upcoming events here, wherever they are.</p>
+          </div>
+        </main>
+      </div>
+    );
+  }
+
+  return (
+    <div style={styles.container}>
+      <header style={styles.header}>
+        <h1 style={styles.headerTitle}>Following</h1>
+      </header>
+
+      <div style={styles.filtersContainer}>
+        {followed.length > 0 && (
+          <div style={styles.categoryFilters}>
+            {followed.map(attraction => (
+              <button key={attraction.id} onClick={() => toggleFollow(attraction)} style={{ ...styles.categoryFilterButton, ...styles.categoryFilterButtonActive }} aria-label={`Unfollow ${attraction.name}`}>
+                {attraction.name} ✕
+              </button>
+            ))}
+          </div>
+        )}
+        {/* Each followed venue opens its own page, where it can also be unfollowed. */}
+        {followedVenues.followed.length > 0 && (
+          <div style={styles.categoryFilters}>
+            {followedVenues.followed.map(venue => (
+              <button key={venue.id} onClick={() => onVenueSelect(venue)} style={styles.categoryFilterButton}>
+                📍 {venue.name}{venue.address?.city && `, ${venue.address.city}`}
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {followed.length > 0 && (
+        <FollowingFeed api={api} attractionIds={followed.map(attraction => attraction.id)} onEventSelect={onEventSelect} styles={styles} savedEvents={savedEvents} followedAttractions={followedAttractions} />
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,97 @@
+import React, { useState, useMemo } from 'react';
+import { OfflineBanner } from './SharedComponents';
+import { formatEventDate, formatEventTime } from './eventFilters';
+import { decodeShortlist, tallyVotes, pickWinner, shareShortlist, shortlistLink } from './shortlist';
+import useShortlistVotes from './useShortlistVotes';
+
+// --- Plan with friends: the voting page ---
+// What a shared shortlist link opens. Everyone with the link can vote once (changing their vote
+// moves it), and the page shows the running tally and tonight's pick.
+
+const SHARE_MESSAGES = {
+  copied: 'Link copied. Paste it into your group chat.',
+  failed: 'Copy the link below to share it.',
+};
+
+const WinnerBanner = ({ winner, styles }) => {
+  if (winner.status === 'none') return <p style={styles.shortlistHint}>No votes yet. Pick the one you like best.</p>;
+  if (winner.status === 'tie') {
+    return <p style={styles.shortlistWinner}>It's a tie between {winner.events.map(event => event.name).join(' and ')}.</p>;
+  }
+  return <p style={styles.shortlistWinner}>🏆 Tonight's pick: {winner.events[0].name} ({winner.votes} {winner.votes === 1 ? 'vote' : 'votes'})</p>;
+};
+
+const ShortlistVotes = ({ shortlist, data, syncBackend, onEventSelect, styles }) => {
+  const { votes, status, voterName, setVoterName, myVote, isVotePending, castVote } = useShortlistVotes(syncBackend, shortlist.id);
+  const tally = useMemo(() => tallyVotes(shortlist.events, votes), [shortlist.events, votes]);
+  const winner = pickWinner(tally);
+  const [shareResult, setShareResult] = useState(null);
+  const entry = { id: shortlist.id, title: shortlist.title, data };
+
+  return (
+    <main style={styles.eventList}>
+      <OfflineBanner styles={styles} />
+      <WinnerBanner winner={winner} styles={styles} />
+      <label style={styles.shortlistLabel}>
+        Your name
+        <input value={voterName} placeholder="So everyone knows who voted" maxLength={40} onChange={(e) => setVoterName(e.target.value)} style={styles.shortlistInput} />
+      </label>
+
+      {tally.map(({ event, voters }) => {
+        const isWinner = winner.status === 'winner' && winner.events[0].id === event.id;
+        return (
+          <div key={event.id} style={{ ...styles.shortlistRow, ...(isWinner ? styles.shortlistRowWinner : {}) }}>
+            <button style={styles.shortlistRowMain} onClick={() => onEventSelect(event.id)}>
+              <span style={styles.shortlistRowName}>{event.name}</span>
+              <span style={styles.shortlistRowMeta}>{formatEventDate(event)} · {formatEventTime(event)} · {[event.venueName, event.city].filter(Boolean).join(', ')}</span>
+              <span style={styles.shortlistVoters}>{voters.length > 0 ? `${voters.length} ${voters.length === 1 ? 'vote' : 'votes'}: ${voters.join(', ')}` : 'No votes'}</span>
+            </button>
+            <button
+              style={{ ...styles.followButton, ...(myVote === event.id ? styles.followButtonActive : {}) }}
+              onClick={() => castVote(event.id)}
+              disabled={!voterName.trim()}
+            >
+              {myVote === event.id ? '✓ Voted' : 'Vote'}
+            </button>
+          </div>
+        );
+      })}
+      {!voterName.trim() && <p style={styles.shortlistHint}>Add your name to vote.</p>}
+      {isVotePending && <p style={styles.shortlistHint}>Your vote will be sent when you're back online.</p>}
+      {status === 'error' && <p style={styles.shortlistHint}>Couldn't load everyone's votes. Trying again shortly.</p>}
+
+      <button style={{ ...styles.actionButton, ...styles.primaryButton }} onClick={async () => setShareResult(await shareShortlist(entry))}>
+        📤 Share shortlist
+      </button>
+      {SHARE_MESSAGES[shareResult] && <p style={styles.shortlistHint}>{SHARE_MESSAGES[shareResult]}</p>}
+      <input readOnly value={shortlistLink(entry)} onFocus={(e) => e.target.select()} style={styles.shortlistInput} aria-label="Shortlist link" />
+    </main>
+  );
+};
+
+/**
+ * @param {{ shortlistId: string, data: string, syncBackend: Object }} props - `data` is the encoded
+ *   shortlist from the link; `syncBackend` keeps the votes (see shortlistSync.js).
+ */
+export default function GroupVoteScreen({ shortlistId, data, syncBackend, onBack, onEventSelect, styles }) {
+  const shortlist = useMemo(() => decodeShortlist(shortlistId, data), [shortlistId, data]);
+
+  if (!shortlist) {
+    return (
+      <div style={{ ...styles.safeArea, ...styles.loadingContainer }}>
+        <p style={styles.noEventsText}>This shortlist link is incomplete. Ask for it to be shared again.</p>
+        <button style={styles.retryButton} onClick={onBack}>Browse events</button>
+      </div>
+    );
+  }
+
+  return (
+    <div style={styles.container}>
+      <header style={styles.header}>
+        <button style={styles.headerBackButton} onClick={onBack} aria-label="Back">←</button>
+        <h1 style={styles.headerTitle}>{shortlist.title}</h1>
+      </header>
+      <ShortlistVotes shortlist={shortlist} data={data} syncBackend={syncBackend} onEventSelect={onEventSelect} styles={styles} />
+    </div>
+  );
+}
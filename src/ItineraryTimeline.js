@@ -0,0 +1,49 @@
+import React from 'react';
+import { PLAN_STEPS } from './nightPlanner';
+
+/**
+ * Renders a night plan as a vertical timeline. The stops before and after the event, and the
+ * conversation starter, each have a ↻ button to regenerate just that part.
+ * @param {{ plan: Object, isStreaming: boolean, regeneratingStep: string, onRegenerateStep: Function, styles: Object }} props
+ */
+export default function ItineraryTimeline({ plan, isStreaming, regeneratingStep, onRegenerateStep, styles }) {
+  const regenerateButton = (stepKey) => (
+    <button
+      style={styles.timelineRegenerate}
+      onClick={() => onRegenerateStep(stepKey)}
+      disabled={isStreaming || Boolean(regeneratingStep)}
+      aria-label={`Suggest a different ${stepKey === 'conversationStarter' ? 'conversation starter' : PLAN_STEPS[stepKey].toLowerCase()}`}
+    >
+      {regeneratingStep === stepKey ? '…' : '↻'}
+    </button>
+  );
+
+  return (
+    <div>
+      <ol style={styles.timeline}>
+        {plan.steps.map(step => (
+          <li key={step.key} style={styles.timelineStep}>
+            <span style={{ ...styles.timelineDot, ...(step.key === 'event' ? styles.timelineDotEvent : {}) }} />
+            <div style={styles.timelineBody}>
+              <p style={styles.timelineTime}>{step.time} · {PLAN_STEPS[step.key]}</p>
+              <p style={styles.timelineName}>{step.name}</p>
+              {step.address && <p style={styles.timelineAddress}>{step.address}</p>}
+              {step.description && <p style={styles.timelineDescription}>{step.description}</p>}
+            </div>
+            {step.key !== 'event' && regenerateButton(step.key)}
+          </li>
+        ))}
+      </ol>
+      {isStreaming && <p style={styles.timelineStreaming}>Still planning...</p>}
+      {plan.conversationStarter && (
+        <div style={styles.timelineStarter}>
+          <div style={styles.timelineBody}>
+            <p style={styles.timelineTime}>💬 Conversation starter</p>
+            <p style={styles.timelineDescription}>{plan.conversationStarter}</p>
+          </div>
+          {regenerateButton('conversationStarter')}
+        </div>
+      )}
+    </div>
+  );
+}
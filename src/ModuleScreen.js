@@ -0,0 +1,98 @@
+import React, { useState, useMemo } from 'react';
+import { EventCard, LoadingSpinner, LoadMoreFooter, ResultsSummary, SearchErrorState, DemoDataBanner, OfflineBanner, LastUpdated, PullToRefreshIndicator, CalendarExportButton, ViewToggle, TimeFilterBar, PriceFilterBar, FacetChips, ResultsToolbar } from './SharedComponents';
+import { filterEvents, describeTimeFilters } from './eventFilters';
+import EventMap from './EventMap';
+import useFacetedSearch from './useFacetedSearch';
+import { matchesFacets, formatFacetSelection } from './facets';
+import usePullToRefresh from './usePullToRefresh';
+
+// --- Module Screen Component ---
+// The Sports, Music and Social tabs: a paged search of their segments, with the shared filters,
+// genre and league chips, and a list or map of the results.
+
+/**
+ * @typedef {Object} ModuleConfig
+ * @property {string} title - The header, e.g. 'Live Music' ("Live Music in Denver").
+ * @property {string} label - The "all" chip and the calendar export's name when no chip is picked.
+ * @property {string} segment - The Ticketmaster segment(s) searched, comma-separated.
+ * @property {Array<string>} facetLevels - The chip rows, e.g. ['genre', 'subGenre']. A module-level constant, so the search isn't redone.
+ * @property {string} loadingText - e.g. 'Finding games' ("Finding games in Denver...").
+ * @property {string} noun - What the module lists, for the empty states, e.g. 'concerts'.
+ * @property {string} noFilterMatchesText - Shown when the filters hide every result.
+ */
+
+/**
+ * @param {{ module: ModuleConfig, followedAttractions?: Object }} props - Plus the props App gives every module screen.
+ *   Without `followedAttractions`, events by followed performers aren't highlighted.
+ */
+export default function ModuleScreen({ module, onEventSelect, api, styles, searchParams, filters, onFiltersChange, savedEvents, followedAttractions, onFindMyNight }) {
+  const { events, status, error, isLoading, isLoadingMore, loadMoreError, hasMore, totalResults, loadMore, isRefreshing, lastUpdated, refresh, facets, selectedFacets } = useFacetedSearch(api, searchParams, module.segment, { levels: module.facetLevels, selection: filters.category, keyword: filters.keyword, sort: filters.sort });
+  const { pullHandlers, pullDistance, isPastThreshold } = usePullToRefresh(refresh);
+  // The filters (including the selected chips, by key) live in the URL, so they survive a refresh and can be shared.
+  const selection = selectedFacets.map(facet => facet.key);
+  const setSelection = (keys) => onFiltersChange({ category: formatFacetSelection(keys) }, module.facetLevels.flatMap(level => facets[level]));
+  const [viewMode, setViewMode] = useState('list'); // 'list' or 'map'; both show the same filtered events
+
+  // Date, day and time-of-day filtering is shared by every module (see eventFilters.js).
+  const filteredEvents = useMemo(
+    () => filterEvents(events, filters, { matchesCategory: (event) => matchesFacets(event, selectedFacets) }),
+    [events, filters, selectedFacets]
+  );
+
+  if (isLoading) {
+    return (
+      <div style={{ ...styles.safeArea, ...styles.loadingContainer }}>
+        <LoadingSpinner styles={styles} />
+        <p style={styles.loadingText}>{module.loadingText} in {searchParams.city}...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div style={styles.container} {...pullHandlers}>
+      <PullToRefreshIndicator pullDistance={pullDistance} isPastThreshold={isPastThreshold} styles={styles} />
+      <header style={styles.header}>
+        <h1 style={styles.headerTitle}>{module.title} in {searchParams.city}</h1>
+        {status === 'ok' && <ResultsSummary totalResults={totalResults} loadedCount={events.length} styles={styles} />}
+        {status !== 'error' && <LastUpdated timestamp={lastUpdated} isRefreshing={isRefreshing} onRefresh={refresh} styles={styles} />}
+      </header>
+
+      <div style={styles.filtersContainer}>
+        <ResultsToolbar keyword={filters.keyword} sort={filters.sort} onChange={onFiltersChange} canSortByDistance={Boolean(searchParams.coordinates)} styles={styles} />
+        <TimeFilterBar filters={filters} onChange={onFiltersChange} styles={styles} />
+        <PriceFilterBar filters={filters} events={events} onChange={onFiltersChange} styles={styles} />
+        {module.facetLevels.map((level, index) => (
+          <FacetChips key={level} facets={facets[level]} selection={selection} onChange={setSelection} allLabel={index === 0 ? module.label : undefined} styles={styles} />
+        ))}
+        <ViewToggle viewMode={viewMode} onChange={setViewMode} styles={styles} />
+        <CalendarExportButton events={filteredEvents} name={`${selection.join(', ') || module.label} ${describeTimeFilters(filters)} in ${searchParams.city}`} styles={styles} />
+      </div>
+
+      {status === 'demo' && <DemoDataBanner styles={styles} />}
+      <OfflineBanner lastUpdated={status !== 'error' ? lastUpdated : null} styles={styles} />
+
+      <main style={styles.eventList}>
+        {status === 'error' && <SearchErrorState error={error} onRetry={refresh} styles={styles} />}
+        {status === 'empty' && (
+          <div style={styles.noEventsContainer}>
+            <p style={styles.noEventsText}>
+              {filters.keyword
+                ? `No ${module.noun} matching "${filters.keyword}" within ${searchParams.radius} miles of ${searchParams.city}.`
+                : `No ${module.noun} found within ${searchParams.radius} miles of ${searchParams.city}. Try a bigger radius.`}
+            </p>
+          </div>
+        )}
+        {(status === 'ok' || status === 'demo' || events.length > 0) && (filteredEvents.length > 0 ? (
+          viewMode === 'map' ? <EventMap events={filteredEvents} searchKey={JSON.stringify(searchParams)} onEventSelect={onEventSelect} styles={styles} /> : filteredEvents.map(event => <EventCard key={event.id} event={event} onPress={onEventSelect} styles={styles} isSaved={savedEvents.isSaved(event.id)} onToggleSave={savedEvents.toggleSaved} following={followedAttractions?.followedIn(event)} />)
+        ) : !hasMore && (
+          <div style={styles.noEventsContainer}>
+            <p style={styles.noEventsText}>{module.noFilterMatchesText}</p>
+          </div>
+        ))}
+        <LoadMoreFooter hasMore={hasMore} isLoadingMore={isLoadingMore} error={loadMoreError} onLoadMore={loadMore} styles={styles} />
+      </main>
+
+      <button style={styles.fab} onClick={() => onFindMyNight(events, filteredEvents)} aria-label="Find my night">🎲</button>
+    </div>
+  );
+}
@@ -0,0 +1,92 @@
+import React from 'react';
+import { OfflineBanner } from './SharedComponents';
+import { formatEventDate, formatEventTime } from './eventFilters';
+import { eventStatusBadge } from './ticketInfo';
+import { REMINDER_KINDS, planAlerts, nextAlert, canRemindOnSale } from './reminders';
+import useOnlineStatus from './useOnlineStatus';
+
+// --- Reminders Module Component ---
+// Every event with a reminder, what it's set to and when the next one comes. Reached from the
+// Saved tab and from event pages.
+
+const PERMISSION_MESSAGES = {
+  unsupported: "This browser can't show notifications, so reminders won't reach you.",
+  denied: 'Notifications are blocked for Locate. Allow them in your browser settings to get reminders.',
+};
+
+const formatAlertTime = (at) => new Date(at).toLocaleString([], { weekday: 'short', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+
+const ReminderRow = ({ reminder, reminders, onEventSelect, styles }) => {
+  const { event, kinds, lastChange } = reminder;
+  const next = nextAlert(planAlerts(event, kinds));
+  const statusBadge = eventStatusBadge(event);
+  const availableKinds = Object.keys(REMINDER_KINDS).filter(kind => kind !== 'onSale' || kinds.includes(kind) || canRemindOnSale(event));
+
+  const toggleKind = (kind) => reminders.setKinds(event, kinds.includes(kind) ? kinds.filter(existing => existing !== kind) : [...kinds, kind]);
+
+  return (
+    <div style={styles.reminderCard}>
+      <div style={styles.shortlistRow}>
+        <button style={styles.shortlistRowMain} onClick={() => onEventSelect(event)}>
+          {statusBadge && <span style={{ ...styles.statusBadge, ...styles.statusBadgeTones[statusBadge.tone], marginBottom: 0, alignSelf: 'flex-start' }}>{statusBadge.label}</span>}
+          <span style={styles.shortlistRowName}>{event.name}</span>
+          <span style={styles.shortlistRowMeta}>{formatEventDate(event)} · {formatEventTime(event)} · {event.venueName}</span>
+          <span style={styles.shortlistVoters}>{next ? `Next reminder: ${formatAlertTime(next.at)}` : 'No more reminders to come'}</span>
+        </button>
+        <button style={styles.shortlistRemove} onClick={() => reminders.remove(event.id)} aria-label={`Remove reminders for ${event.name}`}>✕</button>
+      </div>
+      {lastChange && <p style={styles.reminderChange}>⚠️ {lastChange.title}. {lastChange.body}</p>}
+      <div style={styles.reminderKinds}>
+        {availableKinds.map(kind => (
+          <button key={kind} style={{ ...styles.followButton, ...(kinds.includes(kind) ? styles.followButtonActive : {}) }} onClick={() => toggleKind(kind)}>
+            {REMINDER_KINDS[kind].label}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default function RemindersScreen({ reminders, onBack, onEventSelect, styles }) {
+  const { permission, lastCheckedAt, isChecking } = reminders;
+  const isOnline = useOnlineStatus();
+
+  return (
+    <div style={styles.container}>
+      <header style={styles.header}>
+        <button style={styles.headerBackButton} onClick={onBack} aria-label="Back">←</button>
+        <h1 style={styles.headerTitle}>Reminders</h1>
+      </header>
+
+      <OfflineBanner styles={styles} />
+
+      <main style={styles.eventList}>
+        {PERMISSION_MESSAGES[permission] && <p style={styles.shortlistHint}>{PERMISSION_MESSAGES[permission]}</p>}
+        {permission === 'default' && reminders.reminders.length > 0 && (
+          <button style={{ ...styles.actionButton, ...styles.primaryButton }} onClick={reminders.requestPermission}>
+            🔔 Turn on notifications
+          </button>
+        )}
+
+        {reminders.reminders.length === 0 ? (
+          <div style={styles.noEventsContainer}>
+            <p style={styles.noEventsText}>No reminders yet. Tap 🔔 on an event's page to be reminded before it starts or when its tickets go on sale.</p>
+          </div>
+        ) : (
+          <>
+            {reminders.reminders.map(reminder => (
+              <ReminderRow key={reminder.event.id} reminder={reminder} reminders={reminders} onEventSelect={onEventSelect} styles={styles} />
+            ))}
+            <p style={styles.shortlistHint}>
+              We check these events for new dates, postponements and cancellations every few hours.
+              {lastCheckedAt && ` Last checked ${formatAlertTime(lastCheckedAt)}.`}
+            </p>
+            <button style={styles.actionButton} onClick={reminders.checkForChanges} disabled={isChecking || !isOnline}>
+              {isChecking ? 'Checking...' : 'Check for changes now'}
+            </button>
+          </>
+        )}
+      </main>
+    </div>
+  );
+}
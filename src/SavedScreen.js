@@ -0,0 +1,68 @@
+import React, { useState, useMemo } from 'react';
+import { EventCard, CalendarExportButton, OfflineBanner } from './SharedComponents';
+import { formatEventDate } from './eventFilters';
+
+// --- Saved Events ("My Events") Module Component ---
+
+/**
+ * Groups events (already sorted by date) under a heading per day, in each venue's own timezone.
+ * @returns {Array<{ label: string, events: Array }>}
+ */
+const groupByDate = (events) => {
+  const groups = [];
+  events.forEach(event => {
+    const label = formatEventDate(event);
+    if (groups.length === 0 || groups[groups.length - 1].label !== label) groups.push({ label, events: [] });
+    groups[groups.length - 1].events.push(event);
+  });
+  return groups;
+};
+
+export default function SavedScreen({ onEventSelect, styles, savedEvents, onFindMyNight, onOpenReminders }) {
+  const [showArchived, setShowArchived] = useState(false);
+  const groups = useMemo(() => groupByDate(savedEvents.upcoming), [savedEvents.upcoming]);
+
+  const renderCard = (event) => (
+    <EventCard key={event.id} event={event} onPress={onEventSelect} styles={styles} isSaved={savedEvents.isSaved(event.id)} onToggleSave={savedEvents.toggleSaved} />
+  );
+
+  return (
+    <div style={styles.container}>
+      <header style={styles.header}>
+        <h1 style={styles.headerTitle}>My Events</h1>
+        <CalendarExportButton events={savedEvents.upcoming} name="My Events" styles={styles} />
+        <button style={styles.headerLink} onClick={onOpenReminders}>🔔 Reminders ›</button>
+      </header>
+
+      <OfflineBanner styles={styles} />
+
+      <main style={styles.eventList}>
+        {groups.length > 0 ? (
+          groups.map(group => (
+            <section key={group.label}>
+              <h2 style={styles.dateGroupHeader}>{group.label}</h2>
+              {group.events.map(renderCard)}
+            </section>
+          ))
+        ) : (
+          <div style={styles.noEventsContainer}>
+            <p style={styles.noEventsText}>No saved events yet. Tap ♡ on any event to keep track of it.</p>
+          </div>
+        )}
+
+        {savedEvents.archived.length > 0 && (
+          <>
+            <button style={styles.archiveToggle} onClick={() => setShowArchived(!showArchived)}>
+              {showArchived ? 'Hide' : 'Show'} past events ({savedEvents.archived.length})
+            </button>
+            {showArchived && savedEvents.archived.map(renderCard)}
+          </>
+        )}
+      </main>
+
+      {savedEvents.upcoming.length > 0 && (
+        <button style={styles.fab} onClick={() => onFindMyNight(savedEvents.upcoming, savedEvents.upcoming)} aria-label="Find my night">🎲</button>
+      )}
+    </div>
+  );
+}
@@ -1,32 +1,112 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
+import { getCurrentPosition } from './geo';
 
-export default function SearchControls({ initialParams, onSearch, styles }) {
+// Wait for a pause in typing before asking for city suggestions.
+const AUTOCOMPLETE_DELAY_MS = 300;
+
+export default function SearchControls({ initialParams, onSearch, styles, api }) {
   // Local state to manage the form inputs without triggering a re-fetch on every keystroke.
   const [city, setCity] = useState(initialParams.city);
   const [stateCode, setStateCode] = useState(initialParams.stateCode);
   const [radius, setRadius] = useState(initialParams.radius);
+  // Coordinates of the city picked from the suggestions; cleared as soon as the user edits the city again.
+  const [coordinates, setCoordinates] = useState(initialParams.coordinates || null);
+  const [suggestions, setSuggestions] = useState([]);
+  const [isLocating, setIsLocating] = useState(false);
+  const [locationError, setLocationError] = useState('');
+  // Only fetch suggestions for text the user typed, not for a suggestion they just picked.
+  const userTyped = useRef(false);
+
+  useEffect(() => {
+    if (!userTyped.current || city.trim().length < 3) {
+      setSuggestions([]);
+      return undefined;
+    }
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      const results = await api.autocompleteCities(city.trim());
+      if (!cancelled) setSuggestions(results);
+    }, AUTOCOMPLETE_DELAY_MS);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [city, api]);
+
+  const handleCityChange = (value) => {
+    userTyped.current = true;
+    setCity(value);
+    setCoordinates(null);
+  };
+
+  // Picking a suggestion resolves it to coordinates and searches straight away.
+  const handleSuggestionSelect = async (suggestion) => {
+    userTyped.current = false;
+    setSuggestions([]);
+    setCity(suggestion.description.split(',')[0]);
+    const resolved = await api.resolveCity(suggestion.placeId);
+    if (!resolved) return;
+    setCity(resolved.city);
+    setStateCode(resolved.stateCode);
+    setCoordinates(resolved.coordinates);
+    onSearch({ city: resolved.city, stateCode: resolved.stateCode, radius, coordinates: resolved.coordinates });
+  };
+
+  // "Use my location" searches around the browser's position with the current radius.
+  const handleUseMyLocation = async () => {
+    setIsLocating(true);
+    setLocationError('');
+    try {
+      const position = await getCurrentPosition();
+      userTyped.current = false;
+      setSuggestions([]);
+      setCity('your area');
+      setStateCode('');
+      setCoordinates(position);
+      onSearch({ city: 'your area', stateCode: '', radius, coordinates: position });
+    } catch (error) {
+      console.warn('Could not get the current position:', error);
+      setLocationError("Couldn't get your location. Check your browser's location permission.");
+    }
+    setIsLocating(false);
+  };
 
   // This function is called when the form is submitted.
   // It passes the new search parameters up to the main App component.
   const handleSubmit = (e) => {
     e.preventDefault(); // Prevents the page from reloading on form submission
-    onSearch({ city, stateCode, radius });
+    setSuggestions([]);
+    onSearch(coordinates ? { city, stateCode, radius, coordinates } : { city, stateCode, radius });
   };
 
   return (
     <div style={styles.searchSection}>
       <form style={styles.searchContainer} onSubmit={handleSubmit}>
-        <input
-          type="text"
-          value={city}
-          onChange={(e) => setCity(e.target.value)}
-          placeholder="City"
-          style={{...styles.searchInput, flex: 2}} // Give city input more space
-        />
+        <div style={styles.autocompleteContainer}>
+          <input
+            type="text"
+            value={city}
+            onChange={(e) => handleCityChange(e.target.value)}
+            placeholder="City"
+            style={{...styles.searchInput, width: '100%', boxSizing: 'border-box'}}
+            autoComplete="off"
+          />
+          {suggestions.length > 0 && (
+            <ul style={styles.suggestionList}>
+              {suggestions.map(suggestion => (
+                <li key={suggestion.placeId}>
+                  <button type="button" style={styles.suggestionItem} onClick={() => handleSuggestionSelect(suggestion)}>
+                    {suggestion.description}
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
         <input
           type="text"
           value={stateCode}
-          onChange={(e) => setStateCode(e.target.value)}
+          onChange={(e) => { setStateCode(e.target.value); setCoordinates(null); }}
           placeholder="State (e.g., CO)"
           style={{...styles.searchInput, flex: 1}} // State input is smaller
           maxLength="2"
@@ -34,6 +114,13 @@ export default function SearchControls({ initialParams, onSearch, styles }) {
         <button type="submit" style={styles.searchButton}>Find</button>
       </form>
 
+      <div style={styles.locationContainer}>
+        <button type="button" style={styles.locationButton} onClick={handleUseMyLocation} disabled={isLocating}>
+          {isLocating ? 'Locating...' : '📍 Use my location'}
+        </button>
+        {locationError && <p style={styles.locationError}>{locationError}</p>}
+      </div>
+
       <div style={styles.radiusContainer}>
         <label htmlFor="radius" style={styles.radiusLabel}>Search Radius: {radius} miles</label>
         <input
@@ -0,0 +1,353 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { downloadICalendar } from './calendarExport';
+import { TIME_RANGES, DEFAULT_TIME_RANGE, DAY_FILTERS, TIME_OF_DAY_FILTERS, PRICE_FILTERS, SORT_OPTIONS, DEFAULT_SORT, formatEventTime } from './eventFilters';
+import { formatPriceFrom } from './ticketInfo';
+import { toggleFacet } from './facets';
+import useOnlineStatus from './useOnlineStatus';
+import useOfflineQueue from './useOfflineQueue';
+
+// --- Reusable Components (Shared across the Sports, Music and Social modules) ---
+
+/**
+ * A card component to display a single event.
+ * The favourite toggle is only shown when `onToggleSave` is provided. The price badge says "Price TBA"
+ * for events whose prices haven't been announced.
+ * Events with a followed team or artist (`following`) are highlighted; `showCity` adds the venue's
+ * city, for lists that span several cities. A "Not interested" button is shown when `onNotInterested` is provided.
+ * The sources that list the event (Ticketmaster, subscribed feeds) are named at the bottom.
+ * @param {{ event: Object, onPress: Function, styles: Object, isSaved?: boolean, onToggleSave?: Function, following?: Array, showCity?: boolean, onNotInterested?: Function }} props
+ */
+export const EventCard = ({ event, onPress, styles, isSaved, onToggleSave, following = [], showCity = false, onNotInterested }) => (
+  <div style={{ ...styles.card, ...(following.length > 0 ? styles.cardFollowing : {}) }} onClick={() => onPress(event)}>
+    <div style={styles.cardImageContainer}>
+      <img src={event.imageUrl} alt={event.name} style={styles.cardImage} />
+      {onToggleSave && (
+        <button
+          style={{ ...styles.saveToggle, ...(isSaved ? styles.saveToggleActive : {}) }}
+          onClick={(e) => { e.stopPropagation(); onToggleSave(event); }}
+          aria-label={isSaved ? 'Remove from saved events' : 'Save event'}
+        >
+          {isSaved ? '♥' : '♡'}
+        </button>
+      )}
+      <span style={{ ...styles.priceBadge, ...(event.priceRange?.min == null ? styles.priceBadgeUnknown : {}) }}>{formatPriceFrom(event.priceRange)}</span>
+    </div>
+    <div style={styles.cardContent}>
+      {following.length > 0 && <p style={styles.followingLabel}>★ {following.map(attraction => attraction.name).join(', ')}</p>}
+      <h3 style={styles.cardTitle}>{event.name}</h3>
+      <p style={styles.cardVenue}>{event.venueName}{showCity && event.city && `, ${event.city}`} • ⭐ {event.googleData?.rating || 'N/A'}</p>
+      <p style={styles.cardTime}>
+        {formatEventTime(event)}
+        {event.distance != null && ` • ${event.distance.toFixed(1)} mi away`}
+      </p>
+      {event.sources?.length > 0 && <p style={styles.cardSource}>via {event.sources.map(source => source.name).join(', ')}</p>}
+      {onNotInterested && (
+        <button style={styles.notInterestedButton} onClick={(e) => { e.stopPropagation(); onNotInterested(event); }}>
+          Not interested
+        </button>
+      )}
+    </div>
+  </div>
+);
+
+export const LoadingSpinner = ({ styles }) => (
+    <svg width="40" height="40" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path d="M12,1A11,11,0,1,0,23,12,11,11,0,0,0,12,1Zm0,19a8,8,0,1,1,8-8A8,8,0,0,1,12,20Z" opacity=".25" fill="#fff"/><path d="M10.72,19.9a8,8,0,0,1-6.5-9.79A7.77,7.77,0,0,1,10.4,4.16a8,8,0,0,1,9.49,6.52A1.54,1.54,0,0,0,21.38,12h.13a1.37,1.37,0,0,0,1.38-1.54,11,11,0,1,0-12.7,12.39A1.54,1.54,0,0,0,12,21.34h0A1.47,1.47,0,0,0,10.72,19.9Z" fill="#fff"><animateTransform attributeName="transform" type="rotate" from="0 12 12" to="360 12 12" dur="1s" repeatCount="indefinite"/></path></svg>
+);
+
+// User-facing explanations for the error reasons returned by api.fetchTicketmasterEvents. Feed
+// errors don't stop a search, so only Ticketmaster's are shown here.
+const SEARCH_ERROR_MESSAGES = {
+  'rate-limited': 'Too many searches right now. Wait a minute and try again.',
+  'bad-key': 'The event service rejected our API key.',
+  network: 'Check your connection and try again.',
+  server: 'The event service had a problem. Try again in a moment.',
+};
+
+/**
+ * Shown in place of the event list when a search fails.
+ * @param {{ error: { reason: string }, onRetry: Function, styles: Object }} props
+ */
+export const SearchErrorState = ({ error, onRetry, styles }) => (
+  <div style={styles.noEventsContainer}>
+    <p style={styles.noEventsText}>Couldn't load events.</p>
+    <p style={styles.errorDetailText}>{SEARCH_ERROR_MESSAGES[error?.reason] || SEARCH_ERROR_MESSAGES.server}</p>
+    <button style={styles.retryButton} onClick={onRetry}>Try Again</button>
+  </div>
+);
+
+/**
+ * Labels mock results so they are never mistaken for real listings.
+ */
+export const DemoDataBanner = ({ styles }) => (
+  <div style={styles.demoBanner}>Demo mode: these are sample events, not real listings.</div>
+);
+
+/**
+ * Footer for a paged event list. Loads the next page when it scrolls into view,
+ * with a "Load more" button as a fallback for browsers without IntersectionObserver.
+ * After a failed page it stops loading automatically and offers a retry instead.
+ * @param {{ hasMore: boolean, isLoadingMore: boolean, error: Object, onLoadMore: Function, styles: Object }} props
+ */
+export const LoadMoreFooter = ({ hasMore, isLoadingMore, error, onLoadMore, styles }) => {
+  const sentinelRef = useRef(null);
+
+  useEffect(() => {
+    if (!hasMore || error || !sentinelRef.current || typeof IntersectionObserver === 'undefined') return undefined;
+    const observer = new IntersectionObserver(entries => {
+      if (entries[0].isIntersecting) onLoadMore();
+    }, { rootMargin: '200px' });
+    observer.observe(sentinelRef.current);
+    return () => observer.disconnect();
+  }, [hasMore, error, onLoadMore]);
+
+  if (!hasMore) return null;
+  return (
+    <div ref={sentinelRef} style={styles.loadMoreContainer}>
+      {isLoadingMore ? <LoadingSpinner styles={styles} /> : (
+        <button style={styles.loadMoreButton} onClick={onLoadMore}>{error ? "Couldn't load more. Retry" : 'Load more'}</button>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Shows how many results the search returned in total, and how many are loaded so far.
+ * @param {{ totalResults: number, loadedCount: number, styles: Object }} props
+ */
+export const ResultsSummary = ({ totalResults, loadedCount, styles }) => (
+  <p style={styles.resultsSummary}>
+    {totalResults.toLocaleString()} {totalResults === 1 ? 'result' : 'results'}
+    {loadedCount < totalResults && ` • showing ${loadedCount.toLocaleString()}`}
+  </p>
+);
+
+/**
+ * Formats a timestamp relative to now, e.g. "just now" or "5 minutes ago".
+ */
+const formatTimeAgo = (timestamp, now) => {
+  const minutes = Math.floor((now - timestamp) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes} ${minutes === 1 ? 'minute' : 'minutes'} ago`;
+  const hours = Math.floor(minutes / 60);
+  return `${hours} ${hours === 1 ? 'hour' : 'hours'} ago`;
+};
+
+/**
+ * "Updated X minutes ago" indicator with a manual refresh button. Re-renders every minute.
+ * @param {{ timestamp: number, isRefreshing: boolean, onRefresh: Function, styles: Object }} props
+ */
+export const LastUpdated = ({ timestamp, isRefreshing, onRefresh, styles }) => {
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    const interval = setInterval(() => setNow(Date.now()), 60000);
+    return () => clearInterval(interval);
+  }, []);
+
+  if (!timestamp) return null;
+  return (
+    <p style={styles.lastUpdated}>
+      {isRefreshing ? 'Updating...' : `Updated ${formatTimeAgo(timestamp, Math.max(now, timestamp))}`}
+      {!isRefreshing && <button style={styles.refreshButton} onClick={onRefresh} aria-label="Refresh results">↻</button>}
+    </p>
+  );
+};
+
+/**
+ * Shown while the device is offline: says how old the results on screen are (they come from
+ * the search cache or the service worker) and how many changes are waiting to sync.
+ * Renders nothing when online.
+ * @param {{ lastUpdated?: number, styles: Object }} props - `lastUpdated` is when the results on screen were fetched, if any.
+ */
+export const OfflineBanner = ({ lastUpdated, styles }) => {
+  const isOnline = useOnlineStatus();
+  const { pendingCount } = useOfflineQueue();
+  if (isOnline) return null;
+  return (
+    <div style={styles.offlineBanner} role="status">
+      {lastUpdated ? `You're offline. Showing results last updated ${formatTimeAgo(lastUpdated, Math.max(Date.now(), lastUpdated))}.` : "You're offline."}
+      {pendingCount > 0 && ` ${pendingCount} ${pendingCount === 1 ? 'change' : 'changes'} will sync when you reconnect.`}
+    </div>
+  );
+};
+
+/**
+ * Indicator shown at the top of a screen while the user pulls to refresh.
+ * @param {{ pullDistance: number, isPastThreshold: boolean, styles: Object }} props
+ */
+export const PullToRefreshIndicator = ({ pullDistance, isPastThreshold, styles }) => {
+  if (pullDistance === 0) return null;
+  return (
+    <div style={{ ...styles.pullIndicator, height: `${Math.min(pullDistance, 100)}px` }}>
+      {isPastThreshold ? 'Release to refresh' : 'Pull to refresh'}
+    </div>
+  );
+};
+
+/**
+ * Exports a list of events (e.g. the filtered "This Week" list) as one multi-event .ics feed.
+ * @param {{ events: Array, name: string, styles: Object }} props
+ */
+export const CalendarExportButton = ({ events, name, styles }) => {
+  if (events.length === 0) return null;
+  return (
+    <button style={styles.calendarExportButton} onClick={() => downloadICalendar(events, name)}>
+      📅 Export {events.length} {events.length === 1 ? 'event' : 'events'} to calendar
+    </button>
+  );
+};
+
+/**
+ * Switches a module between its list and map views.
+ * @param {{ viewMode: 'list' | 'map', onChange: Function, styles: Object }} props
+ */
+export const ViewToggle = ({ viewMode, onChange, styles }) => (
+  <div style={styles.viewToggle}>
+    {[['list', '☰ List'], ['map', '🗺️ Map']].map(([mode, label]) => (
+      <button key={mode} onClick={() => onChange(mode)} style={{ ...styles.viewToggleButton, ...(viewMode === mode ? styles.viewToggleButtonActive : {}) }}>
+        {label}
+      </button>
+    ))}
+  </div>
+);
+
+/**
+ * The date range buttons (with a custom from/to picker) and the day-of-week and time-of-day chips.
+ * Tapping an active chip clears it.
+ * @param {{ filters: Object, onChange: Function, styles: Object }} props
+ *   `onChange` receives only the filters that changed; see eventFilters.js for the keys.
+ */
+export const TimeFilterBar = ({ filters, onChange, styles }) => {
+  const time = filters.time || DEFAULT_TIME_RANGE;
+  const chips = [
+    ...Object.entries(DAY_FILTERS).map(([key, { label }]) => ({ label, active: filters.days === key, toggle: () => onChange({ days: filters.days === key ? undefined : key }) })),
+    ...Object.entries(TIME_OF_DAY_FILTERS).map(([key, { label }]) => ({ label, active: filters.timeOfDay === key, toggle: () => onChange({ timeOfDay: filters.timeOfDay === key ? undefined : key }) })),
+  ];
+
+  return (
+    <>
+      <div style={styles.timeFilters}>
+        {Object.entries(TIME_RANGES).map(([key, label]) => (
+          <button key={key} onClick={() => onChange(key === 'custom' ? { time: key } : { time: key, from: undefined, to: undefined })} style={{ ...styles.timeFilterButton, ...(time === key ? styles.timeFilterButtonActive : {}) }}>
+            {label}
+          </button>
+        ))}
+      </div>
+      {time === 'custom' && (
+        <div style={styles.dateRangeInputs}>
+          <label style={styles.dateRangeLabel}>
+            From
+            <input type="date" value={filters.from || ''} max={filters.to || undefined} onChange={(e) => onChange({ from: e.target.value || undefined })} style={styles.dateRangeInput} />
+          </label>
+          <label style={styles.dateRangeLabel}>
+            To
+            <input type="date" value={filters.to || ''} min={filters.from || undefined} onChange={(e) => onChange({ to: e.target.value || undefined })} style={styles.dateRangeInput} />
+          </label>
+        </div>
+      )}
+      <div style={{ ...styles.categoryFilters, marginBottom: '10px' }}>
+        {chips.map(chip => (
+          <button key={chip.label} onClick={chip.toggle} style={{ ...styles.categoryFilterButton, ...(chip.active ? styles.categoryFilterButtonActive : {}) }}>
+            {chip.label}
+          </button>
+        ))}
+      </div>
+    </>
+  );
+};
+
+/**
+ * Budget chips, shown under the time filters. While one is active, events without announced prices
+ * are hidden; a chip says how many and brings them back.
+ * @param {{ filters: Object, events: Array, onChange: Function, styles: Object }} props - `events` are the loaded events.
+ */
+export const PriceFilterBar = ({ filters, events, onChange, styles }) => {
+  const unpricedCount = events.filter(event => event.priceRange?.min == null).length;
+  const includeUnpriced = filters.unpriced === 'include';
+
+  return (
+    <div style={{ ...styles.categoryFilters, marginBottom: '10px' }}>
+      {Object.entries(PRICE_FILTERS).map(([key, { label }]) => (
+        <button key={key} onClick={() => onChange(filters.price === key ? { price: undefined, unpriced: undefined } : { price: key })} style={{ ...styles.categoryFilterButton, ...(filters.price === key ? styles.categoryFilterButtonActive : {}) }}>
+          {label}
+        </button>
+      ))}
+      {PRICE_FILTERS[filters.price] && (unpricedCount > 0 || includeUnpriced) && (
+        <button onClick={() => onChange({ unpriced: includeUnpriced ? undefined : 'include' })} style={{ ...styles.categoryFilterButton, ...(includeUnpriced ? styles.categoryFilterButtonActive : {}) }}>
+          + Price TBA ({unpricedCount})
+        </button>
+      )}
+    </div>
+  );
+};
+
+/**
+ * A row of genre or league chips built from the results, each with a count. Several can be
+ * selected at once; the optional "all" chip clears the selection.
+ * @param {{ facets: Array, selection: Array<string>, onChange: Function, allLabel?: string, styles: Object }} props
+ *   `facets` come from buildFacets; `onChange` receives the new list of selected keys.
+ */
+export const FacetChips = ({ facets, selection, onChange, allLabel, styles }) => {
+  // Selected keys with nothing to match in these results still get a chip, so they can be cleared.
+  const missing = selection.filter(key => !facets.some(facet => facet.key === key)).map(key => ({ key, count: 0 }));
+  if (facets.length === 0 && missing.length === 0 && !allLabel) return null;
+  return (
+    <div style={styles.categoryFilters}>
+      {allLabel && (
+        <button onClick={() => onChange([])} style={{ ...styles.categoryFilterButton, ...(selection.length === 0 ? styles.categoryFilterButtonActive : {}) }}>
+          {allLabel}
+        </button>
+      )}
+      {[...facets, ...missing].map(facet => (
+        <button key={facet.key} onClick={() => onChange(toggleFacet(selection, facet.key))} style={{ ...styles.categoryFilterButton, ...(selection.includes(facet.key) ? styles.categoryFilterButtonActive : {}) }}>
+          {facet.key} <span style={styles.facetCount}>{facet.count}</span>
+        </button>
+      ))}
+    </div>
+  );
+};
+
+// Wait for a pause in typing before searching for a keyword.
+const KEYWORD_DELAY_MS = 400;
+
+/**
+ * Keyword search and sort order for a module's results.
+ * @param {{ keyword?: string, sort?: string, onChange: Function, canSortByDistance: boolean, styles: Object }} props
+ *   `onChange` receives `{ keyword }` (after a pause in typing) or `{ sort }`. Distance sorting is
+ *   only offered when the search is around a point, since only then do events have a distance.
+ */
+export const ResultsToolbar = ({ keyword, sort, onChange, canSortByDistance, styles }) => {
+  const [text, setText] = useState(keyword || '');
+  // The parent's handler changes on every render; typing shouldn't restart the timer each time.
+  const onChangeRef = useRef(onChange);
+  onChangeRef.current = onChange;
+
+  // Follow the URL when it changes from elsewhere (back button, a shared link).
+  useEffect(() => {
+    setText(current => (current.trim() === (keyword || '') ? current : keyword || ''));
+  }, [keyword]);
+
+  useEffect(() => {
+    if (text.trim() === (keyword || '')) return undefined;
+    const timer = setTimeout(() => onChangeRef.current({ keyword: text.trim() || undefined }), KEYWORD_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [text, keyword]);
+
+  return (
+    <div style={styles.resultsToolbar}>
+      <input
+        type="search"
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        placeholder="Search events, venues, artists..."
+        aria-label="Search within results"
+        style={{ ...styles.searchInput, ...styles.keywordInput }}
+      />
+      <select value={sort || DEFAULT_SORT} onChange={(e) => onChange({ sort: e.target.value === DEFAULT_SORT ? undefined : e.target.value })} aria-label="Sort by" style={styles.sortSelect}>
+        {Object.entries(SORT_OPTIONS)
+          .filter(([key]) => key !== 'distance' || canSortByDistance)
+          .map(([key, { label }]) => <option key={key} value={key}>{label}</option>)}
+      </select>
+    </div>
+  );
+};
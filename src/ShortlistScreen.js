@@ -0,0 +1,70 @@
+import React, { useState } from 'react';
+import { formatEventDate, formatEventTime } from './eventFilters';
+import { createShortlist, encodeShortlist, shareShortlist, MAX_SHORTLIST_EVENTS, DEFAULT_SHORTLIST_TITLE } from './shortlist';
+
+// --- Plan with friends: the shortlist builder ---
+// Events are added from their details screens. Sharing turns the shortlist into a link (see
+// shortlist.js) and opens its voting page (GroupVoteScreen).
+
+export default function ShortlistScreen({ shortlistDraft, onEventSelect, onShared, onOpenShared, styles }) {
+  const [title, setTitle] = useState('');
+  const { events, toggleShortlisted, shared } = shortlistDraft;
+
+  // The share sheet is opened straight from the tap, which browsers require for the Web Share API.
+  const handleShare = async () => {
+    const shortlist = createShortlist(events, { title });
+    const entry = { id: shortlist.id, title: shortlist.title, data: encodeShortlist(shortlist), createdAt: shortlist.createdAt };
+    await shareShortlist(entry);
+    onShared(entry);
+  };
+
+  return (
+    <div style={styles.container}>
+      <header style={styles.header}>
+        <h1 style={styles.headerTitle}>Plan with friends</h1>
+      </header>
+
+      <main style={styles.eventList}>
+        {events.length === 0 ? (
+          <div style={styles.noEventsContainer}>
+            <p style={styles.noEventsText}>Add a few events to your shortlist from their pages, then share it so everyone can vote on tonight's pick.</p>
+          </div>
+        ) : (
+          <>
+            <label style={styles.shortlistLabel}>
+              Name your shortlist
+              <input value={title} placeholder={DEFAULT_SHORTLIST_TITLE} maxLength={60} onChange={(e) => setTitle(e.target.value)} style={styles.shortlistInput} />
+            </label>
+            {events.map(event => (
+              <div key={event.id} style={styles.shortlistRow}>
+                <button style={styles.shortlistRowMain} onClick={() => onEventSelect(event)}>
+                  <span style={styles.shortlistRowName}>{event.name}</span>
+                  <span style={styles.shortlistRowMeta}>{formatEventDate(event)} · {formatEventTime(event)} · {event.venueName}</span>
+                </button>
+                <button style={styles.shortlistRemove} onClick={() => toggleShortlisted(event)} aria-label={`Remove ${event.name} from the shortlist`}>✕</button>
+              </div>
+            ))}
+            <p style={styles.shortlistHint}>{events.length} of {MAX_SHORTLIST_EVENTS} events</p>
+            <button style={{ ...styles.actionButton, ...styles.primaryButton }} onClick={handleShare}>
+              📤 Share shortlist
+            </button>
+          </>
+        )}
+
+        {shared.length > 0 && (
+          <section>
+            <h2 style={styles.dateGroupHeader}>Shared shortlists</h2>
+            {shared.map(entry => (
+              <div key={entry.id} style={styles.shortlistRow}>
+                <button style={styles.shortlistRowMain} onClick={() => onOpenShared(entry)}>
+                  <span style={styles.shortlistRowName}>{entry.title}</span>
+                  <span style={styles.shortlistRowMeta}>Shared {new Date(entry.createdAt).toLocaleDateString([], { month: 'short', day: 'numeric' })}</span>
+                </button>
+              </div>
+            ))}
+          </section>
+        )}
+      </main>
+    </div>
+  );
+}
@@ -0,0 +1,19 @@
+import React from 'react';
+import ModuleScreen from './ModuleScreen';
+import { SOCIAL_SEGMENTS } from './eventProviders';
+
+// --- Social Module Component ---
+// Everything that is neither Music nor Sports, with a chip per genre (Comedy, Theatre, Fairs & Festivals, ...).
+const SOCIAL = {
+  title: 'Social',
+  label: 'Social',
+  segment: SOCIAL_SEGMENTS,
+  facetLevels: ['genre'],
+  loadingText: 'Finding things to do',
+  noun: 'social events',
+  noFilterMatchesText: 'Nothing social matches your filters.',
+};
+
+export default function SocialScreen(props) {
+  return <ModuleScreen module={SOCIAL} {...props} />;
+}
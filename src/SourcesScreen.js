@@ -0,0 +1,91 @@
+import React, { useState, useEffect } from 'react';
+import { OfflineBanner } from './SharedComponents';
+import { TICKETMASTER_SOURCE } from './eventProviders';
+import useOnlineStatus from './useOnlineStatus';
+
+// --- Event Sources Module Component ---
+// Where events come from: Ticketmaster, plus the iCalendar and JSON feeds the user subscribes to
+// (bar trivia, free concerts, community calendars). Reached from the Home tab.
+
+const feedSummary = (status) => {
+  if (!status) return 'Loading...';
+  if (status.error && status.eventCount === 0) return `Couldn't load: ${status.error.message}`;
+  const count = `${status.eventCount} upcoming ${status.eventCount === 1 ? 'event' : 'events'}`;
+  return status.error ? `${count} · last update failed` : count;
+};
+
+export default function SourcesScreen({ eventFeeds, onBack, styles }) {
+  const { feeds, statuses, addFeed, removeFeed, checkFeeds } = eventFeeds;
+  const [url, setUrl] = useState('');
+  const [name, setName] = useState('');
+  const [isAdding, setIsAdding] = useState(false);
+  const [addError, setAddError] = useState(null);
+  const isOnline = useOnlineStatus();
+
+  useEffect(() => {
+    checkFeeds();
+  }, [checkFeeds]);
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    setIsAdding(true);
+    setAddError(null);
+    const result = await addFeed(url, name);
+    setIsAdding(false);
+    if (result.status !== 'ok') {
+      setAddError(result.error);
+      return;
+    }
+    setUrl('');
+    setName('');
+  };
+
+  return (
+    <div style={styles.container}>
+      <header style={styles.header}>
+        <button style={styles.headerBackButton} onClick={onBack} aria-label="Back">←</button>
+        <h1 style={styles.headerTitle}>Event sources</h1>
+      </header>
+      <OfflineBanner styles={styles} />
+
+      <main style={styles.eventList}>
+        <div style={styles.shortlistRow}>
+          <div style={styles.shortlistRowMain}>
+            <span style={styles.shortlistRowName}>{TICKETMASTER_SOURCE.name}</span>
+            <span style={styles.shortlistRowMeta}>Built in · concerts, sports, theatre and more</span>
+          </div>
+        </div>
+        {feeds.map(feed => (
+          <div key={feed.id} style={styles.shortlistRow}>
+            <div style={styles.shortlistRowMain}>
+              <span style={styles.shortlistRowName}>{feed.name}</span>
+              <span style={styles.shortlistRowMeta}>{feed.url}</span>
+              <span style={statuses[feed.id]?.error ? styles.reminderChange : styles.shortlistVoters}>{feedSummary(statuses[feed.id])}</span>
+            </div>
+            <button style={styles.shortlistRemove} onClick={() => removeFeed(feed.id)} aria-label={`Remove ${feed.name}`}>✕</button>
+          </div>
+        ))}
+
+        <form onSubmit={handleAdd}>
+          <h2 style={styles.dateGroupHeader}>Add a feed</h2>
+          <p style={styles.shortlistHint}>
+            Paste the link of an iCalendar (.ics) or JSON event feed, like a bar's trivia calendar or your
+            city's community events. Its events show up alongside Ticketmaster's, in every search they match.
+          </p>
+          <label style={styles.shortlistLabel}>
+            Feed link
+            <input value={url} type="url" required placeholder="https://example.com/events.ics" onChange={(e) => setUrl(e.target.value)} style={styles.shortlistInput} />
+          </label>
+          <label style={styles.shortlistLabel}>
+            Name (optional)
+            <input value={name} maxLength={60} placeholder="The feed's own name" onChange={(e) => setName(e.target.value)} style={styles.shortlistInput} />
+          </label>
+          {addError && <p style={styles.reminderChange}>{addError.message}</p>}
+          <button type="submit" style={{ ...styles.actionButton, ...styles.primaryButton }} disabled={isAdding || !isOnline}>
+            {isAdding ? 'Checking feed...' : '＋ Add feed'}
+          </button>
+        </form>
+      </main>
+    </div>
+  );
+}
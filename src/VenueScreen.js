@@ -0,0 +1,115 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { EventCard, LoadingSpinner, LoadMoreFooter, SearchErrorState, OfflineBanner } from './SharedComponents';
+import useEventSearch from './useEventSearch';
+import { formatVenueAddress, venueNotes, formatCapacity } from './venueInfo';
+import { directionsUrl } from './ticketInfo';
+
+// --- Venue Screen ---
+// A venue's details and everything coming up there, across every category.
+
+const VENUE_PLACEHOLDER_IMAGE = 'https://placehold.co/600x400/1a202c/ffffff?text=Venue';
+
+/**
+ * The venue's upcoming events, paged. Ticketmaster's venueId search isn't limited by city or category.
+ */
+const VenueEvents = ({ api, venueId, onEventSelect, styles, savedEvents, followedAttractions }) => {
+  const refinements = useMemo(() => ({ venueIds: [venueId] }), [venueId]);
+  const { events, status, error, isLoading, isLoadingMore, loadMoreError, hasMore, loadMore, lastUpdated, refresh } = useEventSearch(api, null, null, refinements);
+
+  if (isLoading) {
+    return (
+      <div style={styles.loadMoreContainer}>
+        <LoadingSpinner styles={styles} />
+      </div>
+    );
+  }
+
+  return (
+    <>
+      <OfflineBanner lastUpdated={status !== 'error' ? lastUpdated : null} styles={styles} />
+      <main style={styles.eventList}>
+        {status === 'error' && <SearchErrorState error={error} onRetry={refresh} styles={styles} />}
+        {status === 'empty' && (
+          <div style={styles.noEventsContainer}>
+            <p style={styles.noEventsText}>Nothing on sale here right now.</p>
+          </div>
+        )}
+        {(status === 'ok' || status === 'demo') && events.map(event => (
+          <EventCard key={event.id} event={event} onPress={onEventSelect} styles={styles} isSaved={savedEvents.isSaved(event.id)} onToggleSave={savedEvents.toggleSaved} following={followedAttractions.followedIn(event)} />
+        ))}
+        <LoadMoreFooter hasMore={hasMore} isLoadingMore={isLoadingMore} error={loadMoreError} onLoadMore={loadMore} styles={styles} />
+      </main>
+    </>
+  );
+};
+
+/**
+ * @param {{ venueId: string, initialVenue?: Object }} props - `initialVenue` is the venue as embedded in
+ *   the event it was opened from; without it (a venue link opened directly) the venue is loaded by id.
+ */
+export default function VenueScreen({ venueId, initialVenue, api, onBack, onEventSelect, styles, savedEvents, followedAttractions, followedVenues }) {
+  // { venue, status: 'loading'|'ok'|'not-found' }
+  const [loaded, setLoaded] = useState(() => (initialVenue ? { venue: initialVenue, status: 'ok' } : { venue: null, status: 'loading' }));
+
+  useEffect(() => {
+    if (initialVenue) return undefined;
+    let isCurrent = true;
+    api.fetchTicketmasterVenueById(venueId).then(venue => {
+      if (isCurrent) setLoaded({ venue, status: venue ? 'ok' : 'not-found' });
+    });
+    return () => { isCurrent = false; };
+  }, [api, venueId, initialVenue]);
+
+  const { venue, status } = loaded;
+  if (status !== 'ok') {
+    return (
+      <div style={{ ...styles.safeArea, ...styles.loadingContainer }}>
+        {status === 'not-found' ? (
+          <>
+            <p style={styles.noEventsText}>We couldn't find that venue.</p>
+            <button style={styles.retryButton} onClick={onBack}>Browse events</button>
+          </>
+        ) : (
+          <>
+            <LoadingSpinner styles={styles} />
+            <p style={styles.loadingText}>Loading venue...</p>
+          </>
+        )}
+      </div>
+    );
+  }
+
+  const address = formatVenueAddress(venue.address);
+  const capacity = formatCapacity(venue);
+  const isFollowing = followedVenues.isFollowing(venue.id);
+
+  return (
+    <div style={styles.detailsContainer}>
+      <div style={styles.detailsImageContainer}>
+        <img src={venue.imageUrl || VENUE_PLACEHOLDER_IMAGE} alt={venue.name} style={styles.detailsImage} />
+        <button style={styles.backButton} onClick={onBack}>←</button>
+      </div>
+      <div style={styles.detailsContent}>
+        <h1 style={styles.detailsTitle}>{venue.name}</h1>
+        {address && <p style={styles.detailsAddress}>{address}</p>}
+        {capacity && <p style={styles.detailsDescription}>{capacity}</p>}
+        <div style={styles.venueActions}>
+          <button style={{ ...styles.followButton, ...(isFollowing ? styles.followButtonActive : {}) }} onClick={() => followedVenues.toggleFollow(venue)}>
+            {isFollowing ? '★ Following' : '☆ Follow venue'}
+          </button>
+          <button style={styles.followButton} onClick={() => window.open(directionsUrl({ coordinates: venue.coordinates, venueName: venue.name, address }), '_blank', 'noopener')}>
+            Get Directions
+          </button>
+        </div>
+        {venueNotes(venue).map(note => (
+          <details key={note.key} style={styles.venueNote}>
+            <summary style={styles.venueNoteLabel}>{note.label}</summary>
+            <p style={styles.venueNoteText}>{note.text}</p>
+          </details>
+        ))}
+        <h2 style={styles.dateGroupHeader}>Upcoming at {venue.name}</h2>
+      </div>
+      <VenueEvents api={api} venueId={venue.id} onEventSelect={onEventSelect} styles={styles} savedEvents={savedEvents} followedAttractions={followedAttractions} />
+    </div>
+  );
+}
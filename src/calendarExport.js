@@ -0,0 +1,113 @@
+// --- Calendar Export (.ics) ---
+// Builds RFC 5545 iCalendar files for a single event or a whole list of events.
+// Times are written in UTC (the trailing "Z"), which every calendar app converts to the
+// viewer's timezone, so an 8pm game in Denver shows up at 8pm Mountain wherever it's opened.
+
+// Ticketmaster rarely gives an end time, so events get a default length by category.
+const DEFAULT_DURATION_HOURS = {
+  Sports: 3,
+  Music: 3,
+  'Arts & Theatre': 2.5,
+};
+const FALLBACK_DURATION_HOURS = 2;
+
+const CRLF = '\r\n';
+
+// 20261114T020000Z
+const formatUTC = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// TEXT values must escape backslashes, semicolons, commas and newlines.
+const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+const utf8Length = (char) => {
+  const codePoint = char.codePointAt(0);
+  if (codePoint < 0x80) return 1;
+  if (codePoint < 0x800) return 2;
+  if (codePoint < 0x10000) return 3;
+  return 4;
+};
+
+// Lines longer than 75 octets are folded onto continuation lines that start with a space.
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  let currentLength = 0;
+  for (const char of line) {
+    const length = utf8Length(char);
+    // Continuation lines lose one octet to the leading space.
+    const limit = parts.length === 0 ? 75 : 74;
+    if (currentLength + length > limit) {
+      parts.push(current);
+      current = '';
+      currentLength = 0;
+    }
+    current += char;
+    currentLength += length;
+  }
+  parts.push(current);
+  return parts.join(`${CRLF} `);
+};
+
+const buildVEvent = (event, now) => {
+  const start = new Date(event.date);
+  const durationHours = DEFAULT_DURATION_HOURS[event.category] || FALLBACK_DURATION_HOURS;
+  const end = new Date(start.getTime() + durationHours * 60 * 60 * 1000);
+  const location = [event.venueName, event.address].filter(Boolean).join(', ');
+  const description = [event.venueName && `At ${event.venueName}`, event.url && `Tickets: ${event.url}`].filter(Boolean).join('\n');
+
+  return [
+    'BEGIN:VEVENT',
+    `UID:${event.id}@locate-app`,
+    `DTSTAMP:${formatUTC(now)}`,
+    `DTSTART:${formatUTC(start)}`,
+    `DTEND:${formatUTC(end)}`,
+    `SUMMARY:${escapeText(event.name)}`,
+    location && `LOCATION:${escapeText(location)}`,
+    description && `DESCRIPTION:${escapeText(description)}`,
+    event.url && `URL:${event.url}`,
+    'END:VEVENT',
+  ].filter(Boolean);
+};
+
+/**
+ * Builds an iCalendar document containing one VEVENT per event.
+ * Events without a start time (e.g. "date TBA") are skipped.
+ * @param {Array} events - Normalised events.
+ * @param {{ calendarName?: string, now?: Date }} [options]
+ * @returns {string} The .ics file contents, with CRLF line endings.
+ */
+export const buildICalendar = (events, { calendarName = 'Locate', now = new Date() } = {}) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Locate//Events//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(calendarName)}`,
+    ...events.filter(event => event.date && !Number.isNaN(new Date(event.date).getTime())).flatMap(event => buildVEvent(event, now)),
+    'END:VCALENDAR',
+  ];
+  return lines.map(foldLine).join(CRLF) + CRLF;
+};
+
+/**
+ * Downloads events as an .ics file, which phones and desktop browsers open in the calendar app.
+ * @param {Array} events - Normalised events.
+ * @param {string} name - Used for the calendar name and the file name.
+ */
+export const downloadICalendar = (events, name) => {
+  const blob = new Blob([buildICalendar(events, { calendarName: name })], { type: 'text/calendar;charset=utf-8' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `${name.replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '').toLowerCase() || 'events'}.ics`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Revoking straight after click() cancels the download in Firefox and Safari.
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
@@ -0,0 +1,40 @@
+import { buildICalendar } from './calendarExport';
+
+const event = {
+  id: 'vvG1zZ9abc',
+  name: 'Denver Nuggets vs. Los Angeles Lakers',
+  category: 'Sports',
+  date: '2026-11-14T02:00:00Z',
+  venueName: 'Ball Arena',
+  address: '1000 Chopper Circle, Denver, CO',
+  url: 'https://www.ticketmaster.com/event/vvG1zZ9abc',
+};
+const now = new Date('2026-10-19T17:00:00Z');
+
+test('builds a VEVENT in UTC with a default duration', () => {
+  const ics = buildICalendar([event], { now });
+  expect(ics).toContain('UID:vvG1zZ9abc@locate-app\r\n');
+  expect(ics).toContain('DTSTART:20261114T020000Z\r\n');
+  expect(ics).toContain('DTEND:20261114T050000Z\r\n');
+  expect(ics).toContain('DTSTAMP:20261019T170000Z\r\n');
+  expect(ics).toContain('LOCATION:Ball Arena\\, 1000 Chopper Circle\\, Denver\\, CO\r\n');
+  expect(ics.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n')).toBe(true);
+  expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+});
+
+test('escapes commas, semicolons and newlines in text values', () => {
+  const ics = buildICalendar([{ ...event, name: 'Comedy; Live, Loud\nLate' }], { now });
+  expect(ics).toContain('SUMMARY:Comedy\\; Live\\, Loud\\nLate\r\n');
+});
+
+test('exports several events and skips ones without a start time', () => {
+  const ics = buildICalendar([event, { ...event, id: 'second' }, { ...event, id: 'tba', date: undefined }], { now });
+  expect(ics.match(/BEGIN:VEVENT/g)).toHaveLength(2);
+  expect(ics).not.toContain('tba@locate-app');
+});
+
+test('folds lines longer than 75 octets', () => {
+  const ics = buildICalendar([{ ...event, name: 'A'.repeat(200) }], { now });
+  ics.split('\r\n').forEach(line => expect(line.length).toBeLessThanOrEqual(75));
+  expect(ics).toContain('\r\n A');
+});
@@ -0,0 +1,460 @@
+import { distanceInMiles } from './geo';
+import { EVENT_IMAGE_PLACEHOLDER } from './eventProviders';
+
+// --- Event Feeds ---
+// Calendar feeds a user subscribes to, for events Ticketmaster doesn't list: bar trivia, free
+// concerts, community events. A feed is an iCalendar (.ics) file, as most calendar apps and venue
+// websites publish, or a JSON feed ({ title, events: [{ id, name, start, venue, address, city,
+// lat, lng, url, image, category, price, status }] }). Each feed is an event provider (see
+// eventProviders.js) whose events are normalised like Ticketmaster's.
+
+// Repeating events (weekly trivia, say) are listed this far ahead.
+const RECURRENCE_HORIZON_DAYS = 120;
+const MAX_OCCURRENCES = 200;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Feed categories mapped onto the app's segments; anything else is listed under Social.
+const CATEGORY_PATTERNS = [
+  { category: 'Sports', pattern: /sport|game|match|race|run\b|league/i },
+  { category: 'Music', pattern: /music|concert|gig|band|dj\b|jazz|karaoke|open mic/i },
+  { category: 'Family', pattern: /family|kids|children/i },
+  { category: 'Arts & Theatre', pattern: /theat|comedy|art|film|dance|poetry/i },
+];
+const DEFAULT_CATEGORY = 'Miscellaneous';
+
+// A short, stable hash, so event ids built from feed UIDs are safe to put in a URL.
+const hashText = (text) => {
+  let hash = 5381;
+  for (let index = 0; index < text.length; index += 1) hash = ((hash * 33) ^ text.charCodeAt(index)) >>> 0;
+  return hash.toString(36);
+};
+
+/**
+ * The id of a feed, from its URL.
+ */
+export const feedIdFor = (url) => `feed-${hashText(url.trim())}`;
+
+// --- iCalendar parsing ---
+
+const unescapeText = (value) => value.replace(/\\([\\;,nN])/g, (match, char) => (char.toLowerCase() === 'n' ? '\n' : char));
+
+// Splits on a separator outside double quotes (parameter values may be quoted).
+const splitUnquoted = (text, separator) => {
+  const parts = [];
+  let current = '';
+  let quoted = false;
+  [...text].forEach(char => {
+    if (char === '"') quoted = !quoted;
+    if (char === separator && !quoted) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  });
+  return [...parts, current];
+};
+
+// "DTSTART;TZID=America/Denver:20261020T190000" -> { name: 'DTSTART', params: { TZID: 'America/Denver' }, value: '20261020T190000' }
+const parseContentLine = (line) => {
+  let colon = -1;
+  let quoted = false;
+  for (let index = 0; index < line.length && colon === -1; index += 1) {
+    if (line[index] === '"') quoted = !quoted;
+    else if (line[index] === ':' && !quoted) colon = index;
+  }
+  if (colon === -1) return null;
+  const [name, ...rawParams] = splitUnquoted(line.slice(0, colon), ';');
+  const params = Object.fromEntries(rawParams.map(param => {
+    const [key, ...value] = param.split('=');
+    return [key.toUpperCase(), value.join('=').replace(/^"|"$/g, '')];
+  }));
+  return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+};
+
+/**
+ * Reads the calendar name and events out of an iCalendar file. Properties are kept as
+ * { params, value } (EXDATE as a list, since it can repeat); nothing is interpreted yet.
+ * @param {string} text
+ * @returns {{ name: string|null, timeZone: string|null, events: Array<Object> }}
+ */
+export const parseICalendar = (text) => {
+  // Long lines are folded onto the next line, which starts with a space or tab.
+  const lines = text.replace(/\r\n?/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+  const calendar = { name: null, timeZone: null, events: [] };
+  const stack = [];
+  let event = null;
+  lines.forEach(line => {
+    const property = parseContentLine(line);
+    if (!property) return;
+    if (property.name === 'BEGIN') {
+      stack.push(property.value.toUpperCase());
+      if (property.value.toUpperCase() === 'VEVENT') event = { EXDATE: [] };
+    } else if (property.name === 'END') {
+      if (stack.pop() === 'VEVENT' && event) {
+        calendar.events.push(event);
+        event = null;
+      }
+    } else if (event && stack[stack.length - 1] === 'VEVENT') {
+      if (property.name === 'EXDATE') event.EXDATE.push(property);
+      else if (!event[property.name]) event[property.name] = property;
+    } else if (stack.length === 1 && property.name === 'X-WR-CALNAME') {
+      calendar.name = unescapeText(property.value).trim() || null;
+    } else if (stack.length === 1 && property.name === 'X-WR-TIMEZONE') {
+      calendar.timeZone = property.value.trim();
+    }
+  });
+  return calendar;
+};
+
+// --- Dates and time zones ---
+
+const isTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// How far ahead of UTC a time zone is at a moment, in ms.
+const offsetAt = (timestamp, timeZone) => {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone, hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric',
+  }).formatToParts(timestamp).map(part => [part.type, Number(part.value)]));
+  return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - Math.floor(timestamp / 1000) * 1000;
+};
+
+/**
+ * Converts a wall-clock time to a timestamp. Wall-clock times are kept as "naive" timestamps (the
+ * time as if it were UTC), so days can be added to them without tripping over daylight saving.
+ * @param {number} naive
+ * @param {string|null} timeZone - An IANA zone, 'UTC', or null for the browser's own.
+ */
+const wallTimeToTimestamp = (naive, timeZone) => {
+  if (timeZone === 'UTC') return naive;
+  if (!timeZone) {
+    const wall = new Date(naive);
+    return new Date(wall.getUTCFullYear(), wall.getUTCMonth(), wall.getUTCDate(), wall.getUTCHours(), wall.getUTCMinutes(), wall.getUTCSeconds()).getTime();
+  }
+  const guess = naive - offsetAt(naive, timeZone);
+  return naive - offsetAt(guess, timeZone);
+};
+
+/**
+ * Reads an iCalendar date or date-time: 20261020, 20261020T190000 (in TZID, or the calendar's
+ * zone) or 20261020T190000Z.
+ * @returns {{ naive: number, timeZone: string|null, allDay: boolean } | null}
+ */
+const parseICalDate = (property, calendarTimeZone) => {
+  const match = property?.value.trim().match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/);
+  if (!match) return null;
+  const [, year, month, day, hour = '0', minute = '0', second = '0', utc] = match;
+  const naive = Date.UTC(Number(year), Number(month) - 1, Number(day), Number(hour), Number(minute), Number(second));
+  const zone = [property.params.TZID, calendarTimeZone].find(candidate => candidate && isTimeZone(candidate)) || null;
+  return { naive, timeZone: utc ? 'UTC' : zone, allDay: match[4] === undefined };
+};
+
+// --- Repeating events ---
+
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+const parseRecurrenceRule = (value) => Object.fromEntries(value.split(';').map(part => part.split('=')).map(([key, rule]) => [key.toUpperCase(), rule]));
+
+// Every given weekday of a month, as naive day starts.
+const weekdaysOfMonth = (year, month, weekday) => {
+  const days = [];
+  for (let day = new Date(Date.UTC(year, month, 1)); day.getUTCMonth() === ((month % 12) + 12) % 12; day = new Date(day.getTime() + DAY_MS)) {
+    if (day.getUTCDay() === weekday) days.push(day.getTime());
+  }
+  return days;
+};
+
+// The longest each kind of period can be, to skip straight to the ones near `from`.
+const MAX_PERIOD_DAYS = { DAILY: 1, WEEKLY: 7, MONTHLY: 31, YEARLY: 366 };
+const MAX_PERIODS = 2000;
+
+/**
+ * The start times (naive) of a repeating event from its RRULE, between `from` and `horizon`.
+ * Covers what feeds use in practice: DAILY, WEEKLY (with BYDAY), MONTHLY (on the day, or BYDAY
+ * like TU, 2TU or -1FR) and YEARLY, with INTERVAL, COUNT and UNTIL.
+ */
+const expandRecurrence = (start, rule, { from, horizon }) => {
+  if (!MAX_PERIOD_DAYS[rule.FREQ]) return [start];
+  const interval = Math.max(1, Number(rule.INTERVAL) || 1);
+  const count = Number(rule.COUNT) || Infinity;
+  const until = rule.UNTIL ? parseICalDate({ value: rule.UNTIL, params: {} })?.naive ?? Infinity : Infinity;
+  const startDate = new Date(start);
+  const timeOfDay = start - Date.UTC(startDate.getUTCFullYear(), startDate.getUTCMonth(), startDate.getUTCDate());
+  const byDay = (rule.BYDAY || '').split(',').filter(Boolean).map(entry => {
+    const [, nth, day] = entry.match(/^([+-]?\d*)([A-Z]{2})$/) || [];
+    return { nth: Number(nth) || 0, weekday: WEEKDAYS.indexOf(day) };
+  }).filter(entry => entry.weekday !== -1);
+
+  // Candidate starts for the `n`th period after the first (a day, week, month or year).
+  const periodStarts = (n) => {
+    if (rule.FREQ === 'DAILY') return [start + n * interval * DAY_MS];
+    if (rule.FREQ === 'WEEKLY') {
+      const weekdays = byDay.length > 0 ? byDay.map(entry => entry.weekday) : [startDate.getUTCDay()];
+      // Weeks run Monday to Sunday.
+      const weekStart = start - timeOfDay - ((startDate.getUTCDay() + 6) % 7) * DAY_MS + n * interval * 7 * DAY_MS;
+      return weekdays.map(weekday => weekStart + ((weekday + 6) % 7) * DAY_MS + timeOfDay).sort((a, b) => a - b);
+    }
+    if (rule.FREQ === 'MONTHLY') {
+      const year = startDate.getUTCFullYear();
+      const month = startDate.getUTCMonth() + n * interval;
+      if (byDay.length > 0) {
+        return byDay.flatMap(({ weekday, nth }) => {
+          const days = weekdaysOfMonth(year, month, weekday);
+          if (nth === 0) return days;
+          const day = nth > 0 ? days[nth - 1] : days[days.length + nth];
+          return day === undefined ? [] : [day];
+        }).map(day => day + timeOfDay).sort((a, b) => a - b);
+      }
+      const day = Date.UTC(year, month, startDate.getUTCDate());
+      return new Date(day).getUTCDate() === startDate.getUTCDate() ? [day + timeOfDay] : [];
+    }
+    return [Date.UTC(startDate.getUTCFullYear() + n * interval, startDate.getUTCMonth(), startDate.getUTCDate()) + timeOfDay];
+  };
+
+  // Without a COUNT the earlier periods don't matter, so long-running series start near `from`.
+  const firstPeriod = count === Infinity ? Math.max(0, Math.floor((from - start) / (MAX_PERIOD_DAYS[rule.FREQ] * interval * DAY_MS)) - 1) : 0;
+  const starts = [];
+  let seen = 0;
+  for (let n = firstPeriod; n < firstPeriod + MAX_PERIODS && seen < count && starts.length < MAX_OCCURRENCES; n += 1) {
+    const candidates = periodStarts(n);
+    if (candidates.length > 0 && candidates[0] > Math.min(horizon, until)) break;
+    candidates.forEach(candidate => {
+      if (candidate < start || candidate > until || candidate > horizon || seen >= count) return;
+      seen += 1;
+      if (candidate >= from && starts.length < MAX_OCCURRENCES) starts.push(candidate);
+    });
+  }
+  return starts;
+};
+
+// --- Normalising ---
+
+const categoryFor = (...texts) => CATEGORY_PATTERNS.find(({ pattern }) => texts.some(text => text && pattern.test(text)))?.category || DEFAULT_CATEGORY;
+
+// "The Lamplighter, 123 Main St, Denver, CO 80202" -> the venue, its address and (if it can tell) the city.
+const parseLocation = (location) => {
+  const parts = (location || '').split(',').map(part => part.trim()).filter(Boolean);
+  const stateIndex = parts.findIndex((part, index) => index > 0 && /^[A-Z]{2}(\s+\d{5}(-\d{4})?)?$/.test(part));
+  return {
+    venueName: parts[0] || null,
+    address: parts.slice(1).join(', ') || null,
+    city: stateIndex > 1 ? parts[stateIndex - 1] : null,
+  };
+};
+
+const feedEvent = (feed, { key, name, date, timeZone, location, coordinates, url, imageUrl, category, description, status, priceRange }) => {
+  const { venueName, address, city } = location;
+  return {
+    id: `${feed.id}-${hashText(key)}`,
+    name,
+    url: url || null,
+    category,
+    genre: null,
+    subcategory: 'N/A',
+    classification: { segment: null, genre: null, subGenre: null },
+    date,
+    venue: null,
+    venueName,
+    city,
+    imageUrl: imageUrl || EVENT_IMAGE_PLACEHOLDER,
+    address,
+    attractions: [],
+    timezone: timeZone && timeZone !== 'UTC' ? timeZone : null,
+    coordinates: coordinates || null,
+    priceRange: priceRange || null,
+    status: status || null,
+    sales: { publicSale: null, presales: [] },
+    description: description || null,
+    sources: [{ id: feed.id, name: feed.name }],
+  };
+};
+
+/**
+ * The events in an iCalendar feed, with repeating events listed once per date.
+ * @param {string} text
+ * @param {{ id: string, name: string }} feed
+ * @param {number} [now]
+ * @returns {{ name: string|null, events: Array }} `name` is the calendar's own name, if it has one.
+ */
+export const eventsFromICalendar = (text, feed, now = Date.now()) => {
+  const calendar = parseICalendar(text);
+  const range = { from: now - DAY_MS, horizon: now + RECURRENCE_HORIZON_DAYS * DAY_MS };
+  const property = (event, name) => (event[name] ? unescapeText(event[name].value).trim() : null);
+  const timestampOf = (date) => wallTimeToTimestamp(date.naive, date.timeZone);
+  // Moved or cancelled dates of a repeating event come as events of their own, with a RECURRENCE-ID.
+  const overridden = new Set(calendar.events.filter(event => event['RECURRENCE-ID']).map(event => {
+    const recurrence = parseICalDate(event['RECURRENCE-ID'], calendar.timeZone);
+    return recurrence && `${property(event, 'UID')}@${timestampOf(recurrence)}`;
+  }));
+
+  const events = calendar.events.flatMap(event => {
+    const start = parseICalDate(event.DTSTART, calendar.timeZone);
+    const name = property(event, 'SUMMARY');
+    if (!start || !name) return [];
+    const uid = property(event, 'UID') || `${name}@${event.DTSTART.value}`;
+    const geo = property(event, 'GEO')?.split(/[;,]/).map(Number);
+    const details = {
+      name,
+      timeZone: start.timeZone,
+      location: parseLocation(property(event, 'LOCATION')),
+      coordinates: geo?.length === 2 && geo.every(Number.isFinite) ? { lat: geo[0], lng: geo[1] } : null,
+      url: property(event, 'URL'),
+      imageUrl: property(event, 'IMAGE'),
+      category: categoryFor(property(event, 'CATEGORIES'), name),
+      description: property(event, 'DESCRIPTION'),
+      status: property(event, 'STATUS')?.toUpperCase() === 'CANCELLED' ? 'canceled' : null,
+    };
+    const single = (key) => [feedEvent(feed, { ...details, key, date: new Date(timestampOf(start)).toISOString() })];
+
+    // A moved date keeps the id of the date it replaces, and a one-off event keeps its id if it moves.
+    if (event['RECURRENCE-ID']) {
+      const recurrence = parseICalDate(event['RECURRENCE-ID'], calendar.timeZone);
+      return recurrence ? single(`${uid}@${timestampOf(recurrence)}`) : [];
+    }
+    if (!event.RRULE) return single(uid);
+
+    const exdates = event.EXDATE.flatMap(exdate => exdate.value.split(',').map(value => parseICalDate({ ...exdate, value }, calendar.timeZone))).filter(Boolean);
+    const excludedTimes = new Set(exdates.filter(exdate => !exdate.allDay).map(timestampOf));
+    const excludedDays = new Set(exdates.filter(exdate => exdate.allDay).map(exdate => exdate.naive / DAY_MS));
+    return expandRecurrence(start.naive, parseRecurrenceRule(event.RRULE.value), range)
+      .filter(naive => !excludedDays.has(Math.floor(naive / DAY_MS)))
+      .map(naive => wallTimeToTimestamp(naive, start.timeZone))
+      .filter(timestamp => !excludedTimes.has(timestamp) && !overridden.has(`${uid}@${timestamp}`))
+      .map(timestamp => feedEvent(feed, { ...details, key: `${uid}@${timestamp}`, date: new Date(timestamp).toISOString() }));
+  });
+  return { name: calendar.name, events };
+};
+
+/**
+ * The events in a JSON feed: { title, events: [...] }, or just the list of events.
+ * @param {Object|Array} data
+ * @param {{ id: string, name: string }} feed
+ * @returns {{ name: string|null, events: Array }}
+ */
+export const eventsFromJSONFeed = (data, feed) => {
+  const items = Array.isArray(data) ? data : data?.events || [];
+  const events = items.filter(item => (item.name || item.title) && (item.start || item.date) && !Number.isNaN(new Date(item.start || item.date).getTime())).map(item => {
+    const name = String(item.name || item.title);
+    const date = new Date(item.start || item.date).toISOString();
+    const price = item.free ? 0 : Number(item.price);
+    const hasPrice = Boolean(item.free) || (item.price !== null && item.price !== '' && Number.isFinite(price));
+    return feedEvent(feed, {
+      key: String(item.id || `${name}@${date}`),
+      name,
+      date,
+      timeZone: item.timezone && isTimeZone(item.timezone) ? item.timezone : null,
+      location: item.venue ? { venueName: item.venue, address: item.address || null, city: item.city || null } : parseLocation(item.location),
+      coordinates: Number.isFinite(item.lat) && Number.isFinite(item.lng) ? { lat: item.lat, lng: item.lng } : null,
+      url: item.url,
+      imageUrl: item.image || item.imageUrl,
+      category: categoryFor(item.category, name),
+      description: item.description,
+      status: ['canceled', 'cancelled'].includes(String(item.status).toLowerCase()) ? 'canceled' : null,
+      priceRange: hasPrice ? { min: price, max: price || null, currency: item.currency || 'USD' } : null,
+    });
+  });
+  return { name: Array.isArray(data) ? null : data?.title || data?.name || null, events };
+};
+
+/**
+ * Reads a feed in either format.
+ * @param {string} text
+ * @param {{ id: string, name: string }} feed
+ * @returns {{ name: string|null, events: Array } | null} null if it is neither iCalendar nor JSON.
+ */
+export const parseFeed = (text, feed, now = Date.now()) => {
+  const trimmed = text.trim();
+  if (trimmed.startsWith('BEGIN:VCALENDAR')) return eventsFromICalendar(trimmed, feed, now);
+  try {
+    return eventsFromJSONFeed(JSON.parse(trimmed), feed);
+  } catch (error) {
+    return null;
+  }
+};
+
+// --- Searching ---
+
+// Segments a Ticketmaster classificationName search covers, e.g. 'Arts & Theatre,Family,Miscellaneous'.
+const matchesCategory = (event, category) => !category || category.split(',').map(name => name.trim()).includes(event.category);
+
+/**
+ * Whether a feed event belongs in a search. Feeds are usually local, so an event whose location
+ * can't be told is kept. Searches narrowed to Ticketmaster's own genres, attractions or venues
+ * never match feed events.
+ * @returns {Object|null} The event (with `distance` for a search around a point), or null.
+ */
+export const matchFeedEvent = (event, searchParams, category, refinements = {}, now = Date.now()) => {
+  if (['genreIds', 'subGenreIds', 'attractionIds', 'venueIds'].some(key => refinements[key]?.length)) return null;
+  if (new Date(event.date) < new Date(now).setHours(0, 0, 0, 0) || !matchesCategory(event, category)) return null;
+  if (refinements.keyword) {
+    const keyword = refinements.keyword.toLowerCase();
+    if (![event.name, event.venueName, event.description].some(text => text?.toLowerCase().includes(keyword))) return null;
+  }
+  if (!searchParams) return event;
+  if (searchParams.coordinates && event.coordinates) {
+    const distance = distanceInMiles(searchParams.coordinates, event.coordinates);
+    return distance <= searchParams.radius ? { ...event, distance } : null;
+  }
+  if (searchParams.city && event.city && searchParams.city.toLowerCase() !== event.city.toLowerCase()) return null;
+  return event;
+};
+
+/**
+ * An event provider for one subscribed feed. The feed is downloaded once and searched locally,
+ * and downloaded again once it is older than `ttlMs`.
+ * @param {{ id: string, name: string, url: string }} feed
+ * @param {{ loadFeed: Function, enrich?: Function, ttlMs: number }} options
+ *   `loadFeed(url)` resolves to { status: 'ok', text, fetchedAt } or { status: 'error', error };
+ *   `enrich(events)` can add details (e.g. Google ratings) to the parsed events.
+ * @returns {import('./eventProviders').EventProvider & { getStatus: Function }}
+ *   `getStatus()` is { eventCount, fetchedAt, error } for the feed's last download, or null before the first.
+ */
+export const createFeedProvider = (feed, { loadFeed, enrich = async (events) => events, ttlMs }) => {
+  let loaded = null;
+  let pending = null;
+
+  const load = () => {
+    if (loaded && !loaded.error && Date.now() - loaded.fetchedAt < ttlMs) return Promise.resolve(loaded);
+    if (!pending) {
+      pending = (async () => {
+        const response = await loadFeed(feed.url);
+        const parsed = response.status === 'ok' ? parseFeed(response.text, feed) : null;
+        if (!parsed) {
+          // A failed download keeps the events from the last good one.
+          const error = response.error || { reason: 'server', message: "This isn't an iCalendar or JSON feed." };
+          loaded = loaded ? { ...loaded, error } : { events: [], fetchedAt: Date.now(), error };
+        } else {
+          loaded = { events: await enrich(parsed.events), fetchedAt: response.fetchedAt || Date.now(), error: null };
+        }
+        pending = null;
+        return loaded;
+      })();
+    }
+    return pending;
+  };
+
+  const resultFor = ({ events, fetchedAt }, searchParams, category, refinements) => {
+    const matches = events.map(event => matchFeedEvent(event, searchParams, category, refinements)).filter(Boolean);
+    return { status: matches.length > 0 ? 'ok' : 'empty', events: matches, page: { number: 0, size: matches.length, totalPages: 1, totalElements: matches.length }, fetchedAt };
+  };
+
+  return {
+    id: feed.id,
+    name: feed.name,
+    searchEvents: async (searchParams, category = null, page = 0, refinements = {}) => resultFor(await load(), searchParams, category, refinements),
+    getCachedEvents: (searchParams, category = null, page = 0, refinements = {}) => (loaded
+      ? { result: resultFor(loaded, searchParams, category, refinements), fetchedAt: loaded.fetchedAt, isStale: Boolean(loaded.error) || Date.now() - loaded.fetchedAt >= ttlMs }
+      : null),
+    ownsEventId: (eventId) => eventId.startsWith(`${feed.id}-`),
+    fetchEventById: async (eventId) => (await load()).events.find(event => event.id === eventId) || null,
+    getStatus: () => (loaded ? { eventCount: loaded.events.length, fetchedAt: loaded.fetchedAt, error: loaded.error } : null),
+  };
+};
@@ -0,0 +1,130 @@
+import { parseFeed, eventsFromICalendar, matchFeedEvent, createFeedProvider, feedIdFor } from './eventFeeds';
+
+const feed = { id: 'feed-trivia', name: 'Denver Trivia', url: 'https://example.com/trivia.ics' };
+const now = new Date('2026-10-19T17:00:00Z').getTime();
+
+const ics = [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  'X-WR-CALNAME:Denver Trivia Nights',
+  'BEGIN:VTIMEZONE',
+  'TZID:America/Denver',
+  'END:VTIMEZONE',
+  'BEGIN:VEVENT',
+  'UID:weekly-trivia@lamplighter',
+  'SUMMARY:Geeks Who Drink Trivia',
+  'DTSTART;TZID=America/Denver:20260101T190000',
+  'RRULE:FREQ=WEEKLY;BYDAY=TU',
+  'EXDATE;TZID=America/Denver:20261027T190000',
+  'LOCATION:The Lamplighter\\, 123 Main St\\, Denver\\, CO 80202',
+  'DESCRIPTION:Teams of up to six.\\nFree to play.',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'UID:weekly-trivia@lamplighter',
+  'RECURRENCE-ID;TZID=America/Denver:20261103T190000',
+  'SUMMARY:Geeks Who Drink Trivia (Halloween special)',
+  'DTSTART;TZID=America/Denver:20261104T190000',
+  'LOCATION:The Lamplighter, 123 Main St, Denver, CO 80202',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'UID:park-concert',
+  'SUMMARY:Free Concert in the Park: Brass',
+  '  Band',
+  'DTSTART:20261024T230000Z',
+  'CATEGORIES:Music',
+  'GEO:39.74;-104.99',
+  'STATUS:CANCELLED',
+  'URL:https://example.com/concert',
+  'END:VEVENT',
+  'END:VCALENDAR',
+].join('\r\n');
+
+test('reads iCalendar feeds, repeating events included', () => {
+  const { name, events } = parseFeed(ics, feed, now);
+  expect(name).toBe('Denver Trivia Nights');
+
+  const trivia = events.filter(event => event.name.startsWith('Geeks Who Drink Trivia')).sort((a, b) => new Date(a.date) - new Date(b.date));
+  // Tuesdays at 7pm Denver time from the day before `now`, less the excluded date, with one moved to the Wednesday.
+  expect(trivia.slice(0, 4).map(event => event.date)).toEqual([
+    '2026-10-21T01:00:00.000Z',
+    '2026-11-05T02:00:00.000Z',
+    '2026-11-11T02:00:00.000Z',
+    '2026-11-18T02:00:00.000Z',
+  ]);
+  expect(trivia[0]).toMatchObject({
+    venueName: 'The Lamplighter',
+    address: '123 Main St, Denver, CO 80202',
+    city: 'Denver',
+    timezone: 'America/Denver',
+    category: 'Miscellaneous',
+    description: 'Teams of up to six.\nFree to play.',
+    sources: [{ id: 'feed-trivia', name: 'Denver Trivia' }],
+  });
+  expect(trivia[1].name).toBe('Geeks Who Drink Trivia (Halloween special)');
+  expect(new Set(trivia.map(event => event.id)).size).toBe(trivia.length);
+
+  const concert = events.find(event => event.name === 'Free Concert in the Park: Brass Band');
+  expect(concert).toMatchObject({ date: '2026-10-24T23:00:00.000Z', category: 'Music', status: 'canceled', coordinates: { lat: 39.74, lng: -104.99 }, timezone: null, url: 'https://example.com/concert' });
+});
+
+test('keeps event ids when a date moves', () => {
+  const [before] = eventsFromICalendar(ics, feed, now).events.filter(event => event.name === 'Free Concert in the Park: Brass Band');
+  const [after] = eventsFromICalendar(ics.replace('DTSTART:20261024T230000Z', 'DTSTART:20261025T230000Z'), feed, now).events.filter(event => event.name === 'Free Concert in the Park: Brass Band');
+  expect(after.id).toBe(before.id);
+  expect(after.date).not.toBe(before.date);
+});
+
+test('reads JSON feeds', () => {
+  const json = JSON.stringify({
+    title: 'Community Calendar',
+    events: [
+      { id: 'open-mic', name: 'Open Mic Night', start: '2026-10-22T02:00:00Z', venue: 'Mercury Cafe', city: 'Denver', free: true },
+      { title: 'Kids Pottery', start: '2026-10-25T16:00:00Z', location: 'Clay Studio, 9 Elm St, Boulder, CO', price: 15 },
+      { name: 'No date' },
+    ],
+  });
+  const { name, events } = parseFeed(json, feed);
+  expect(name).toBe('Community Calendar');
+  expect(events).toHaveLength(2);
+  expect(events[0]).toMatchObject({ name: 'Open Mic Night', venueName: 'Mercury Cafe', city: 'Denver', category: 'Music', priceRange: { min: 0, max: null, currency: 'USD' } });
+  expect(events[1]).toMatchObject({ name: 'Kids Pottery', venueName: 'Clay Studio', city: 'Boulder', category: 'Family', priceRange: { min: 15, max: 15, currency: 'USD' } });
+  expect(parseFeed('<html>Not a feed</html>', feed)).toBeNull();
+});
+
+test('matches feed events to a search', () => {
+  const event = { name: 'Open Mic Night', date: '2026-10-22T02:00:00Z', category: 'Music', venueName: 'Mercury Cafe', city: 'Denver', coordinates: { lat: 39.7506, lng: -104.9932 } };
+  const denver = { city: 'Denver', stateCode: 'CO', radius: 25 };
+  expect(matchFeedEvent(event, denver, 'Music', {}, now)).toBe(event);
+  expect(matchFeedEvent(event, denver, 'Sports', {}, now)).toBeNull();
+  expect(matchFeedEvent(event, { city: 'Boulder', stateCode: 'CO', radius: 25 }, null, {}, now)).toBeNull();
+  expect(matchFeedEvent(event, { ...denver, coordinates: { lat: 39.7392, lng: -104.9903 } }, null, {}, now).distance).toBeCloseTo(0.8, 1);
+  expect(matchFeedEvent(event, null, null, { keyword: 'mercury' }, now)).toBe(event);
+  expect(matchFeedEvent(event, null, null, { keyword: 'jazz' }, now)).toBeNull();
+  expect(matchFeedEvent(event, null, null, { attractionIds: ['K8vZ9171oZ7'] }, now)).toBeNull();
+  expect(matchFeedEvent(event, denver, null, {}, new Date('2026-10-23T12:00:00Z').getTime())).toBeNull();
+});
+
+test('a feed provider downloads once and keeps its last good events', async () => {
+  const text = JSON.stringify([{ id: 'open-mic', name: 'Open Mic Night', start: '2099-10-22T02:00:00Z', venue: 'Mercury Cafe' }]);
+  const loadFeed = jest.fn(async () => ({ status: 'ok', text, fetchedAt: Date.now() }));
+  const provider = createFeedProvider({ id: feedIdFor(feed.url), name: 'Denver Trivia', url: feed.url }, { loadFeed, ttlMs: 60 * 1000 });
+  expect(provider.getCachedEvents(null)).toBeNull();
+
+  const result = await provider.searchEvents(null);
+  expect(result.status).toBe('ok');
+  expect(result.events.map(event => event.name)).toEqual(['Open Mic Night']);
+  expect(provider.ownsEventId(result.events[0].id)).toBe(true);
+  expect(await provider.fetchEventById(result.events[0].id)).toMatchObject({ name: 'Open Mic Night' });
+  expect(provider.getCachedEvents(null).result.events).toHaveLength(1);
+  expect(loadFeed).toHaveBeenCalledTimes(1);
+
+  // Two minutes later it is stale: downloads again, fails, and keeps the events.
+  const later = Date.now() + 2 * 60 * 1000;
+  jest.spyOn(Date, 'now').mockReturnValue(later);
+  loadFeed.mockResolvedValueOnce({ status: 'error', error: { reason: 'network', message: 'offline' } });
+  expect((await provider.searchEvents(null)).events).toHaveLength(1);
+  expect(provider.getStatus()).toMatchObject({ eventCount: 1, error: { reason: 'network' } });
+  expect(provider.getCachedEvents(null).isStale).toBe(true);
+  expect(loadFeed).toHaveBeenCalledTimes(2);
+  Date.now.mockRestore();
+});
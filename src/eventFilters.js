@@ -0,0 +1,230 @@
+// --- Event filtering ---
+// The date, day-of-week, time-of-day, price and keyword filters and the sort orders shared by every
+// module. Dates are worked out in the venue's own timezone, so "Today" and "evening" mean the
+// same thing whether you are browsing from home or planning a trip to another city.
+
+// The date ranges, in the order their buttons appear.
+export const TIME_RANGES = {
+  today: 'Today',
+  thisWeek: 'This Week',
+  thisMonth: 'This Month',
+  nextMonth: 'Next Month',
+  custom: 'Custom',
+};
+
+export const DEFAULT_TIME_RANGE = 'thisMonth';
+
+// Day-of-week filters; 0 is Sunday. Friday counts as the weekend, since that's a night out too.
+export const DAY_FILTERS = {
+  weekdays: { label: 'Weekdays', days: [1, 2, 3, 4, 5] },
+  weekend: { label: 'Weekend', days: [5, 6, 0] },
+};
+
+// Time-of-day filters, as [from, to) hours in the venue's local time. Late night wraps past midnight.
+export const TIME_OF_DAY_FILTERS = {
+  morning: { label: 'Morning', from: 5, to: 12 },
+  afternoon: { label: 'Afternoon', from: 12, to: 17 },
+  evening: { label: 'Evening', from: 17, to: 22 },
+  late: { label: 'Late night', from: 22, to: 5 },
+};
+
+// Budget filters on the cheapest ticket. Events whose prices haven't been announced are left out
+// while one is active, unless the user asks to include them (`unpriced: 'include'`).
+export const PRICE_FILTERS = {
+  free: { label: 'Free', max: 0 },
+  under25: { label: 'Under $25', max: 25 },
+  under50: { label: 'Under $50', max: 50 },
+  under100: { label: 'Under $100', max: 100 },
+};
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Formatters are slow to create, so keep one per timezone.
+const partsFormatters = new Map();
+
+const partsFormatter = (timeZone) => {
+  const key = timeZone || 'local';
+  if (!partsFormatters.has(key)) {
+    const options = { year: 'numeric', month: '2-digit', day: '2-digit', weekday: 'short', hour: '2-digit', minute: '2-digit', hourCycle: 'h23' };
+    try {
+      partsFormatters.set(key, new Intl.DateTimeFormat('en-US', { ...options, timeZone: timeZone || undefined }));
+    } catch (error) {
+      // An unknown timezone name; fall back to the viewer's own.
+      partsFormatters.set(key, new Intl.DateTimeFormat('en-US', options));
+    }
+  }
+  return partsFormatters.get(key);
+};
+
+/**
+ * The calendar date and wall-clock time of an instant in a timezone.
+ * @param {Date|string|number} date
+ * @param {string} [timeZone] - An IANA name such as 'America/Denver'; the viewer's timezone if omitted.
+ * @returns {{ dateKey: string, weekday: number, hour: number, minute: number }} `dateKey` is 'YYYY-MM-DD'.
+ */
+export const zonedParts = (date, timeZone) => {
+  const parts = Object.fromEntries(partsFormatter(timeZone).formatToParts(new Date(date)).map(part => [part.type, part.value]));
+  return {
+    dateKey: `${parts.year}-${parts.month}-${parts.day}`,
+    weekday: WEEKDAYS.indexOf(parts.weekday),
+    hour: Number(parts.hour) % 24,
+    minute: Number(parts.minute),
+  };
+};
+
+// Date keys are compared as strings; these do the calendar arithmetic on them.
+const addDays = (dateKey, days) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+};
+
+const lastDayOfMonth = (dateKey, monthOffset = 0) => {
+  const [year, month] = dateKey.split('-').map(Number);
+  return new Date(Date.UTC(year, month + monthOffset, 0)).toISOString().slice(0, 10);
+};
+
+/**
+ * The first and last day (inclusive, as 'YYYY-MM-DD') that a date range covers.
+ * Weeks run Monday to Sunday. Either end of a custom range may be open.
+ */
+export const dateRangeBounds = (filters, today, todayWeekday) => {
+  switch (filters.time || DEFAULT_TIME_RANGE) {
+    case 'today':
+      return { from: today, to: today };
+    case 'thisWeek':
+      return { from: today, to: addDays(today, (7 - todayWeekday) % 7) };
+    case 'nextMonth':
+      return { from: addDays(lastDayOfMonth(today), 1), to: lastDayOfMonth(today, 1) };
+    case 'custom':
+      return { from: filters.from || null, to: filters.to || null };
+    case 'thisMonth':
+    default:
+      return { from: today, to: lastDayOfMonth(today) };
+  }
+};
+
+const inTimeOfDay = (hour, { from, to }) => (from < to ? hour >= from && hour < to : hour >= from || hour < to);
+
+/**
+ * Whether an event passes the date, day and time-of-day filters.
+ * "Today" is the venue's today, not the viewer's.
+ * @param {Object} event - A normalised event; `timezone` is the venue's IANA timezone.
+ * @param {{ time?: string, from?: string, to?: string, days?: string, timeOfDay?: string }} filters
+ * @param {Date} now
+ */
+export const matchesTimeFilters = (event, filters, now) => {
+  if (!event.date) return false;
+  const local = zonedParts(event.date, event.timezone);
+  const today = zonedParts(now, event.timezone);
+  const { from, to } = dateRangeBounds(filters, today.dateKey, today.weekday);
+  if ((from && local.dateKey < from) || (to && local.dateKey > to)) return false;
+  if (DAY_FILTERS[filters.days] && !DAY_FILTERS[filters.days].days.includes(local.weekday)) return false;
+  if (TIME_OF_DAY_FILTERS[filters.timeOfDay] && !inTimeOfDay(local.hour, TIME_OF_DAY_FILTERS[filters.timeOfDay])) return false;
+  return true;
+};
+
+/**
+ * Whether an event passes the price filter. Without one, every event does.
+ * @param {Object} event - A normalised event; `priceRange` is null when Ticketmaster has no prices for it.
+ * @param {{ price?: string, unpriced?: string }} filters
+ */
+export const matchesPriceFilter = (event, filters) => {
+  const priceFilter = PRICE_FILTERS[filters.price];
+  if (!priceFilter) return true;
+  if (event.priceRange?.min == null) return filters.unpriced === 'include';
+  return event.priceRange.min <= priceFilter.max;
+};
+
+/**
+ * Whether every word of a keyword search appears in the event's name, venue, performers or genre.
+ */
+export const matchesKeyword = (event, keyword) => {
+  const words = (keyword || '').toLowerCase().split(/\s+/).filter(Boolean);
+  if (words.length === 0) return true;
+  const text = [
+    event.name,
+    event.venueName,
+    ...(event.attractions || []).map(attraction => attraction.name),
+    event.genre,
+    event.subcategory,
+  ].filter(Boolean).join(' ').toLowerCase();
+  return words.every(word => text.includes(word));
+};
+
+/**
+ * Applies a module's filters to its events, then sorts them.
+ * @param {Array} events
+ * @param {Object} filters - The time and price filters (see matchesTimeFilters and matchesPriceFilter), `keyword`, `sort` and the module's `category`.
+ * @param {{ now?: Date, matchesCategory?: Function }} [options]
+ *   `matchesCategory(event)` is the module's own check for its category chips.
+ */
+export const filterEvents = (events, filters, { now = new Date(), matchesCategory = () => true } = {}) => sortEvents(
+  events.filter(event => matchesTimeFilters(event, filters, now) && matchesPriceFilter(event, filters) && matchesKeyword(event, filters.keyword) && matchesCategory(event)),
+  filters.sort
+);
+
+// --- Sorting ---
+
+/**
+ * The sort options. `server` is Ticketmaster's sort for the same order, so paging through the
+ * results follows it; the others can only order the events loaded so far.
+ * "Popular" uses Ticketmaster's relevance ranking; the events already loaded keep that order.
+ */
+export const SORT_OPTIONS = {
+  date: { label: 'Date', server: 'date,asc' },
+  distance: { label: 'Distance', server: 'distance,asc' },
+  price: { label: 'Price' },
+  rating: { label: 'Venue rating' },
+  popularity: { label: 'Popular', server: 'relevance,desc' },
+};
+
+export const DEFAULT_SORT = 'date';
+
+// Events missing the value being sorted on always go last.
+const compareBy = (value, direction = 1) => (a, b) => {
+  const [valueA, valueB] = [value(a), value(b)];
+  if (valueA == null || valueB == null) return (valueA == null) - (valueB == null);
+  return (valueA - valueB) * direction;
+};
+
+const SORT_COMPARATORS = {
+  date: compareBy(event => (event.date ? new Date(event.date).getTime() : null)),
+  distance: compareBy(event => event.distance),
+  price: compareBy(event => event.priceRange?.min),
+  rating: compareBy(event => event.googleData?.rating, -1),
+};
+
+/**
+ * Sorts events (stably) by one of the SORT_OPTIONS keys.
+ */
+export const sortEvents = (events, sort = DEFAULT_SORT) => (SORT_COMPARATORS[sort] ? [...events].sort(SORT_COMPARATORS[sort]) : events);
+
+/**
+ * A short description of the time filters, e.g. "This Week · Weekend · Evening".
+ */
+export const describeTimeFilters = (filters) => {
+  const time = filters.time || DEFAULT_TIME_RANGE;
+  const range = time === 'custom' ? [filters.from, filters.to].filter(Boolean).join(' to ') || 'Any date' : TIME_RANGES[time];
+  return [range, DAY_FILTERS[filters.days]?.label, TIME_OF_DAY_FILTERS[filters.timeOfDay]?.label].filter(Boolean).join(' · ');
+};
+
+const viewerTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+/**
+ * Formats an event's date and/or time in the venue's timezone. The timezone's short name
+ * (e.g. "PDT") is added to times when it differs from the viewer's.
+ * @param {Object} event
+ * @param {Intl.DateTimeFormatOptions} options - e.g. { hour: '2-digit', minute: '2-digit' }.
+ */
+export const formatEventDateTime = (event, options) => {
+  const showZone = Boolean(event.timezone && options.hour && event.timezone !== viewerTimeZone());
+  try {
+    return new Date(event.date).toLocaleString([], { ...options, timeZone: event.timezone || undefined, ...(showZone ? { timeZoneName: 'short' } : {}) });
+  } catch (error) {
+    return new Date(event.date).toLocaleString([], options);
+  }
+};
+
+export const formatEventTime = (event) => formatEventDateTime(event, { hour: '2-digit', minute: '2-digit' });
+
+export const formatEventDate = (event, options = { weekday: 'long', month: 'long', day: 'numeric' }) => formatEventDateTime(event, options);
@@ -0,0 +1,90 @@
+import { filterEvents, matchesTimeFilters, matchesPriceFilter, zonedParts, dateRangeBounds, describeTimeFilters, formatEventTime, sortEvents } from './eventFilters';
+
+// Wednesday 21 October 2026, 11pm in Denver, which is already Thursday in New York and in UTC.
+const now = new Date('2026-10-22T05:00:00Z');
+
+// Daylight saving time ends on 1 November 2026, so later Denver events are at -07:00.
+const denver = (id, isoLocal, offset = '-06:00') => ({ id, date: new Date(`${isoLocal}${offset}`).toISOString(), timezone: 'America/Denver' });
+const newYork = (id, isoLocal) => ({ id, date: new Date(`${isoLocal}-04:00`).toISOString(), timezone: 'America/New_York' });
+const ids = (events) => events.map(event => event.id);
+
+test('reads dates and times in the venue timezone', () => {
+  expect(zonedParts(now, 'America/Denver')).toEqual({ dateKey: '2026-10-21', weekday: 3, hour: 23, minute: 0 });
+  expect(zonedParts(now, 'America/New_York')).toEqual({ dateKey: '2026-10-22', weekday: 4, hour: 1, minute: 0 });
+});
+
+test('"Today" is the venue\'s today', () => {
+  const events = [denver('denver-tonight', '2026-10-21T19:00:00'), newYork('ny-tonight', '2026-10-22T20:00:00'), newYork('ny-yesterday', '2026-10-21T20:00:00')];
+  expect(ids(filterEvents(events, { time: 'today' }, { now }))).toEqual(['denver-tonight', 'ny-tonight']);
+});
+
+test('date ranges run to the end of the week and month', () => {
+  expect(dateRangeBounds({ time: 'thisWeek' }, '2026-10-21', 3)).toEqual({ from: '2026-10-21', to: '2026-10-25' });
+  expect(dateRangeBounds({ time: 'thisWeek' }, '2026-10-25', 0)).toEqual({ from: '2026-10-25', to: '2026-10-25' });
+  expect(dateRangeBounds({}, '2026-10-21', 3)).toEqual({ from: '2026-10-21', to: '2026-10-31' });
+  expect(dateRangeBounds({ time: 'nextMonth' }, '2026-12-21', 1)).toEqual({ from: '2027-01-01', to: '2027-01-31' });
+  expect(dateRangeBounds({ time: 'custom', from: '2026-11-01' }, '2026-10-21', 3)).toEqual({ from: '2026-11-01', to: null });
+
+  const events = [denver('sunday', '2026-10-25T13:00:00'), denver('monday', '2026-10-26T19:00:00')];
+  expect(ids(filterEvents(events, { time: 'thisWeek' }, { now }))).toEqual(['sunday']);
+});
+
+test('custom ranges include both end days', () => {
+  const events = [denver('before', '2026-10-31T20:00:00'), denver('first', '2026-11-01T10:00:00', '-07:00'), denver('last', '2026-11-15T23:30:00', '-07:00'), denver('after', '2026-11-16T00:30:00', '-07:00')];
+  expect(ids(filterEvents(events, { time: 'custom', from: '2026-11-01', to: '2026-11-15' }, { now }))).toEqual(['first', 'last']);
+});
+
+test('filters weekend evenings in venue-local time', () => {
+  const filters = { time: 'thisMonth', days: 'weekend', timeOfDay: 'evening' };
+  expect(matchesTimeFilters(denver('fri-night', '2026-10-23T19:30:00'), filters, now)).toBe(true);
+  expect(matchesTimeFilters(denver('sat-matinee', '2026-10-24T14:00:00'), filters, now)).toBe(false);
+  expect(matchesTimeFilters(denver('tue-night', '2026-10-27T19:30:00'), filters, now)).toBe(false);
+  // 9:30pm in New York is 7:30pm in Denver, but the venue's clock is what counts.
+  expect(matchesTimeFilters(newYork('sun-late', '2026-10-25T21:30:00'), { ...filters, timeOfDay: 'late' }, now)).toBe(false);
+  expect(matchesTimeFilters(newYork('sun-late', '2026-10-25T22:30:00'), { ...filters, timeOfDay: 'late' }, now)).toBe(true);
+});
+
+test('applies the module\'s category check as well', () => {
+  const events = [denver('nba', '2026-10-23T19:30:00'), denver('nhl', '2026-10-23T19:00:00')];
+  expect(ids(filterEvents(events, {}, { now, matchesCategory: event => event.id === 'nhl' }))).toEqual(['nhl']);
+});
+
+test('describes and displays', () => {
+  expect(describeTimeFilters({ time: 'thisWeek', days: 'weekend', timeOfDay: 'evening' })).toBe('This Week · Weekend · Evening');
+  expect(describeTimeFilters({ time: 'custom', from: '2026-11-01', to: '2026-11-15' })).toBe('2026-11-01 to 2026-11-15');
+  expect(formatEventTime(denver('show', '2026-10-23T19:30:00'))).toMatch(/07:30\s?PM|19:30/);
+});
+
+test('filters by the cheapest ticket, leaving out unpriced events unless asked', () => {
+  const events = [
+    { ...denver('cheap', '2026-10-23T19:30:00'), priceRange: { min: 20, max: 80 } },
+    { ...denver('pricey', '2026-10-23T19:30:00'), priceRange: { min: 60, max: 90 } },
+    { ...denver('free', '2026-10-24T12:00:00'), priceRange: { min: 0, max: 0 } },
+    { ...denver('tba', '2026-10-24T20:00:00'), priceRange: null },
+  ];
+  expect(ids(filterEvents(events, {}, { now }))).toEqual(['cheap', 'pricey', 'free', 'tba']);
+  expect(ids(filterEvents(events, { price: 'under25' }, { now }))).toEqual(['cheap', 'free']);
+  expect(ids(filterEvents(events, { price: 'free' }, { now }))).toEqual(['free']);
+  expect(ids(filterEvents(events, { price: 'under50', unpriced: 'include' }, { now }))).toEqual(['cheap', 'free', 'tba']);
+  expect(matchesPriceFilter(events[3], { unpriced: 'include' })).toBe(true);
+});
+
+test('searches names, venues, performers and genres for every word', () => {
+  const show = { ...denver('show', '2026-10-23T19:30:00'), name: 'Colorado Avalanche vs. Dallas Stars', venueName: 'Ball Arena', attractions: [{ id: 'a1', name: 'Colorado Avalanche' }], genre: 'Hockey', subcategory: 'NHL' };
+  const concert = { ...denver('concert', '2026-10-24T20:00:00'), name: 'Fall Tour', venueName: 'Red Rocks Amphitheatre', attractions: [{ id: 'a2', name: 'Nathaniel Rateliff' }], genre: 'Rock' };
+  expect(ids(filterEvents([show, concert], { keyword: 'avalanche' }, { now }))).toEqual(['show']);
+  expect(ids(filterEvents([show, concert], { keyword: 'rateliff red rocks' }, { now }))).toEqual(['concert']);
+  expect(ids(filterEvents([show, concert], { keyword: 'nhl rock' }, { now }))).toEqual([]);
+});
+
+test('sorts by date, price and rating with missing values last', () => {
+  const events = [
+    { ...denver('late-cheap', '2026-10-30T19:00:00'), priceRange: { min: 20 }, googleData: { rating: 4.1 } },
+    { ...denver('soon-unpriced', '2026-10-22T19:00:00'), priceRange: null },
+    { ...denver('mid-pricey', '2026-10-25T19:00:00'), priceRange: { min: 95 }, googleData: { rating: 4.8 } },
+  ];
+  expect(ids(sortEvents(events))).toEqual(['soon-unpriced', 'mid-pricey', 'late-cheap']);
+  expect(ids(sortEvents(events, 'price'))).toEqual(['late-cheap', 'mid-pricey', 'soon-unpriced']);
+  expect(ids(sortEvents(events, 'rating'))).toEqual(['mid-pricey', 'late-cheap', 'soon-unpriced']);
+  expect(ids(sortEvents(events, 'popularity'))).toEqual(['late-cheap', 'soon-unpriced', 'mid-pricey']);
+});
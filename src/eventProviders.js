@@ -0,0 +1,160 @@
+import { distanceInMiles } from './geo';
+
+// --- Event Providers ---
+// Events can come from more than one place: Ticketmaster, and the calendar feeds a user subscribes
+// to (see eventFeeds.js). Each source is a provider that searches like api.fetchTicketmasterEvents
+// and hands back normalised events. combineProviders merges their results into one list, with an
+// event listed by several sources shown once.
+//
+// A normalised event has the fields App's normaliseTicketmasterEvent fills in: id, name, url,
+// category, classification, date, timezone, venue, venueName, city, address, coordinates,
+// imageUrl, attractions, priceRange, status and sales, plus `sources` ({ id, name } of every
+// provider that lists it, the one whose details are shown first).
+
+/**
+ * @typedef {Object} EventProvider
+ * @property {string} id
+ * @property {string} name - Shown on its events as their source.
+ * @property {Function} searchEvents - (searchParams, category, page, refinements) => Promise of a typed
+ *   search result, as api.fetchTicketmasterEvents.
+ * @property {Function} [getCachedEvents] - The same search from a cache, without the network:
+ *   { result, fetchedAt, isStale } or null.
+ * @property {Function} [fetchEventById] - (eventId) => Promise of the event or null.
+ * @property {Function} [ownsEventId] - Whether an event id was handed out by this provider.
+ */
+
+export const TICKETMASTER_SOURCE = { id: 'ticketmaster', name: 'Ticketmaster' };
+
+// Shown for events that come without an image.
+export const EVENT_IMAGE_PLACEHOLDER = 'https://placehold.co/600x400/1a202c/ffffff?text=Event';
+
+// Ticketmaster segments that make up the Social module: everything that is neither Music nor Sports.
+export const SOCIAL_SEGMENTS = 'Arts & Theatre,Family,Miscellaneous';
+
+// Listings this close together in time (and at the same venue, with similar names) are one event.
+const SAME_TIME_MS = 15 * 60 * 1000;
+const SAME_PLACE_MILES = 0.1;
+const SIMILAR_NAME_OVERLAP = 0.75;
+
+// Words that say nothing about which event it is.
+const FILLER_WORDS = ['the', 'a', 'an', 'and', 'at', 'with', 'vs', 'v', 'presents', 'live', 'in', 'of', 'feat', 'ft'];
+
+const words = (text) => (text || '').toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '').split(/[^a-z0-9]+/)
+  .filter(word => word && !FILLER_WORDS.includes(word));
+
+const isSameVenue = (a, b) => {
+  if (a.coordinates && b.coordinates && distanceInMiles(a.coordinates, b.coordinates) <= SAME_PLACE_MILES) return true;
+  const nameA = words(a.venueName).join(' ');
+  const nameB = words(b.venueName).join(' ');
+  return Boolean(nameA && nameB) && (nameA.includes(nameB) || nameB.includes(nameA));
+};
+
+// How many of the shorter name's words the longer one shares, so "Trivia Night" matches
+// "Geeks Who Drink Trivia Night".
+const isSimilarName = (a, b) => {
+  const wordsA = new Set(words(a));
+  const wordsB = new Set(words(b));
+  if (wordsA.size === 0 || wordsB.size === 0) return false;
+  const shared = [...wordsA].filter(word => wordsB.has(word)).length;
+  return shared / Math.min(wordsA.size, wordsB.size) >= SIMILAR_NAME_OVERLAP;
+};
+
+/**
+ * Whether two listings, usually from different providers, are the same event: same venue, same
+ * start time and a similar name.
+ */
+export const isSameEvent = (a, b) => {
+  if (a.id === b.id) return true;
+  if (!a.date || !b.date || Math.abs(new Date(a.date) - new Date(b.date)) > SAME_TIME_MS) return false;
+  return isSameVenue(a, b) && isSimilarName(a.name, b.name);
+};
+
+/**
+ * Merges event lists, one per provider, most trusted first. A listing of an event an earlier list
+ * already has is dropped, and its sources are added to the one kept. A provider's own listings are
+ * never merged with each other: two shows at one venue and time are two events there.
+ * @param {Array<Array>} lists
+ * @returns {Array}
+ */
+export const mergeEvents = (lists) => {
+  const merged = [];
+  lists.forEach(list => {
+    // Only the events from earlier lists are candidates.
+    const earlierCount = merged.length;
+    list.forEach(event => {
+      const index = merged.slice(0, earlierCount).findIndex(kept => isSameEvent(kept, event));
+      if (index === -1) {
+        merged.push(event);
+        return;
+      }
+      const kept = merged[index];
+      const sources = [...(kept.sources || []), ...(event.sources || [])].filter((source, position, all) => all.findIndex(other => other.id === source.id) === position);
+      merged[index] = { ...kept, sources };
+    });
+  });
+  return merged;
+};
+
+const isDateOrder = (sort) => !sort || sort === 'date,asc';
+
+const ORDERS = {
+  'date,asc': (a, b) => new Date(a.date) - new Date(b.date),
+  'distance,asc': (a, b) => (a.distance ?? Infinity) - (b.distance ?? Infinity),
+};
+
+/**
+ * Adds other providers' events to a page of the main provider's results.
+ * Other providers aren't paged. In date order, each page gets their events up to its last date
+ * (useEventSearch drops the repeats on later pages); in any other order they all go on the first page.
+ * Every page counts all of their events in `totalElements`, so the total doesn't change from page to page.
+ * @param {Object} primary - A typed search result from the main provider.
+ * @param {Array<Object>} extras - Other providers' results for the same search.
+ * @param {string} [sort] - The search's sort order, e.g. 'date,asc'.
+ * @returns {Object} A typed search result. A failed or demo search keeps its status and error, so the
+ *   screens still say so, but gets the other providers' events too: they are most useful when the main one is down.
+ */
+export const combineResults = (primary, extras, sort) => {
+  const extraResults = extras.filter(result => result.status === 'ok' && result.events.length > 0);
+  if (extraResults.length === 0) return primary;
+  const page = primary.page || { number: 0, totalPages: 0, totalElements: 0 };
+  const isLastPage = page.number + 1 >= page.totalPages;
+  const lastDate = primary.events.length > 0 ? new Date(primary.events[primary.events.length - 1].date) : null;
+
+  const onThisPage = (event) => (isDateOrder(sort) ? isLastPage || !lastDate || new Date(event.date) <= lastDate : page.number === 0);
+  const events = mergeEvents([primary.events, ...extraResults.map(result => result.events.filter(onThisPage))]);
+  const order = ORDERS[sort || 'date,asc'];
+  if (order) events.sort(order);
+  const extraCount = mergeEvents(extraResults.map(result => result.events)).length;
+  return {
+    ...primary,
+    status: primary.status === 'empty' && events.length > 0 ? 'ok' : primary.status,
+    events,
+    page: { ...page, size: events.length, totalPages: Math.max(page.totalPages, 1), totalElements: (page.totalElements || 0) + extraCount },
+  };
+};
+
+/**
+ * Searches several providers as one.
+ * @param {Array<EventProvider>} providers - The main provider (Ticketmaster) first; its results set the paging.
+ * @returns {{ searchEvents: Function, getCachedEvents: Function, fetchEventById: Function }}
+ *   The same signatures as the providers'. A cached result only counts as fresh if every provider had a fresh one.
+ */
+export const combineProviders = ([primary, ...others]) => ({
+  searchEvents: async (searchParams, category = null, page = 0, refinements = {}) => {
+    const [result, ...extras] = await Promise.all([primary, ...others].map(provider => provider.searchEvents(searchParams, category, page, refinements)));
+    return combineResults(result, extras, refinements.sort);
+  },
+
+  getCachedEvents: (searchParams, category = null, page = 0, refinements = {}) => {
+    const cached = primary.getCachedEvents?.(searchParams, category, page, refinements);
+    if (!cached) return null;
+    const extras = others.map(provider => provider.getCachedEvents?.(searchParams, category, page, refinements) || null);
+    return {
+      ...cached,
+      result: combineResults(cached.result, extras.filter(Boolean).map(extra => extra.result), refinements.sort),
+      isStale: cached.isStale || extras.some(extra => !extra || extra.isStale),
+    };
+  },
+
+  fetchEventById: (eventId) => (others.find(provider => provider.ownsEventId?.(eventId)) || primary).fetchEventById(eventId),
+});
@@ -0,0 +1,81 @@
+import { isSameEvent, mergeEvents, combineResults, combineProviders, TICKETMASTER_SOURCE } from './eventProviders';
+
+const source = { id: 'feed-westword', name: 'Westword' };
+
+const ticketmasterEvent = (id, date, extra = {}) => ({ id, name: `Event ${id}`, date, venueName: 'Ball Arena', sources: [TICKETMASTER_SOURCE], ...extra });
+const feedEvent = (id, date, extra = {}) => ({ id, name: `Event ${id}`, date, venueName: 'Mercury Cafe', sources: [source], ...extra });
+
+const page = (events, number = 0, totalPages = 1) => ({ status: events.length ? 'ok' : 'empty', events, page: { number, size: events.length, totalPages, totalElements: events.length * totalPages } });
+
+test('spots the same event listed by different sources', () => {
+  const listing = { id: 'tm1', name: 'Nathaniel Rateliff & The Night Sweats', date: '2026-10-24T02:00:00Z', venueName: 'Red Rocks Amphitheatre' };
+  expect(isSameEvent(listing, { id: 'f1', name: 'Nathaniel Rateliff and the Night Sweats (Live)', date: '2026-10-24T02:00:00Z', venueName: 'Red Rocks' })).toBe(true);
+  expect(isSameEvent(listing, { id: 'f2', name: 'Nathaniel Rateliff', date: '2026-10-24T02:10:00Z', venueName: 'The Red Rocks Amphitheatre' })).toBe(true);
+  expect(isSameEvent(listing, { id: 'f3', name: 'Nathaniel Rateliff & The Night Sweats', date: '2026-10-25T02:00:00Z', venueName: 'Red Rocks Amphitheatre' })).toBe(false);
+  expect(isSameEvent(listing, { id: 'f4', name: 'Yoga on the Rocks', date: '2026-10-24T02:00:00Z', venueName: 'Red Rocks Amphitheatre' })).toBe(false);
+  expect(isSameEvent(listing, { id: 'f5', name: 'Nathaniel Rateliff & The Night Sweats', date: '2026-10-24T02:00:00Z', venueName: 'Ogden Theatre' })).toBe(false);
+  expect(isSameEvent({ ...listing, coordinates: { lat: 39.6654, lng: -105.2057 } }, { id: 'f6', name: 'Nathaniel Rateliff', date: '2026-10-24T02:00:00Z', venueName: 'Morrison, CO', coordinates: { lat: 39.6655, lng: -105.2058 } })).toBe(true);
+});
+
+test('keeps the first listing of a duplicate and adds the other sources', () => {
+  const kept = ticketmasterEvent('tm1', '2026-10-24T02:00:00Z');
+  const merged = mergeEvents([[kept], [feedEvent('f1', '2026-10-24T02:00:00Z', { name: 'Event tm1', venueName: 'Ball Arena' }), feedEvent('f2', '2026-10-25T02:00:00Z')]]);
+  expect(merged.map(event => event.id)).toEqual(['tm1', 'f2']);
+  expect(merged[0].sources).toEqual([TICKETMASTER_SOURCE, source]);
+
+  // Two shows at one venue and time from the same source stay two events.
+  const sameSlot = [ticketmasterEvent('tm1', '2026-10-24T02:00:00Z', { name: 'Comedy Night' }), ticketmasterEvent('tm2', '2026-10-24T02:00:00Z', { name: 'Comedy Night: Late Show' })];
+  expect(mergeEvents([sameSlot]).map(event => event.id)).toEqual(['tm1', 'tm2']);
+});
+
+test('adds feed events to the pages they belong on', () => {
+  const extras = [page([feedEvent('early', '2026-10-20T02:00:00Z'), feedEvent('late', '2026-11-20T02:00:00Z')])];
+  const firstPage = combineResults(page([ticketmasterEvent('a', '2026-10-19T02:00:00Z'), ticketmasterEvent('b', '2026-10-21T02:00:00Z')], 0, 2), extras);
+  expect(firstPage.events.map(event => event.id)).toEqual(['a', 'early', 'b']);
+  expect(firstPage.page).toMatchObject({ number: 0, totalPages: 2, totalElements: 6 });
+  const secondPage = page([ticketmasterEvent('c', '2026-10-22T02:00:00Z')], 1, 2);
+  const lastPage = combineResults({ ...secondPage, page: { ...secondPage.page, totalElements: 4 } }, extras);
+  expect(lastPage.events.map(event => event.id)).toEqual(['early', 'c', 'late']);
+  // The feed events are counted once, so the total is the same on every page.
+  expect(lastPage.page.totalElements).toBe(6);
+
+  // Other orders get everything on the first page.
+  expect(combineResults(page([ticketmasterEvent('a', '2026-10-19T02:00:00Z')], 0, 2), extras, 'relevance,desc').events.map(event => event.id)).toEqual(['a', 'early', 'late']);
+  expect(combineResults(page([ticketmasterEvent('c', '2026-10-22T02:00:00Z')], 1, 2), extras, 'relevance,desc').events.map(event => event.id)).toEqual(['c']);
+
+  // Feed events fill an empty search, and still show when the main search failed or is demo data, which keeps its banner.
+  expect(combineResults(page([]), extras)).toMatchObject({ status: 'ok', page: { totalPages: 1, totalElements: 2 } });
+  const failed = { status: 'error', events: [], page: { number: 0, totalPages: 0 }, error: { reason: 'network' } };
+  expect(combineResults(failed, extras)).toMatchObject({ status: 'error', error: { reason: 'network' }, events: [{ id: 'early' }, { id: 'late' }] });
+  const demo = { ...page([ticketmasterEvent('tm-1', '2026-10-19T02:00:00Z')]), status: 'demo' };
+  expect(combineResults(demo, extras)).toMatchObject({ status: 'demo', events: [{ id: 'tm-1' }, { id: 'early' }, { id: 'late' }] });
+  expect(combineResults(failed, [page([])])).toBe(failed);
+});
+
+test('searches every provider and routes event lookups to the one that owns the id', async () => {
+  const ticketmaster = {
+    ...TICKETMASTER_SOURCE,
+    searchEvents: jest.fn(async () => page([ticketmasterEvent('a', '2026-10-19T02:00:00Z')])),
+    getCachedEvents: () => ({ result: page([ticketmasterEvent('a', '2026-10-19T02:00:00Z')]), fetchedAt: 1, isStale: false }),
+    fetchEventById: jest.fn(async (id) => ticketmasterEvent(id, '2026-10-19T02:00:00Z')),
+  };
+  const westword = {
+    ...source,
+    searchEvents: jest.fn(async () => page([feedEvent('feed-westword-1', '2026-10-20T02:00:00Z')])),
+    getCachedEvents: () => null,
+    ownsEventId: (id) => id.startsWith('feed-westword-'),
+    fetchEventById: jest.fn(async (id) => feedEvent(id, '2026-10-20T02:00:00Z')),
+  };
+  const providers = combineProviders([ticketmaster, westword]);
+
+  const result = await providers.searchEvents({ city: 'Denver', stateCode: 'CO', radius: 25 }, 'Music', 0, { keyword: 'jazz' });
+  expect(result.events.map(event => event.id)).toEqual(['a', 'feed-westword-1']);
+  expect(westword.searchEvents).toHaveBeenCalledWith({ city: 'Denver', stateCode: 'CO', radius: 25 }, 'Music', 0, { keyword: 'jazz' });
+  // A provider with nothing cached makes the cached result stale, so it is loaded.
+  expect(providers.getCachedEvents(null)).toMatchObject({ isStale: true, result: { events: [expect.objectContaining({ id: 'a' })] } });
+
+  await providers.fetchEventById('feed-westword-1');
+  await providers.fetchEventById('G5vYZ9');
+  expect(westword.fetchEventById).toHaveBeenCalledWith('feed-westword-1');
+  expect(ticketmaster.fetchEventById).toHaveBeenCalledWith('G5vYZ9');
+});
@@ -0,0 +1,87 @@
+// --- Classification facets ---
+// The genre and league chips on each module are built from the Ticketmaster classifications in
+// the loaded results, with a count on each, rather than being hard-coded.
+// A facet is keyed by its label, which is what appears in the URL (`filter=NBA,MLS`).
+
+// Ticketmaster fills missing classification levels with these names.
+export const PLACEHOLDER_NAMES = ['undefined', 'other', 'n/a'];
+
+const isUsable = (classification) => Boolean(classification?.name) && !PLACEHOLDER_NAMES.includes(classification.name.toLowerCase());
+
+/**
+ * Builds the facets for one classification level ('genre' or 'subGenre') of a list of events.
+ * A subGenre name used under several genres (e.g. "College") is labelled with its genre too.
+ * @param {Array} events - Normalised events, with `classification: { genre, subGenre }` ({ id, name } each).
+ * @param {'genre'|'subGenre'} level
+ * @returns {Array<{ key: string, level: string, id: string, name: string, count: number }>} Most common first.
+ *   `name` is the classification's own name, which `key` adds the genre to when needed.
+ */
+export const buildFacets = (events, level) => {
+  const byId = new Map();
+  events.forEach(event => {
+    const classification = event.classification?.[level];
+    if (!isUsable(classification)) return;
+    const facet = byId.get(classification.id) || { id: classification.id, name: classification.name, genreName: event.classification.genre?.name, count: 0 };
+    facet.count += 1;
+    byId.set(classification.id, facet);
+  });
+
+  const facets = [...byId.values()];
+  const nameCounts = facets.reduce((counts, facet) => ({ ...counts, [facet.name]: (counts[facet.name] || 0) + 1 }), {});
+  return facets
+    .map(({ id, name, genreName, count }) => ({
+      key: level === 'subGenre' && nameCounts[name] > 1 ? `${name} ${genreName}` : name,
+      level,
+      id,
+      name,
+      count,
+    }))
+    .sort((a, b) => b.count - a.count || a.key.localeCompare(b.key));
+};
+
+/**
+ * The selected facet keys from the URL's comma-separated `filter` value.
+ */
+export const parseFacetSelection = (value) => (value ? value.split(',').map(key => key.trim()).filter(Boolean) : []);
+
+export const formatFacetSelection = (keys) => (keys.length ? keys.join(',') : undefined);
+
+/**
+ * Turns the selected keys into facets. A key that isn't among the facets (say a shared link to
+ * a league with nothing on in this city) is kept as a name-only facet, matched on any level.
+ * @param {Array<string>} selection
+ * @param {Array} facets - From buildFacets, for every level shown.
+ */
+export const resolveSelection = (selection, facets) => selection.map(key => (
+  facets.find(facet => facet.key === key) || { key, level: 'name', id: null, count: 0 }
+));
+
+/**
+ * Adds a facet to the selection, or removes it if it was already selected.
+ */
+export const toggleFacet = (selection, key) => (selection.includes(key) ? selection.filter(selected => selected !== key) : [...selection, key]);
+
+/**
+ * Whether an event matches any of the selected facets (NBA or MLS; Jazz or Latin).
+ * Matching is on exact classification ids, so "NBA" never matches "NBA G League".
+ * @param {Object} event
+ * @param {Array} selectedFacets - From resolveSelection.
+ */
+export const matchesFacets = (event, selectedFacets) => selectedFacets.length === 0 || selectedFacets.some(facet => (
+  facet.level === 'name'
+    ? [event.classification?.genre?.name, event.classification?.subGenre?.name].includes(facet.key)
+    : facet.id === event.classification?.[facet.level]?.id
+));
+
+/**
+ * The Ticketmaster filters that fetch just the selected facets server-side.
+ * Ticketmaster ANDs genreId with subGenreId, so a selection across both levels (or one that
+ * includes a name-only facet) is left to matchesFacets on the unrefined results.
+ * @returns {{ genreIds?: Array<string> } | { subGenreIds?: Array<string> }}
+ */
+export const facetRefinements = (selectedFacets) => {
+  const levels = new Set(selectedFacets.map(facet => facet.level));
+  if (levels.size !== 1 || levels.has('name')) return {};
+  const ids = selectedFacets.map(facet => facet.id).sort();
+  return levels.has('genre') ? { genreIds: ids } : { subGenreIds: ids };
+};
@@ -0,0 +1,56 @@
+import { buildFacets, resolveSelection, matchesFacets, facetRefinements, toggleFacet, parseFacetSelection } from './facets';
+
+const event = (id, genre, subGenre) => ({ id, classification: { genre, subGenre } });
+const basketball = { id: 'KnvZfZ7vAde', name: 'Basketball' };
+const soccer = { id: 'KnvZfZ7vAdE', name: 'Soccer' };
+const football = { id: 'KnvZfZ7vAdE-fb', name: 'Football' };
+const nba = { id: 'KZazBEonSMnZfZ7vFJA', name: 'NBA' };
+const gLeague = { id: 'KZazBEonSMnZfZ7vFJG', name: 'NBA G League' };
+const mls = { id: 'KZazBEonSMnZfZ7vFtA', name: 'MLS' };
+const collegeBasketball = { id: 'KZazBEonSMnZfZ7vFEE', name: 'College' };
+const collegeFootball = { id: 'KZazBEonSMnZfZ7vFEF', name: 'College' };
+
+const events = [
+  event('nuggets', basketball, nba),
+  event('nuggets-2', basketball, nba),
+  event('gold', basketball, gLeague),
+  event('rapids', soccer, mls),
+  event('cu-hoops', basketball, collegeBasketball),
+  event('cu-football', football, collegeFootball),
+  event('mystery', { id: 'KnvZfZ7vAdX', name: 'Undefined' }, null),
+];
+
+test('builds facets with counts from the loaded classifications', () => {
+  expect(buildFacets(events, 'genre').map(({ key, count }) => [key, count])).toEqual([['Basketball', 4], ['Football', 1], ['Soccer', 1]]);
+  expect(buildFacets(events, 'subGenre').map(({ key, count }) => [key, count])).toEqual([
+    ['NBA', 2], ['College Basketball', 1], ['College Football', 1], ['MLS', 1], ['NBA G League', 1],
+  ]);
+});
+
+test('matches any selected facet on exact ids', () => {
+  const facets = buildFacets(events, 'subGenre');
+  const selected = resolveSelection(['NBA', 'MLS'], facets);
+  expect(events.filter(e => matchesFacets(e, selected)).map(e => e.id)).toEqual(['nuggets', 'nuggets-2', 'rapids']);
+  expect(events.filter(e => matchesFacets(e, [])).length).toBe(events.length);
+});
+
+test('keeps selections missing from the results as name-only facets', () => {
+  const selected = resolveSelection(['MLS', 'NHL'], buildFacets([event('nuggets', basketball, nba)], 'subGenre'));
+  expect(selected).toEqual([{ key: 'MLS', level: 'name', id: null, count: 0 }, { key: 'NHL', level: 'name', id: null, count: 0 }]);
+  expect(matchesFacets(event('rapids', soccer, mls), selected)).toBe(true);
+  expect(facetRefinements(selected)).toEqual({});
+});
+
+test('only refines server-side within a single level', () => {
+  const facets = [...buildFacets(events, 'genre'), ...buildFacets(events, 'subGenre')];
+  expect(facetRefinements(resolveSelection(['NBA', 'MLS'], facets))).toEqual({ subGenreIds: [mls.id, nba.id].sort() });
+  expect(facetRefinements(resolveSelection(['Soccer'], facets))).toEqual({ genreIds: [soccer.id] });
+  expect(facetRefinements(resolveSelection(['Soccer', 'NBA'], facets))).toEqual({});
+});
+
+test('reads and toggles the selection', () => {
+  expect(parseFacetSelection('NBA, MLS')).toEqual(['NBA', 'MLS']);
+  expect(parseFacetSelection(undefined)).toEqual([]);
+  expect(toggleFacet(['NBA'], 'MLS')).toEqual(['NBA', 'MLS']);
+  expect(toggleFacet(['NBA', 'MLS'], 'NBA')).toEqual(['MLS']);
+});
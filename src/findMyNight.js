@@ -0,0 +1,88 @@
+// --- Find My Night ---
+// Picks a random event for the 🎲 button, weighted towards what the user is most likely to enjoy.
+
+// Hard constraints the user can toggle in the Find My Night modal.
+export const FIND_MY_NIGHT_CONSTRAINTS = {
+  tonightOnly: 'Tonight only',
+  under50: 'Under $50',
+};
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+const isTonight = (event, now) => {
+  const date = new Date(event.date);
+  const endOfDay = new Date(now).setHours(23, 59, 59, 999);
+  // Allow events that started within the last hour; people still turn up late.
+  return date.getTime() >= now.getTime() - 60 * 60 * 1000 && date <= endOfDay;
+};
+
+const meetsConstraints = (event, constraints, now) => {
+  if (constraints.tonightOnly && !isTonight(event, now)) return false;
+  // Events with unknown pricing can't be promised to be under $50.
+  if (constraints.under50 && !(event.priceRange?.min != null && event.priceRange.min <= 50)) return false;
+  return true;
+};
+
+/**
+ * How much more likely an event is to be picked than a plain one (weight 1).
+ * @param {Object} event
+ * @param {{ preferredIds: Set, savedEvents: Array, now: Date }} context
+ *   `preferredIds` are the events that match the active module's filters.
+ */
+export const scoreEvent = (event, { preferredIds, savedEvents, now }) => {
+  let weight = 1;
+
+  // The user's filters: events they are currently looking at count most.
+  if (preferredIds.has(event.id)) weight *= 3;
+
+  // Time of day: sooner is better, and in the afternoon/evening tonight's events get an extra push.
+  const daysAway = Math.max(0, (new Date(event.date) - now) / MS_PER_DAY);
+  weight *= 1 + 2 / (1 + daysAway);
+  if (now.getHours() >= 15 && isTonight(event, now)) weight *= 1.5;
+
+  // Venue rating: 4.0 is neutral, higher-rated venues are favoured.
+  if (event.googleData?.rating) weight *= event.googleData.rating / 4;
+
+  // Past saves: favour genres and venues the user has saved before.
+  const similarSaves = savedEvents.filter(saved => saved.id !== event.id && (
+    (saved.subcategory && saved.subcategory !== 'N/A' && saved.subcategory === event.subcategory) || saved.venueName === event.venueName
+  )).length;
+  weight *= 1 + 0.5 * Math.min(similarSaves, 2);
+
+  return weight;
+};
+
+/**
+ * Picks an event at random, weighted by scoreEvent.
+ * @param {Array} events - Candidate events.
+ * @param {Object} options
+ * @param {Set} [options.preferredIds] - Events matching the active filters.
+ * @param {Array} [options.savedEvents] - The user's saved events.
+ * @param {Set} [options.excludeIds] - Events already suggested this session.
+ * @param {Object} [options.constraints] - Keys of FIND_MY_NIGHT_CONSTRAINTS that are switched on.
+ * @param {Date} [options.now]
+ * @param {Function} [options.random] - Returns a number in [0, 1); injectable for tests.
+ * @returns {Object|null} The picked event, or null if nothing is left.
+ */
+export const pickWeightedEvent = (events, {
+  preferredIds = new Set(),
+  savedEvents = [],
+  excludeIds = new Set(),
+  constraints = {},
+  now = new Date(),
+  random = Math.random,
+} = {}) => {
+  const candidates = events.filter(event =>
+    !excludeIds.has(event.id) && new Date(event.date).getTime() >= now.getTime() - 60 * 60 * 1000 && meetsConstraints(event, constraints, now)
+  );
+  if (candidates.length === 0) return null;
+
+  const weights = candidates.map(event => scoreEvent(event, { preferredIds, savedEvents, now }));
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+  let target = random() * total;
+  for (let i = 0; i < candidates.length; i++) {
+    target -= weights[i];
+    if (target < 0) return candidates[i];
+  }
+  return candidates[candidates.length - 1];
+};
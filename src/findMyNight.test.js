@@ -0,0 +1,47 @@
+import { pickWeightedEvent, scoreEvent } from './findMyNight';
+
+// A Friday at 6pm, so events later tonight get the evening push.
+const now = new Date(2024, 5, 7, 18, 0);
+const at = (hours, days = 0) => new Date(2024, 5, 7 + days, hours, 0).toISOString();
+const event = (id, overrides = {}) => ({ id, date: at(20), venueName: `Venue ${id}`, subcategory: 'Rock', priceRange: { min: 30, max: 60 }, ...overrides });
+
+test('picks by weight, using the injected random number', () => {
+  const events = [event('plain', { date: at(20, 3) }), event('preferred', { date: at(20, 3) })];
+  const options = { preferredIds: new Set(['preferred']), now };
+  // The preferred event is three times as heavy, so it takes the last three quarters of the range.
+  expect(pickWeightedEvent(events, { ...options, random: () => 0 }).id).toBe('plain');
+  expect(pickWeightedEvent(events, { ...options, random: () => 0.2 }).id).toBe('plain');
+  expect(pickWeightedEvent(events, { ...options, random: () => 0.3 }).id).toBe('preferred');
+  expect(pickWeightedEvent(events, { ...options, random: () => 0.999 }).id).toBe('preferred');
+});
+
+test('weights sooner, better-rated and similar-to-saved events more heavily', () => {
+  const context = { preferredIds: new Set(), savedEvents: [], now };
+  expect(scoreEvent(event('tonight'), context)).toBeGreaterThan(scoreEvent(event('next-week', { date: at(20, 7) }), context));
+  expect(scoreEvent(event('good', { googleData: { rating: 4.8 } }), context)).toBeGreaterThan(scoreEvent(event('plain'), context));
+
+  const savedEvents = [{ id: 'saved', subcategory: 'Rock', venueName: 'Elsewhere' }];
+  expect(scoreEvent(event('rock'), { ...context, savedEvents })).toBeGreaterThan(scoreEvent(event('jazz', { subcategory: 'Jazz' }), { ...context, savedEvents }));
+});
+
+test('keeps to the budget and time window constraints', () => {
+  const events = [
+    event('pricey', { priceRange: { min: 80, max: 120 } }),
+    event('unpriced', { priceRange: null }),
+    event('tomorrow', { date: at(20, 1) }),
+    event('cheap-tonight', { priceRange: { min: 20, max: 40 } }),
+  ];
+  const constraints = { tonightOnly: true, under50: true };
+  for (const random of [() => 0, () => 0.5, () => 0.999]) {
+    expect(pickWeightedEvent(events, { constraints, now, random }).id).toBe('cheap-tonight');
+  }
+  expect(pickWeightedEvent(events, { constraints: { under50: true }, now, random: () => 0.999 }).id).toBe('cheap-tonight');
+  expect(pickWeightedEvent(events, { constraints: { under50: true }, now, random: () => 0 }).id).toBe('tomorrow');
+});
+
+test('returns null when nothing is left to pick', () => {
+  expect(pickWeightedEvent([], { now })).toBeNull();
+  const events = [event('finished', { date: at(12) }), event('suggested')];
+  expect(pickWeightedEvent(events, { excludeIds: new Set(['suggested']), now, random: () => 0 })).toBeNull();
+  expect(pickWeightedEvent([event('pricey', { priceRange: { min: 80 } })], { constraints: { under50: true }, now })).toBeNull();
+});
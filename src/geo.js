@@ -0,0 +1,71 @@
+// --- Geo helpers ---
+
+const GEOHASH_ALPHABET = '0123456789bcdefghjkmnpqrstuvwxyz';
+const EARTH_RADIUS_MILES = 3958.8;
+
+/**
+ * Encodes coordinates as a geohash, the format Ticketmaster's `geoPoint` parameter expects.
+ * Precision 9 is roughly a 5m x 5m cell, far finer than any search radius.
+ * @param {number} lat
+ * @param {number} lng
+ * @param {number} [precision]
+ * @returns {string}
+ */
+export const encodeGeohash = (lat, lng, precision = 9) => {
+  const latRange = [-90, 90];
+  const lngRange = [-180, 180];
+  let hash = '';
+  let bits = 0;
+  let bitCount = 0;
+  let isLngBit = true; // Geohash bits alternate, starting with longitude.
+
+  while (hash.length < precision) {
+    const range = isLngBit ? lngRange : latRange;
+    const value = isLngBit ? lng : lat;
+    const mid = (range[0] + range[1]) / 2;
+    bits <<= 1;
+    if (value >= mid) {
+      bits |= 1;
+      range[0] = mid;
+    } else {
+      range[1] = mid;
+    }
+    isLngBit = !isLngBit;
+    if (++bitCount === 5) {
+      hash += GEOHASH_ALPHABET[bits];
+      bits = 0;
+      bitCount = 0;
+    }
+  }
+  return hash;
+};
+
+/**
+ * Great-circle (haversine) distance between two points.
+ * @param {{ lat: number, lng: number }} from
+ * @param {{ lat: number, lng: number }} to
+ * @returns {number} Distance in miles.
+ */
+export const distanceInMiles = (from, to) => {
+  const toRadians = (degrees) => degrees * Math.PI / 180;
+  const dLat = toRadians(to.lat - from.lat);
+  const dLng = toRadians(to.lng - from.lng);
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_MILES * Math.asin(Math.sqrt(a));
+};
+
+/**
+ * Wraps navigator.geolocation in a promise.
+ * @returns {Promise<{ lat: number, lng: number }>}
+ */
+export const getCurrentPosition = () => new Promise((resolve, reject) => {
+  if (!navigator.geolocation) {
+    reject(new Error('Geolocation is not supported by this browser.'));
+    return;
+  }
+  navigator.geolocation.getCurrentPosition(
+    position => resolve({ lat: position.coords.latitude, lng: position.coords.longitude }),
+    reject,
+    { enableHighAccuracy: false, timeout: 10000, maximumAge: 5 * 60 * 1000 }
+  );
+});
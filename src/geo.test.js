@@ -0,0 +1,29 @@
+import { encodeGeohash, distanceInMiles, getCurrentPosition } from './geo';
+
+const originalGeolocation = navigator.geolocation;
+afterEach(() => { Object.defineProperty(navigator, 'geolocation', { value: originalGeolocation, configurable: true }); });
+
+test('encodes coordinates as a geohash', () => {
+  expect(encodeGeohash(57.64911, 10.40744, 11)).toBe('u4pruydqqvj');
+  expect(encodeGeohash(57.64911, 10.40744)).toBe('u4pruydqq');
+  expect(encodeGeohash(-33.8688, 151.2093, 5)).toBe('r3gx2');
+});
+
+test('measures great-circle distances in miles', () => {
+  const denver = { lat: 39.7392, lng: -104.9903 };
+  expect(distanceInMiles(denver, denver)).toBe(0);
+  expect(distanceInMiles(denver, { lat: 40.015, lng: -105.2705 })).toBeCloseTo(24.3, 0);
+  expect(distanceInMiles({ lat: 40.7128, lng: -74.006 }, { lat: 34.0522, lng: -118.2437 })).toBeCloseTo(2445, -1);
+});
+
+test('wraps the browser location in a promise', async () => {
+  const geolocation = { getCurrentPosition: jest.fn(success => success({ coords: { latitude: 39.74, longitude: -104.99 } })) };
+  Object.defineProperty(navigator, 'geolocation', { value: geolocation, configurable: true });
+  await expect(getCurrentPosition()).resolves.toEqual({ lat: 39.74, lng: -104.99 });
+
+  geolocation.getCurrentPosition.mockImplementation((success, failure) => failure(new Error('User denied Geolocation')));
+  await expect(getCurrentPosition()).rejects.toThrow('User denied Geolocation');
+
+  Object.defineProperty(navigator, 'geolocation', { value: undefined, configurable: true });
+  await expect(getCurrentPosition()).rejects.toThrow('not supported');
+});
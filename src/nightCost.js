@@ -0,0 +1,53 @@
+// --- Night out cost ---
+// A rough per-person budget for a night built around an event: the ticket, plus food before and
+// drinks after at the kind of places near the venue. Google Places only gives each place a price
+// level (0, free, to 4, very expensive), so every level stands for a typical spend.
+
+// Typical spend per person, in US dollars, at each Google price level.
+export const SPEND_PER_PRICE_LEVEL = [0, 15, 30, 60, 100];
+
+// The stops around the event, in the order they happen.
+export const NIGHT_STOPS = {
+  before: 'Food before',
+  after: 'Drinks after',
+};
+
+/**
+ * The middle price level of a list of places, ignoring places Google has no price level for.
+ * @param {Array<{ priceLevel?: number }>} places
+ * @returns {number|null}
+ */
+export const typicalPriceLevel = (places) => {
+  const levels = places
+    .map(place => place.priceLevel)
+    .filter(level => Number.isInteger(level) && level >= 0 && level < SPEND_PER_PRICE_LEVEL.length)
+    .sort((a, b) => a - b);
+  return levels.length ? levels[Math.floor(levels.length / 2)] : null;
+};
+
+/**
+ * Estimates what a night out around an event costs per person.
+ * @param {Object} event - A normalised event; `priceRange` is null when ticket prices haven't been announced.
+ * @param {{ before?: Array, after?: Array }} [nearbySpots] - Places near the venue for each of NIGHT_STOPS, with a `priceLevel`.
+ * @returns {{ ticket: { min: number, max: number }|null, stops: Array<{ key: string, label: string, priceLevel: number, amount: number }>, total: { min: number, max: number }, currency: string } | null}
+ *   `stops` leaves out any stop with no priced places nearby, and `total` leaves out the ticket when
+ *   `ticket` is null. Null when there is nothing to add up at all.
+ */
+export const estimateNightCost = (event, nearbySpots = {}) => {
+  const ticket = event.priceRange?.min != null
+    ? { min: event.priceRange.min, max: event.priceRange.max ?? event.priceRange.min }
+    : null;
+  const stops = Object.entries(NIGHT_STOPS).map(([key, label]) => {
+    const priceLevel = typicalPriceLevel(nearbySpots[key] || []);
+    return priceLevel == null ? null : { key, label, priceLevel, amount: SPEND_PER_PRICE_LEVEL[priceLevel] };
+  }).filter(Boolean);
+  if (!ticket && stops.length === 0) return null;
+
+  const extras = stops.reduce((sum, stop) => sum + stop.amount, 0);
+  return {
+    ticket,
+    stops,
+    total: { min: (ticket?.min || 0) + extras, max: (ticket?.max || 0) + extras },
+    currency: event.priceRange?.currency || 'USD',
+  };
+};
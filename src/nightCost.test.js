@@ -0,0 +1,25 @@
+import { typicalPriceLevel, estimateNightCost } from './nightCost';
+
+const spots = (...levels) => levels.map((priceLevel, index) => ({ name: `Spot ${index}`, priceLevel }));
+
+test('takes the middle price level of the places that have one', () => {
+  expect(typicalPriceLevel(spots(1, 3, 2))).toBe(2);
+  expect(typicalPriceLevel(spots(1, 2, undefined, 4, null))).toBe(2);
+  expect(typicalPriceLevel(spots(undefined))).toBeNull();
+  expect(typicalPriceLevel([])).toBeNull();
+});
+
+test('adds food and drinks nearby to the ticket price', () => {
+  const event = { priceRange: { min: 45, max: 120, currency: 'USD' } };
+  const estimate = estimateNightCost(event, { before: spots(2, 2, 3), after: spots(1) });
+  expect(estimate.stops.map(stop => [stop.key, stop.amount])).toEqual([['before', 30], ['after', 15]]);
+  expect(estimate.total).toEqual({ min: 90, max: 165 });
+  expect(estimateNightCost(event).total).toEqual({ min: 45, max: 120 });
+});
+
+test('leaves unknown ticket prices out of the total', () => {
+  const estimate = estimateNightCost({ priceRange: null }, { before: spots(2), after: [] });
+  expect(estimate.ticket).toBeNull();
+  expect(estimate.total).toEqual({ min: 30, max: 30 });
+  expect(estimateNightCost({ priceRange: null }, { before: spots(undefined) })).toBeNull();
+});
@@ -0,0 +1,167 @@
+import { formatEventDate, formatEventDateTime } from './eventFilters';
+
+// --- Night Planner ---
+// Turns an event into a structured itinerary: a stop before the event, the event itself, a stop
+// afterwards and a conversation starter. The model is asked for one JSON object per line, so each
+// step can be shown as soon as its line has streamed in.
+//
+// The model is pluggable. Anything with `generate(prompt, { onText }) => Promise<string>` works:
+// createGeminiModel talks to Gemini through the proxy, createStubModel answers locally (for
+// development without a key, and for tests).
+
+// The steps the model fills in, in timeline order. The event step itself comes from the event data.
+export const PLAN_STEPS = {
+  preEvent: 'Before',
+  event: 'The Event',
+  postEvent: 'After',
+};
+
+const MODEL_STEPS = ['preEvent', 'postEvent', 'conversationStarter'];
+
+// Event times are given in the venue's timezone, so the plan around them is too.
+const formatTime = (event) => formatEventDateTime(event, { hour: 'numeric', minute: '2-digit' });
+
+const describeEvent = (event) =>
+  `"${event.name}" at ${event.venueName} (${event.address}) on ${formatEventDate(event, { weekday: 'long', month: 'long', day: 'numeric' })} at ${formatTime(event)}`;
+
+const LINE_FORMAT = `Respond with one JSON object per line and nothing else (no markdown):
+{"step":"preEvent","name":"...","address":"...","time":"6:00 PM","description":"..."}
+{"step":"postEvent","name":"...","address":"...","time":"10:30 PM","description":"..."}
+{"step":"conversationStarter","text":"..."}`;
+
+const planPrompt = (event) => `Create a fun, brief plan for a night out based on this event: ${describeEvent(event)}.
+The plan needs a real pre-event spot nearby (like a themed bar or quick bite), a real post-event spot nearby (like a late-night food spot or a place to unwind), and a fun conversation starter related to the event. Keep each description to one or two exciting sentences.
+${LINE_FORMAT}`;
+
+const stepPrompt = (event, plan, stepKey) => {
+  const current = stepKey === 'conversationStarter' ? plan.conversationStarter : plan.steps.find(step => step.key === stepKey)?.name;
+  return `Here is a night-out plan for ${describeEvent(event)}:
+${plan.steps.map(step => `- ${PLAN_STEPS[step.key]}: ${step.name}, ${step.address} at ${step.time}`).join('\n')}
+- Conversation starter: ${plan.conversationStarter}
+Suggest a different ${stepKey === 'conversationStarter' ? 'conversation starter' : `${PLAN_STEPS[stepKey].toLowerCase()}-event spot`} to replace "${current}". Respond with a single line in the same JSON format:
+${LINE_FORMAT.split('\n').find(line => line.includes(`"${stepKey}"`))}`;
+};
+
+// Parses every complete JSON line seen so far; half-streamed or non-JSON lines are skipped.
+const parseLines = (text, includeLastLine) => {
+  const lines = text.split('\n');
+  if (!includeLastLine) lines.pop();
+  return lines.map(line => {
+    try {
+      return JSON.parse(line.trim());
+    } catch (error) {
+      return null;
+    }
+  }).filter(item => item && MODEL_STEPS.includes(item.step));
+};
+
+const eventStep = (event) => ({ key: 'event', name: event.name, address: [event.venueName, event.address].filter(Boolean).join(', '), time: formatTime(event), description: '' });
+
+const toStep = (item) => ({ key: item.step, name: item.name || '', address: item.address || '', time: item.time || '', description: item.description || '' });
+
+// Builds the (possibly partial) plan from the lines received so far.
+const buildPlan = (event, items) => {
+  const byStep = Object.fromEntries(items.map(item => [item.step, item]));
+  return {
+    steps: [
+      byStep.preEvent && toStep(byStep.preEvent),
+      eventStep(event),
+      byStep.postEvent && toStep(byStep.postEvent),
+    ].filter(Boolean),
+    conversationStarter: byStep.conversationStarter?.text || '',
+  };
+};
+
+/**
+ * @param {{ generate: Function }} model - A model client (see createGeminiModel / createStubModel).
+ */
+export const createNightPlanner = (model) => ({
+  /**
+   * Generates a full itinerary for an event.
+   * @param {Object} event
+   * @param {{ onUpdate?: Function }} [options] - Called with the partial plan as steps stream in.
+   * @returns {Promise<{ steps: Array, conversationStarter: string, createdAt: number }>}
+   * @throws If the model's answer is missing a step.
+   */
+  generatePlan: async (event, { onUpdate } = {}) => {
+    const text = await model.generate(planPrompt(event), {
+      onText: onUpdate && (textSoFar => onUpdate(buildPlan(event, parseLines(textSoFar, false)))),
+    });
+    const plan = buildPlan(event, parseLines(text, true));
+    if (plan.steps.length < 3 || !plan.conversationStarter) throw new Error('The model returned an incomplete plan.');
+    return { ...plan, createdAt: Date.now() };
+  },
+
+  /**
+   * Replaces one step ('preEvent', 'postEvent' or 'conversationStarter') and keeps the rest.
+   * @returns {Promise<Object>} The updated plan.
+   */
+  regenerateStep: async (event, plan, stepKey) => {
+    const text = await model.generate(stepPrompt(event, plan, stepKey));
+    const item = parseLines(text, true).find(candidate => candidate.step === stepKey);
+    if (!item) throw new Error(`The model did not return a new ${stepKey}.`);
+    if (stepKey === 'conversationStarter') return { ...plan, conversationStarter: item.text };
+    return { ...plan, steps: plan.steps.map(step => (step.key === stepKey ? toStep(item) : step)) };
+  },
+});
+
+/**
+ * A model client for Gemini, called through the API proxy. Streams with server-sent events when
+ * the proxy supports it, and falls back to a plain JSON response (e.g. recorded fixtures).
+ * @param {string} modelUrl - e.g. `${API_PROXY_BASE_URL}/gemini/models/gemini-2.5-flash-preview-05-20`
+ */
+export const createGeminiModel = (modelUrl) => ({
+  generate: async (prompt, { onText } = {}) => {
+    const payload = { contents: [{ role: 'user', parts: [{ text: prompt }] }] };
+    const response = await fetch(`${modelUrl}:streamGenerateContent?alt=sse`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload),
+    });
+    if (!response.ok) throw new Error(`Gemini responded with ${response.status}.`);
+
+    const textOf = (result) => (result.candidates?.[0]?.content?.parts || []).map(part => part.text || '').join('');
+
+    if (!(response.headers.get('content-type') || '').includes('event-stream') || !response.body) {
+      const result = await response.json();
+      const text = Array.isArray(result) ? result.map(textOf).join('') : textOf(result);
+      onText?.(text);
+      return text;
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let text = '';
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      lines.filter(line => line.startsWith('data: ')).forEach(line => {
+        text += textOf(JSON.parse(line.slice('data: '.length)));
+      });
+      onText?.(text);
+    }
+    return text;
+  },
+});
+
+/**
+ * A local model client that answers without any network calls. The answer is emitted line by
+ * line through `onText`, like a streamed response.
+ * @param {string | Function} respond - The full answer, or a function from prompt to answer.
+ */
+export const createStubModel = (respond) => ({
+  generate: async (prompt, { onText } = {}) => {
+    const text = typeof respond === 'function' ? respond(prompt) : respond;
+    let textSoFar = '';
+    for (const line of text.split('\n')) {
+      textSoFar += `${line}\n`;
+      onText?.(textSoFar);
+      await Promise.resolve();
+    }
+    return text;
+  },
+});
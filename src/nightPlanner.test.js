@@ -0,0 +1,47 @@
+import { createNightPlanner, createStubModel } from './nightPlanner';
+
+const event = {
+  id: 'vvG1zZ9abc',
+  name: 'Denver Nuggets vs. Los Angeles Lakers',
+  date: '2026-11-14T02:00:00Z',
+  venueName: 'Ball Arena',
+  address: '1000 Chopper Circle, Denver, CO',
+};
+
+const PLAN_LINES = [
+  '{"step":"preEvent","name":"Tavern Downtown","address":"1949 Market St","time":"5:30 PM","description":"Wings and a rooftop."}',
+  '{"step":"postEvent","name":"Denver Biscuit Co.","address":"3237 E Colfax Ave","time":"10:30 PM","description":"Late-night biscuits."}',
+  '{"step":"conversationStarter","text":"Who is the best Nugget of all time?"}',
+].join('\n');
+
+test('builds a timeline with the event in the middle', async () => {
+  const planner = createNightPlanner(createStubModel(PLAN_LINES));
+  const plan = await planner.generatePlan(event);
+  expect(plan.steps.map(step => step.key)).toEqual(['preEvent', 'event', 'postEvent']);
+  expect(plan.steps[0]).toMatchObject({ name: 'Tavern Downtown', address: '1949 Market St', time: '5:30 PM' });
+  expect(plan.steps[1].name).toBe(event.name);
+  expect(plan.conversationStarter).toBe('Who is the best Nugget of all time?');
+});
+
+test('reports partial plans while the answer streams in', async () => {
+  const updates = [];
+  const planner = createNightPlanner(createStubModel(PLAN_LINES));
+  await planner.generatePlan(event, { onUpdate: plan => updates.push(plan.steps.length) });
+  expect(updates[0]).toBe(2); // The pre-event stop and the event itself.
+  expect(updates[updates.length - 1]).toBe(3);
+});
+
+test('rejects an incomplete plan', async () => {
+  const planner = createNightPlanner(createStubModel('Sorry, I cannot help with that.'));
+  await expect(planner.generatePlan(event)).rejects.toThrow('incomplete');
+});
+
+test('regenerates a single step and keeps the others', async () => {
+  const planner = createNightPlanner(createStubModel(PLAN_LINES));
+  const plan = await planner.generatePlan(event);
+  const stub = createNightPlanner(createStubModel('{"step":"postEvent","name":"Sweet Cow","address":"3475 W 32nd Ave","time":"10:45 PM","description":"Ice cream."}'));
+  const updated = await stub.regenerateStep(event, plan, 'postEvent');
+  expect(updated.steps[2].name).toBe('Sweet Cow');
+  expect(updated.steps[0]).toEqual(plan.steps[0]);
+  expect(updated.conversationStarter).toBe(plan.conversationStarter);
+});
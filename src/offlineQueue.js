@@ -0,0 +1,102 @@
+import { loadJSON, saveJSON } from './storage';
+
+// --- Offline Queue ---
+// Actions taken while offline that need the network to finish (e.g. refreshing an event saved
+// from stale cached data) are queued in localStorage and replayed, in order, once the app reconnects.
+
+// An action that keeps failing (say, its event was removed) is dropped after this many tries.
+const MAX_ATTEMPTS = 5;
+
+// A 4xx from the server won't change on a retry, so the action is dropped straight away. Timeouts and
+// rate limiting are the exception: those are worth another try, like network errors and 5xx.
+const isPermanentFailure = (error) => error?.status >= 400 && error.status < 500 && ![408, 429].includes(error.status);
+
+/**
+ * Creates a queue persisted under `storageKey`.
+ * Each action is `{ type, key, payload, attempts }`; queueing an action with the same type and key
+ * as a pending one replaces it, so saving the same event twice offline only syncs it once.
+ * @param {string} [storageKey]
+ */
+export function createOfflineQueue(storageKey = 'offlineQueue') {
+  let actions = loadJSON(storageKey, []);
+  const listeners = new Set();
+  let flushing = null;
+
+  const update = (next) => {
+    actions = next;
+    saveJSON(storageKey, actions);
+    listeners.forEach(listener => listener(actions));
+  };
+
+  const isSameAction = (a, b) => a.type === b.type && a.key === b.key;
+
+  return {
+    /**
+     * @param {{ type: string, key: string, payload?: Object }} action
+     */
+    enqueue: ({ type, key, payload = {} }) => {
+      const action = { type, key, payload, attempts: 0 };
+      update([...actions.filter(pending => !isSameAction(pending, action)), action]);
+    },
+
+    getPending: () => actions,
+
+    /**
+     * Calls `listener(actions)` whenever the queue changes.
+     * @returns {Function} Unsubscribes.
+     */
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    /**
+     * Replays the queued actions one at a time with `handlers[action.type](action.payload)`.
+     * A handler that throws or returns false (still offline, say) stops the flush, and that action
+     * and everything after it stay queued for the next one. A handler that throws an error with a 4xx
+     * `status` has failed for good: its action is dropped and the flush carries on. Actions with no
+     * handler are dropped.
+     * Concurrent calls share the flush already in progress.
+     * @param {Object<string, Function>} handlers
+     * @returns {Promise<number>} How many actions were completed.
+     */
+    flush: (handlers) => {
+      if (flushing) return flushing;
+      const replay = async () => {
+        let completed = 0;
+        while (actions.length > 0) {
+          const [action] = actions;
+          let done;
+          let permanent = false;
+          try {
+            done = handlers[action.type] ? (await handlers[action.type](action.payload)) !== false : true;
+          } catch (error) {
+            console.warn(`Queued ${action.type} failed:`, error);
+            done = false;
+            permanent = isPermanentFailure(error);
+          }
+          // The action may have been replaced while its handler was running; leave the new one queued.
+          const rest = actions.filter(pending => pending !== action);
+          if (done) {
+            completed += 1;
+            update(rest);
+          } else if (permanent) {
+            update(rest);
+          } else {
+            const attempts = action.attempts + 1;
+            update(attempts >= MAX_ATTEMPTS || !actions.includes(action) ? rest : actions.map(pending => (pending === action ? { ...action, attempts } : pending)));
+            break;
+          }
+        }
+        return completed;
+      };
+      flushing = replay().finally(() => { flushing = null; });
+      return flushing;
+    },
+  };
+}
+
+// The app's queue. Components share it through useOfflineQueue.
+const offlineQueue = createOfflineQueue();
+
+export default offlineQueue;
@@ -0,0 +1,62 @@
+import { createOfflineQueue } from './offlineQueue';
+
+beforeEach(() => window.localStorage.clear());
+
+test('replays queued actions in order and persists what is left', async () => {
+  const queue = createOfflineQueue('test');
+  expect(await queue.flush({})).toBe(0);
+  queue.enqueue({ type: 'refresh', key: 'a', payload: { id: 'a' } });
+  queue.enqueue({ type: 'refresh', key: 'b', payload: { id: 'b' } });
+  queue.enqueue({ type: 'refresh', key: 'a', payload: { id: 'a' } });
+  expect(queue.getPending().map(action => action.key)).toEqual(['b', 'a']);
+  expect(createOfflineQueue('test').getPending()).toHaveLength(2);
+
+  const handled = [];
+  const completed = await queue.flush({ refresh: async ({ id }) => { handled.push(id); } });
+  expect(completed).toBe(2);
+  expect(handled).toEqual(['b', 'a']);
+  expect(createOfflineQueue('test').getPending()).toEqual([]);
+});
+
+test('stops at a failed action and keeps it for the next flush', async () => {
+  const queue = createOfflineQueue('test');
+  const listener = jest.fn();
+  queue.subscribe(listener);
+  queue.enqueue({ type: 'refresh', key: 'a' });
+  queue.enqueue({ type: 'refresh', key: 'b' });
+
+  const handler = jest.fn().mockResolvedValueOnce(false);
+  expect(await queue.flush({ refresh: handler })).toBe(0);
+  expect(handler).toHaveBeenCalledTimes(1);
+  expect(queue.getPending().map(action => [action.key, action.attempts])).toEqual([['a', 1], ['b', 0]]);
+  expect(listener).toHaveBeenLastCalledWith(queue.getPending());
+
+  expect(await queue.flush({ refresh: handler })).toBe(2);
+});
+
+test('drops actions that keep failing or have no handler', async () => {
+  const queue = createOfflineQueue('test');
+  queue.enqueue({ type: 'unknown', key: 'x' });
+  queue.enqueue({ type: 'refresh', key: 'gone' });
+  const handler = jest.fn().mockRejectedValue(new Error('404'));
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  for (let i = 0; i < 5; i += 1) await queue.flush({ refresh: handler });
+  expect(handler).toHaveBeenCalledTimes(5);
+  expect(queue.getPending()).toEqual([]);
+  console.warn.mockRestore();
+});
+
+test('drops an action the server refused with a 4xx and carries on', async () => {
+  const queue = createOfflineQueue('test');
+  queue.enqueue({ type: 'vote', key: 'refused' });
+  queue.enqueue({ type: 'vote', key: 'busy' });
+  queue.enqueue({ type: 'vote', key: 'later' });
+  const handler = jest.fn()
+    .mockRejectedValueOnce(Object.assign(new Error('400'), { status: 400 }))
+    .mockRejectedValueOnce(Object.assign(new Error('503'), { status: 503 }));
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  expect(await queue.flush({ vote: handler })).toBe(0);
+  expect(handler).toHaveBeenCalledTimes(2);
+  expect(queue.getPending().map(action => [action.key, action.attempts])).toEqual([['busy', 1], ['later', 0]]);
+  console.warn.mockRestore();
+});
@@ -0,0 +1,134 @@
+import { zonedParts } from './eventFilters';
+import { PLACEHOLDER_NAMES } from './facets';
+
+// --- Recommendations ---
+// Ranks the Home feed with a taste profile kept on the device: the events the user has opened
+// and saved, the genre and league chips they have filtered on, and the events they marked
+// "Not interested". Each signal is stored with the features of what it was about (classification
+// names, performers, venue), and every event is scored by how its features add up.
+// Dismissed events are also kept in a list of their own, so they stay hidden after their signal
+// has faded or been dropped from the capped signal list.
+
+// How much each kind of signal counts. "Not interested" pushes similar events down.
+export const SIGNAL_WEIGHTS = { open: 1, save: 3, filter: 1, notInterested: -3 };
+
+// Keeps the profile small enough for localStorage; the oldest signals are dropped first.
+export const MAX_SIGNALS = 200;
+
+// Older signals fade out: a signal counts half as much after this many days.
+const HALF_LIFE_DAYS = 30;
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+const isUsableName = (name) => Boolean(name) && !PLACEHOLDER_NAMES.includes(name.toLowerCase());
+
+/**
+ * The features of an event the profile learns from, e.g. ['segment:Sports', 'class:Basketball',
+ * 'class:NBA', 'attraction:K8vZ9171oZf', 'venue:KovZpZAFnIEA'].
+ */
+export const eventFeatures = (event) => [
+  `segment:${event.classification?.segment?.name || event.category}`,
+  ...[event.classification?.genre?.name, event.classification?.subGenre?.name].filter(isUsableName).map(name => `class:${name}`),
+  ...(event.attractions || []).map(attraction => `attraction:${attraction.id}`),
+  ...(event.venue?.id ? [`venue:${event.venue.id}`] : []),
+];
+
+/**
+ * Records a signal.
+ * @param {'open'|'save'|'filter'|'notInterested'} kind
+ * @param {Object|Array<Object>} source - The event, or for 'filter' the chips selected (facets, see facets.js).
+ *   A chip counts as its classification's name, so "College Basketball" is learnt as College, like the event's features.
+ * @param {Date} [now]
+ */
+export const createSignal = (kind, source, now = new Date()) => (Array.isArray(source)
+  ? { kind, features: source.map(facet => `class:${facet.name || facet.key}`), at: now.getTime() }
+  : { kind, features: eventFeatures(source), eventId: source.id, label: source.name, at: now.getTime() });
+
+export const addSignal = (signals, signal) => [...signals, signal].slice(-MAX_SIGNALS);
+
+/**
+ * Adds an event to the ones marked "Not interested". An event is kept until it is over, when the
+ * feed would leave it out anyway, so the list doesn't grow for ever.
+ * @returns {Array<{ eventId: string, date: string }>}
+ */
+export const addDismissal = (dismissals, event, now = new Date()) => [
+  ...dismissals.filter(dismissal => dismissal.eventId !== event.id && new Date(dismissal.date).getTime() >= now.getTime() - MS_PER_DAY),
+  { eventId: event.id, date: event.date },
+];
+
+/**
+ * Adds the signals up into a weight per feature, with older signals counting for less.
+ * @returns {Object<string, number>}
+ */
+export const buildTasteWeights = (signals, now = new Date()) => signals.reduce((weights, signal) => {
+  const ageInDays = Math.max(0, now.getTime() - signal.at) / MS_PER_DAY;
+  const weight = SIGNAL_WEIGHTS[signal.kind] * 0.5 ** (ageInDays / HALF_LIFE_DAYS);
+  signal.features.forEach(feature => { weights[feature] = (weights[feature] || 0) + weight; });
+  return weights;
+}, {});
+
+/**
+ * An event's score: the weights of its features, plus a small bonus for happening soon
+ * (1 for right now, 0.5 a day away), so that with no history the feed is in date order.
+ */
+export const recommendationScore = (event, weights, now = new Date()) => {
+  const taste = eventFeatures(event).reduce((sum, feature) => sum + (weights[feature] || 0), 0);
+  const daysAway = Math.max(0, (new Date(event.date) - now) / MS_PER_DAY);
+  return taste + 1 / (1 + daysAway);
+};
+
+// The event the user liked most recently: their latest save, or failing that the latest event they opened.
+const latestLiked = (signals, dismissedIds) => {
+  const liked = signals.filter(signal => signal.eventId && !dismissedIds.has(signal.eventId));
+  return [...liked].reverse().find(signal => signal.kind === 'save') || [...liked].reverse().find(signal => signal.kind === 'open') || null;
+};
+
+// Anything in common with a liked event apart from the segment: a genre, league, performer or venue.
+const isSimilar = (event, liked) => eventFeatures(event).some(feature => !feature.startsWith('segment:') && liked.features.includes(feature));
+
+const isTonight = (event, now) => zonedParts(event.date, event.timezone).dateKey === zonedParts(now, event.timezone).dateKey;
+
+// Ticketmaster's Discovery API has no popularity figures, so "trending" ranks the next week's events
+// by how many Google reviews their venue has, as a stand-in for how big a draw it is.
+const TRENDING_DAYS = 7;
+const trending = (events, now) => events
+  .filter(event => event.googleData?.userRatingsTotal > 0 && new Date(event.date) - now < TRENDING_DAYS * MS_PER_DAY)
+  .sort((a, b) => b.googleData.userRatingsTotal - a.googleData.userRatingsTotal);
+
+/**
+ * Splits events into the Home feed's sections: "Tonight", "Because you liked X", "Trending near you"
+ * and the rest, each ranked by recommendationScore. An event only appears in the first section it fits,
+ * events marked "Not interested" are left out, and empty sections are dropped.
+ * @param {Array} events
+ * @param {{ signals?: Array, dismissals?: Array, now?: Date, sectionSize?: number }} [options]
+ *   `dismissals` are from addDismissal; `sectionSize` caps every section but the last.
+ * @returns {Array<{ key: string, title: string, events: Array }>}
+ */
+export const buildHomeSections = (events, { signals = [], dismissals = [], now = new Date(), sectionSize = 5 } = {}) => {
+  const dismissedIds = new Set([
+    ...dismissals.map(dismissal => dismissal.eventId),
+    ...signals.filter(signal => signal.kind === 'notInterested').map(signal => signal.eventId),
+  ]);
+  const weights = buildTasteWeights(signals, now);
+  // Events that started within the last hour still count; people turn up late.
+  const ranked = events
+    .filter(event => !dismissedIds.has(event.id) && new Date(event.date).getTime() >= now.getTime() - 60 * 60 * 1000)
+    .map(event => ({ event, score: recommendationScore(event, weights, now) }))
+    .sort((a, b) => b.score - a.score)
+    .map(({ event }) => event);
+
+  const shownIds = new Set();
+  const sections = [];
+  const addSection = (key, title, candidates, limit = sectionSize) => {
+    const picked = candidates.filter(event => !shownIds.has(event.id)).slice(0, limit);
+    picked.forEach(event => shownIds.add(event.id));
+    if (picked.length > 0) sections.push({ key, title, events: picked });
+  };
+
+  addSection('tonight', 'Tonight', ranked.filter(event => isTonight(event, now)));
+  const liked = latestLiked(signals, dismissedIds);
+  if (liked) addSection('becauseYouLiked', `Because you liked ${liked.label}`, ranked.filter(event => event.id !== liked.eventId && isSimilar(event, liked)));
+  addSection('trending', 'Trending near you', trending(ranked, now));
+  addSection('forYou', sections.length > 0 ? 'More for you' : 'For you', ranked, Infinity);
+  return sections;
+};
@@ -0,0 +1,84 @@
+import { createSignal, addSignal, addDismissal, buildTasteWeights, buildHomeSections, eventFeatures, MAX_SIGNALS } from './recommendations';
+import { buildFacets } from './facets';
+
+// Wednesday 21 October 2026, 6pm in Denver.
+const now = new Date('2026-10-22T00:00:00Z');
+const DAY = 24 * 60 * 60 * 1000;
+
+const event = (id, daysAway, { genre = 'Basketball', subGenre = 'NBA', attraction = null, reviews = 0, segment = 'Sports' } = {}) => ({
+  id,
+  name: `Event ${id}`,
+  date: new Date(now.getTime() + daysAway * DAY + 60 * 60 * 1000).toISOString(),
+  timezone: 'America/Denver',
+  classification: { segment: { id: segment, name: segment }, genre: { id: genre, name: genre }, subGenre: { id: subGenre, name: subGenre } },
+  attractions: attraction ? [{ id: attraction, name: attraction }] : [],
+  googleData: reviews ? { userRatingsTotal: reviews } : null,
+});
+
+const keys = (sections) => sections.map(section => [section.title, section.events.map(e => e.id)]);
+
+test('describes events by segment, genre, league, performer and venue', () => {
+  expect(eventFeatures({ ...event('a', 1, { attraction: 'nuggets' }), venue: { id: 'ball' } })).toEqual(['segment:Sports', 'class:Basketball', 'class:NBA', 'attraction:nuggets', 'venue:ball']);
+  expect(eventFeatures({ category: 'Music', classification: { genre: { name: 'Undefined' } } })).toEqual(['segment:Music']);
+});
+
+test('with no history, the feed is in date order', () => {
+  const events = [event('later', 5), event('soon', 2), event('tonight', 0)];
+  expect(keys(buildHomeSections(events, { now }))).toEqual([['Tonight', ['tonight']], ['More for you', ['soon', 'later']]]);
+});
+
+test('ranks by what the user opened, saved and filtered on', () => {
+  const hockey = { genre: 'Hockey', subGenre: 'NHL' };
+  const events = [event('nba', 2), event('nhl', 3, hockey), event('jazz', 4, { segment: 'Music', genre: 'Jazz', subGenre: 'Bebop' })];
+  const opened = [createSignal('open', event('old-nhl', -3, hockey), now)];
+  expect(buildHomeSections(events, { signals: opened, now }).map(section => section.title)).toEqual(['Because you liked Event old-nhl', 'More for you']);
+  expect(buildHomeSections(events, { signals: opened, now })[1].events.map(e => e.id)).toEqual(['nba', 'jazz']);
+
+  const filtered = [createSignal('filter', buildFacets(events, 'genre').filter(facet => facet.key === 'Jazz'), now)];
+  expect(buildHomeSections(events, { signals: filtered, now })[0].events.map(e => e.id)).toEqual(['jazz', 'nba', 'nhl']);
+});
+
+test('learns a chip labelled with its genre as the classification it stands for', () => {
+  // Ticketmaster has a "College" league under each sport, with ids of their own.
+  const college = (id, genre) => ({ ...event(id, 2), classification: { genre: { id: genre, name: genre }, subGenre: { id: `college-${genre}`, name: 'College' } } });
+  const events = [college('cu-hoops', 'Basketball'), college('cu-football', 'Football')];
+  const [chip] = buildFacets(events, 'subGenre').filter(facet => facet.key === 'College Basketball');
+  expect(createSignal('filter', [chip], now).features).toEqual(['class:College']);
+  // A chip from a shared link that isn't among the loaded facets is its own name.
+  expect(createSignal('filter', [{ key: 'NHL', level: 'name', id: null, count: 0 }], now).features).toEqual(['class:NHL']);
+});
+
+test('"Not interested" hides the event and pushes similar ones down', () => {
+  const events = [event('a', 1, { attraction: 'x' }), event('b', 2, { attraction: 'x' }), event('c', 3, { genre: 'Soccer', subGenre: 'MLS' })];
+  const signals = [createSignal('notInterested', events[0], now)];
+  expect(buildHomeSections(events, { signals, now })[0].events.map(e => e.id)).toEqual(['c', 'b']);
+});
+
+test('dismissed events stay hidden once their signal has been dropped', () => {
+  const events = [event('a', 1), event('b', 2)];
+  const dismissals = addDismissal([], events[0], now);
+  const signals = Array.from({ length: MAX_SIGNALS }, (_, i) => i).reduce((all, i) => addSignal(all, createSignal('open', event(`other-${i}`, 5), now)), [createSignal('notInterested', events[0], now)]);
+  expect(signals.some(signal => signal.kind === 'notInterested')).toBe(false);
+  expect(buildHomeSections(events, { signals, dismissals, now }).flatMap(section => section.events).map(e => e.id)).toEqual(['b']);
+
+  // Dismissals of events that are over are let go.
+  const later = new Date(now.getTime() + 3 * DAY);
+  expect(addDismissal(dismissals, events[1], later)).toEqual([{ eventId: 'b', date: events[1].date }]);
+});
+
+test('trending uses venue review counts for the next week', () => {
+  const events = [event('small', 1, { reviews: 20 }), event('big', 2, { reviews: 90000 }), event('far', 10, { reviews: 500000 })];
+  expect(keys(buildHomeSections(events, { now, sectionSize: 1 }))).toEqual([['Trending near you', ['big']], ['More for you', ['small', 'far']]]);
+});
+
+test('older signals count for less, and only the newest are kept', () => {
+  const recent = createSignal('open', event('a', 0), now);
+  const old = createSignal('open', event('b', 0, { genre: 'Hockey', subGenre: 'NHL' }), new Date(now.getTime() - 30 * DAY));
+  const weights = buildTasteWeights([recent, old], now);
+  expect(weights['class:NBA']).toBeCloseTo(1);
+  expect(weights['class:NHL']).toBeCloseTo(0.5);
+
+  const signals = Array.from({ length: MAX_SIGNALS + 5 }, (_, i) => i).reduce((all, i) => addSignal(all, { kind: 'open', features: [], at: i }), []);
+  expect(signals).toHaveLength(MAX_SIGNALS);
+  expect(signals[0].at).toBe(5);
+});
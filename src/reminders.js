@@ -0,0 +1,109 @@
+import { formatEventDate, formatEventTime } from './eventFilters';
+import { buildEventUrl } from './router';
+
+// --- Reminders ---
+// Works out when to remind the user about an event and what to say. Each reminder kind turns into
+// one or more alerts with a time (`at`) and a cut-off (`until`) after which it's no longer worth
+// showing, e.g. "starts in 2 hours" once the event has started. Alerts are identified by a `tag`
+// that includes their time, so a rescheduled event gets its reminders again.
+
+const HOUR_MS = 60 * 60 * 1000;
+
+export const REMINDER_KINDS = {
+  twoHours: { label: '2 hours before' },
+  dayBefore: { label: 'The day before' },
+  onSale: { label: 'When tickets go on sale' },
+};
+
+// On-sale alerts come a little early, so there's time to get to the queue.
+const ON_SALE_LEAD_MS = 15 * 60 * 1000;
+
+// Reminders are dropped this long after their event.
+const EXPIRE_AFTER_MS = 24 * HOUR_MS;
+
+const eventWhen = (event) => `${formatEventDate(event)} at ${formatEventTime(event)}`;
+
+// Every sale window (presales and the general sale) that hasn't opened yet.
+const upcomingSales = (event, now) => [
+  ...(event.sales?.presales || []),
+  ...(event.sales?.publicSale ? [{ name: 'General sale', ...event.sales.publicSale }] : []),
+].filter(sale => sale.start && new Date(sale.start).getTime() > now);
+
+/**
+ * Whether "When tickets go on sale" can be offered for an event.
+ */
+export const canRemindOnSale = (event, now = Date.now()) => upcomingSales(event, now).length > 0;
+
+/**
+ * The alerts for an event and the reminder kinds the user picked.
+ * @param {Object} event - A normalised event.
+ * @param {Array<string>} kinds - Keys of REMINDER_KINDS.
+ * @param {number} [now] - Sales that have already opened are left out.
+ * @returns {Array<{ tag: string, kind: string, at: number, until: number, title: string, body: string, url: string }>}
+ */
+export const planAlerts = (event, kinds, now = Date.now()) => {
+  const start = event.date ? new Date(event.date).getTime() : null;
+  const alert = (kind, key, at, until, title, body) => ({ tag: `${event.id}:${key}@${at}`, kind, at, until, title, body, url: buildEventUrl(event.id) });
+  const where = event.venueName ? ` at ${event.venueName}` : '';
+
+  return kinds.flatMap(kind => {
+    if (kind === 'twoHours' && start) {
+      return [alert(kind, kind, start - 2 * HOUR_MS, start, `${event.name} starts in 2 hours`, `${formatEventTime(event)}${where}`)];
+    }
+    if (kind === 'dayBefore' && start) {
+      return [alert(kind, kind, start - 24 * HOUR_MS, start, `${event.name} is tomorrow`, `${eventWhen(event)}${where}`)];
+    }
+    if (kind === 'onSale') {
+      return upcomingSales(event, now).map(sale => {
+        const opensAt = new Date(sale.start).getTime();
+        return alert(kind, `onSale:${sale.name}`, opensAt - ON_SALE_LEAD_MS, opensAt + HOUR_MS, `${sale.name} for ${event.name} opens in 15 minutes`, 'Get ready to buy tickets.');
+      });
+    }
+    return [];
+  });
+};
+
+/**
+ * The alerts that should be shown now: due, not past their cut-off and not shown before.
+ * @param {Array} alerts - From planAlerts.
+ * @param {Array<string>} firedTags - Tags of the alerts already shown.
+ */
+export const dueAlerts = (alerts, firedTags, now = Date.now()) => alerts.filter(alert => alert.at <= now && now <= alert.until && !firedTags.includes(alert.tag));
+
+/**
+ * The next alert still to come, for the reminders screen.
+ * @returns {Object|null}
+ */
+export const nextAlert = (alerts, now = Date.now()) => alerts.filter(alert => alert.at > now).sort((a, b) => a.at - b.at)[0] || null;
+
+// Statuses worth an alert of their own, with how to say it.
+const STATUS_CHANGES = {
+  canceled: 'has been cancelled',
+  cancelled: 'has been cancelled',
+  postponed: 'has been postponed',
+  rescheduled: 'has been rescheduled',
+};
+
+/**
+ * What changed about a reminded event since it was last checked: a new date, a postponement or a cancellation.
+ * @param {Object} previous - The event as it was stored with the reminder.
+ * @param {Object} current - The event as Ticketmaster has it now.
+ * @returns {Array<{ tag: string, title: string, body: string, url: string }>} Empty when nothing worth telling changed.
+ */
+export const detectChanges = (previous, current) => {
+  const changes = [];
+  const url = buildEventUrl(current.id);
+  if (current.status !== previous.status && STATUS_CHANGES[current.status]) {
+    const body = current.status === 'rescheduled' && current.date ? `Now ${eventWhen(current)}.` : 'Check the event for details.';
+    changes.push({ tag: `${current.id}:status:${current.status}`, title: `${current.name} ${STATUS_CHANGES[current.status]}`, body, url });
+  }
+  if (previous.date && current.date && new Date(previous.date).getTime() !== new Date(current.date).getTime() && current.status !== 'rescheduled') {
+    changes.push({ tag: `${current.id}:date:${current.date}`, title: `${current.name} has moved`, body: `Now ${eventWhen(current)}, was ${eventWhen(previous)}.`, url });
+  }
+  return changes;
+};
+
+/**
+ * Whether a reminder's event is long enough ago to drop the reminder.
+ */
+export const isReminderExpired = (event, now = Date.now()) => Boolean(event.date) && new Date(event.date).getTime() + EXPIRE_AFTER_MS < now;
@@ -0,0 +1,64 @@
+import { planAlerts, dueAlerts, nextAlert, detectChanges, canRemindOnSale, isReminderExpired } from './reminders';
+
+const now = new Date('2026-10-19T17:00:00Z').getTime();
+const HOUR = 60 * 60 * 1000;
+
+const game = {
+  id: 'g1',
+  name: 'Nuggets vs. Lakers',
+  date: '2026-10-23T01:00:00Z',
+  timezone: 'America/Denver',
+  venueName: 'Ball Arena',
+  status: 'onsale',
+  sales: {
+    presales: [{ name: 'Fan Presale', start: '2026-10-20T16:00:00Z', end: '2026-10-21T04:00:00Z' }, { name: 'Old Presale', start: '2026-10-01T16:00:00Z' }],
+    publicSale: { start: '2026-10-21T16:00:00Z', end: '2026-10-23T01:00:00Z' },
+  },
+};
+
+test('plans an alert per reminder kind, and one per sale still to open', () => {
+  const alerts = planAlerts(game, ['twoHours', 'dayBefore', 'onSale'], now);
+  const start = new Date(game.date).getTime();
+  expect(alerts.map(alert => [alert.kind, alert.at])).toEqual([
+    ['twoHours', start - 2 * HOUR],
+    ['dayBefore', start - 24 * HOUR],
+    ['onSale', new Date('2026-10-20T16:00:00Z').getTime() - 15 * 60 * 1000],
+    ['onSale', new Date('2026-10-21T16:00:00Z').getTime() - 15 * 60 * 1000],
+  ]);
+  expect(alerts[0]).toMatchObject({ title: 'Nuggets vs. Lakers starts in 2 hours', url: '/event/g1' });
+  expect(alerts[2].title).toBe('Fan Presale for Nuggets vs. Lakers opens in 15 minutes');
+  expect(canRemindOnSale(game, now)).toBe(true);
+  expect(canRemindOnSale(game, new Date('2026-10-22T00:00:00Z').getTime())).toBe(false);
+});
+
+test('shows due alerts once, and not after their cut-off', () => {
+  const alerts = planAlerts(game, ['twoHours', 'dayBefore'], now);
+  const start = new Date(game.date).getTime();
+  expect(dueAlerts(alerts, [], now)).toEqual([]);
+  expect(dueAlerts(alerts, [], start - 3 * HOUR).map(alert => alert.kind)).toEqual(['dayBefore']);
+  expect(dueAlerts(alerts, [alerts[1].tag], start - HOUR).map(alert => alert.kind)).toEqual(['twoHours']);
+  expect(dueAlerts(alerts, [], start + HOUR)).toEqual([]);
+  expect(nextAlert(alerts, now).kind).toBe('dayBefore');
+  expect(nextAlert(alerts, start)).toBeNull();
+});
+
+test('a new date means new alerts', () => {
+  const [before] = planAlerts(game, ['twoHours'], now);
+  const [after] = planAlerts({ ...game, date: '2026-10-24T01:00:00Z' }, ['twoHours'], now);
+  expect(after.tag).not.toBe(before.tag);
+});
+
+test('spots postponements, cancellations and date changes', () => {
+  expect(detectChanges(game, game)).toEqual([]);
+  expect(detectChanges(game, { ...game, status: 'postponed' })).toEqual([expect.objectContaining({ title: 'Nuggets vs. Lakers has been postponed' })]);
+  expect(detectChanges(game, { ...game, status: 'canceled' })[0].title).toBe('Nuggets vs. Lakers has been cancelled');
+  const moved = detectChanges(game, { ...game, date: '2026-10-24T01:00:00Z' });
+  expect(moved).toHaveLength(1);
+  expect(moved[0].title).toBe('Nuggets vs. Lakers has moved');
+  expect(detectChanges(game, { ...game, status: 'rescheduled', date: '2026-10-24T01:00:00Z' }).map(change => change.title)).toEqual(['Nuggets vs. Lakers has been rescheduled']);
+});
+
+test('drops reminders a day after their event', () => {
+  expect(isReminderExpired(game, new Date('2026-10-23T12:00:00Z').getTime())).toBe(false);
+  expect(isReminderExpired(game, new Date('2026-10-24T02:00:00Z').getTime())).toBe(true);
+});
@@ -0,0 +1,146 @@
+import { useState, useEffect, useCallback, useMemo } from 'react';
+
+// --- Routing ---
+// A small History API router. Every screen has a URL, so refreshing, the back button and
+// shared links all work:
+//   /sports?city=Denver&state=CO&radius=50&when=this-week&filter=NBA
+//   /music?when=custom&from=2026-11-01&to=2026-11-15&days=weekend&tod=evening
+//   /social?price=under50&unpriced=include
+//   /following
+//   /event/:id
+//   /venue/:id
+//   /shortlist/:id?s=<the shortlist, see shortlist.js>
+
+export const DEFAULT_MODULE = 'Home';
+
+const MODULE_PATHS = { Home: '/home', Sports: '/sports', Music: '/music', Social: '/social', Saved: '/saved', Following: '/following', Shortlist: '/shortlist', Reminders: '/reminders', Sources: '/sources' };
+
+// Screens that aren't tied to a search, so their URLs leave out the search and filters.
+// (Shortlist, where a "Plan with friends" shortlist is put together, Reminders and Sources, where event
+// feeds are subscribed to, have no tabs of their own.)
+export const UNSEARCHED_MODULES = ['Saved', 'Following', 'Shortlist', 'Reminders', 'Sources'];
+
+// The date ranges (see eventFilters.js), as they appear in the URL's `when` parameter.
+const TIME_FILTER_SLUGS = { today: 'today', thisWeek: 'this-week', thisMonth: 'this-month', nextMonth: 'next-month', custom: 'custom' };
+
+// Filters that appear in the URL as they are, keyed by query parameter.
+const PLAIN_FILTER_PARAMS = { from: 'from', to: 'to', days: 'days', tod: 'timeOfDay', filter: 'category', q: 'keyword', sort: 'sort', price: 'price', unpriced: 'unpriced' };
+
+export const DEFAULT_SEARCH_PARAMS = { city: 'Denver', stateCode: 'CO', radius: 50 };
+
+const findKey = (object, value) => Object.keys(object).find(key => object[key] === value);
+
+// A mangled link (e.g. a truncated `%E0%A4%A`) can't be decoded; its id is dropped, so it opens Home.
+const decodePathPart = (match) => {
+  if (!match) return null;
+  try {
+    return decodeURIComponent(match[1]);
+  } catch (error) {
+    return null;
+  }
+};
+
+const parseSearchParams = (query) => {
+  const lat = Number(query.get('lat'));
+  const lng = Number(query.get('lng'));
+  const hasCoordinates = query.has('lat') && query.has('lng') && Number.isFinite(lat) && Number.isFinite(lng);
+  if (!query.has('city') && !hasCoordinates) return DEFAULT_SEARCH_PARAMS;
+  return {
+    city: query.get('city') || 'your area',
+    stateCode: query.get('state') || '',
+    radius: Number(query.get('radius')) || DEFAULT_SEARCH_PARAMS.radius,
+    ...(hasCoordinates ? { coordinates: { lat, lng } } : {}),
+  };
+};
+
+/**
+ * Reads a route from a URL.
+ * @param {{ pathname: string, search: string }} location - Usually `window.location`.
+ * @returns {{ module: string, eventId: string|null, venueId: string|null, shortlist: { id: string, data: string }|null, searchParams: Object, filters: Object }}
+ *   `filters` holds the module's filters: `time`, `from`, `to`, `days`, `timeOfDay`, `category`, `keyword`, `sort`, `price` and `unpriced`.
+ *   `shortlist` is a shared shortlist's id and its encoded contents.
+ *   For an event, venue or shared shortlist route, `module` is the module the screen goes back to.
+ */
+export const parseRoute = ({ pathname, search }) => {
+  const query = new URLSearchParams(search);
+  const eventMatch = pathname.match(/^\/event\/([^/]+)\/?$/);
+  const venueMatch = pathname.match(/^\/venue\/([^/]+)\/?$/);
+  const shortlistMatch = pathname.match(/^\/shortlist\/([^/]+)\/?$/);
+  const shortlistId = decodePathPart(shortlistMatch);
+  const time = findKey(TIME_FILTER_SLUGS, query.get('when'));
+  return {
+    module: findKey(MODULE_PATHS, pathname.replace(/\/$/, '')) || DEFAULT_MODULE,
+    eventId: decodePathPart(eventMatch),
+    venueId: decodePathPart(venueMatch),
+    shortlist: shortlistId ? { id: shortlistId, data: query.get('s') || '' } : null,
+    searchParams: parseSearchParams(query),
+    filters: Object.entries(PLAIN_FILTER_PARAMS).reduce(
+      (filters, [param, key]) => (query.get(param) ? { ...filters, [key]: query.get(param) } : filters),
+      time ? { time } : {}
+    ),
+  };
+};
+
+/**
+ * Builds the URL for a module screen. The search and filters are left out for the Saved and Following tabs.
+ */
+export const buildModuleUrl = (module, searchParams, filters = {}) => {
+  const path = MODULE_PATHS[module] || MODULE_PATHS[DEFAULT_MODULE];
+  if (UNSEARCHED_MODULES.includes(module)) return path;
+  const query = new URLSearchParams();
+  if (searchParams.city) query.set('city', searchParams.city);
+  if (searchParams.stateCode) query.set('state', searchParams.stateCode);
+  query.set('radius', searchParams.radius);
+  if (searchParams.coordinates) {
+    query.set('lat', searchParams.coordinates.lat.toFixed(4));
+    query.set('lng', searchParams.coordinates.lng.toFixed(4));
+  }
+  if (TIME_FILTER_SLUGS[filters.time]) query.set('when', TIME_FILTER_SLUGS[filters.time]);
+  Object.entries(PLAIN_FILTER_PARAMS).forEach(([param, key]) => {
+    if (filters[key]) query.set(param, filters[key]);
+  });
+  return `${path}?${query}`;
+};
+
+export const buildEventUrl = (eventId) => `/event/${encodeURIComponent(eventId)}`;
+
+export const buildVenueUrl = (venueId) => `/venue/${encodeURIComponent(venueId)}`;
+
+export const buildShortlistUrl = (shortlistId, data) => `/shortlist/${encodeURIComponent(shortlistId)}?s=${data}`;
+
+/**
+ * The current route, kept in sync with the address bar.
+ * `navigate(url)` pushes a new history entry; `{ replace: true }` swaps the current one instead.
+ * `history.state` is kept for each entry, so a screen can stash things like its scroll position.
+ */
+export default function useRoute() {
+  const [location, setLocation] = useState(() => ({ pathname: window.location.pathname, search: window.location.search, state: window.history.state }));
+
+  useEffect(() => {
+    // We restore list scroll positions ourselves, once the list has rendered.
+    if ('scrollRestoration' in window.history) window.history.scrollRestoration = 'manual';
+    const handlePopState = () => setLocation({ pathname: window.location.pathname, search: window.location.search, state: window.history.state });
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, []);
+
+  const navigate = useCallback((url, { replace = false, state = null } = {}) => {
+    if (replace) window.history.replaceState(state, '', url);
+    else window.history.pushState(state, '', url);
+    setLocation({ pathname: window.location.pathname, search: window.location.search, state });
+  }, []);
+
+  // Updates the state stored with the current entry without navigating.
+  const updateState = useCallback((state) => {
+    window.history.replaceState({ ...window.history.state, ...state }, '');
+  }, []);
+
+  const parsedRoute = useMemo(() => parseRoute(location), [location]);
+  // Keep the same searchParams object while the search itself is unchanged, so changing a filter
+  // or opening an event doesn't start a new search.
+  const searchKey = JSON.stringify(parsedRoute.searchParams);
+  const searchParams = useMemo(() => JSON.parse(searchKey), [searchKey]);
+  const route = useMemo(() => ({ ...parsedRoute, searchParams }), [parsedRoute, searchParams]);
+
+  return { route, historyState: location.state, navigate, updateState };
+}
@@ -0,0 +1,49 @@
+import { parseRoute, buildModuleUrl, buildEventUrl, buildVenueUrl, buildShortlistUrl, DEFAULT_SEARCH_PARAMS } from './router';
+
+const parse = (url) => {
+  const { pathname, search } = new URL(url, 'https://locate.example');
+  return parseRoute({ pathname, search });
+};
+
+test('reads the module, search and filters from a list URL', () => {
+  expect(parse('/sports?city=Denver&state=CO&radius=25&when=this-week&filter=NBA')).toEqual({
+    module: 'Sports',
+    eventId: null,
+    venueId: null,
+    shortlist: null,
+    searchParams: { city: 'Denver', stateCode: 'CO', radius: 25 },
+    filters: { time: 'thisWeek', category: 'NBA' },
+  });
+  expect(parse('/music?lat=39.7392&lng=-104.9903&radius=10').searchParams).toEqual({ city: 'your area', stateCode: '', radius: 10, coordinates: { lat: 39.7392, lng: -104.9903 } });
+});
+
+test('falls back to the default module and search', () => {
+  expect(parse('/')).toEqual({ module: 'Home', eventId: null, venueId: null, shortlist: null, searchParams: DEFAULT_SEARCH_PARAMS, filters: {} });
+  expect(parse('/nowhere?when=someday').filters).toEqual({});
+  // Malformed percent-encoding mustn't crash the app on load.
+  expect(parse('/event/%E0%A4%A')).toEqual(parse('/'));
+  expect(parse('/venue/%')).toMatchObject({ module: 'Home', venueId: null });
+  expect(parse('/shortlist/%E0?s=eyJ0Ijo').shortlist).toBeNull();
+});
+
+test('reads event and venue ids', () => {
+  expect(parse(buildEventUrl('vvG1zZ9/abc')).eventId).toBe('vvG1zZ9/abc');
+  expect(parse('/event/G5diZ4VBsfAxK/').eventId).toBe('G5diZ4VBsfAxK');
+  expect(parse(buildVenueUrl('KovZpZAFnIEA'))).toMatchObject({ eventId: null, venueId: 'KovZpZAFnIEA' });
+  expect(parse(buildShortlistUrl('mq3k9x', 'eyJ0Ijo'))).toMatchObject({ module: 'Home', shortlist: { id: 'mq3k9x', data: 'eyJ0Ijo' } });
+});
+
+test('builds URLs that read back the same', () => {
+  const searchParams = { city: 'Boulder', stateCode: 'CO', radius: 50 };
+  const filters = { time: 'custom', from: '2026-11-01', to: '2026-11-15', days: 'weekend', timeOfDay: 'evening', category: 'Jazz' };
+  expect(buildModuleUrl('Music', searchParams, filters)).toBe('/music?city=Boulder&state=CO&radius=50&when=custom&from=2026-11-01&to=2026-11-15&days=weekend&tod=evening&filter=Jazz');
+  expect(parse(buildModuleUrl('Music', searchParams, filters))).toEqual({ module: 'Music', eventId: null, venueId: null, shortlist: null, searchParams, filters });
+  expect(parse('/sports?price=under50&unpriced=include').filters).toEqual({ price: 'under50', unpriced: 'include' });
+  expect(buildModuleUrl('Saved', searchParams, filters)).toBe('/saved');
+  expect(buildModuleUrl('Following', searchParams, filters)).toBe('/following');
+  expect(buildModuleUrl('Shortlist', searchParams, filters)).toBe('/shortlist');
+  expect(buildModuleUrl('Reminders', searchParams, filters)).toBe('/reminders');
+  expect(parse('/reminders').module).toBe('Reminders');
+  expect(buildModuleUrl('Sources', searchParams, filters)).toBe('/sources');
+  expect(parse('/following').module).toBe('Following');
+});
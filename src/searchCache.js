@@ -0,0 +1,71 @@
+import { loadJSON, saveJSON } from './storage';
+
+// --- Search Cache ---
+// Wraps the api object so Ticketmaster searches are cached per location, radius, category and page.
+// Entries are persisted to localStorage, so a reload or a tab switch can render the last results
+// instantly while useEventSearch refreshes them in the background (stale-while-revalidate).
+
+const CACHE_STORAGE_KEY = 'searchCache';
+// Keeps localStorage well under its quota; each entry holds one page of events.
+const MAX_ENTRIES = 20;
+// Entries older than this are too old to show even as stale data.
+const MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+// Only real answers are cached. Errors and demo data would replace the last real results for the search.
+const isCacheable = (result) => result.status === 'ok' || result.status === 'empty';
+
+// Coordinates are rounded to ~100m so small GPS jitter still hits the cache.
+// Searches with no location (null searchParams) cover every city.
+const cacheKey = (searchParams, category, page, refinements = {}) => {
+  const { city, stateCode, radius, coordinates } = searchParams || {};
+  const location = !searchParams ? 'anywhere' : coordinates ? `${coordinates.lat.toFixed(3)},${coordinates.lng.toFixed(3)}` : `${String(city).trim()}|${String(stateCode).trim()}`;
+  const refined = Object.keys(refinements).sort().map(key => `${key}=${refinements[key]}`).join('&');
+  return [location, radius, category || 'All', page, refined].map(part => String(part).trim().toLowerCase()).join('|');
+};
+
+/**
+ * Returns a copy of `api` whose fetchTicketmasterEvents writes successful results to the cache,
+ * plus a getCachedTicketmasterEvents method to read them back.
+ * @param {Object} api - The app's API service.
+ * @param {{ ttlMs: number }} options - How long a cached result counts as fresh.
+ */
+export default function withSearchCache(api, { ttlMs }) {
+  const entries = new Map(
+    Object.entries(loadJSON(CACHE_STORAGE_KEY, {})).filter(([, entry]) => Date.now() - entry.fetchedAt < MAX_AGE_MS)
+  );
+
+  const persist = () => {
+    // Map iteration order is insertion order, so the oldest entries are evicted first.
+    while (entries.size > MAX_ENTRIES) entries.delete(entries.keys().next().value);
+    saveJSON(CACHE_STORAGE_KEY, Object.fromEntries(entries));
+  };
+
+  return {
+    ...api,
+
+    /**
+     * Same as api.fetchTicketmasterEvents, but always hits the network and caches the result.
+     * Errors and demo data are never cached.
+     */
+    fetchTicketmasterEvents: async (searchParams, category = null, page = 0, refinements = {}) => {
+      const result = await api.fetchTicketmasterEvents(searchParams, category, page, refinements);
+      if (isCacheable(result)) {
+        const key = cacheKey(searchParams, category, page, refinements);
+        entries.delete(key);
+        entries.set(key, { result, fetchedAt: result.fetchedAt || Date.now() });
+        persist();
+      }
+      return result;
+    },
+
+    /**
+     * Reads a cached search result without touching the network.
+     * @returns {{ result: Object, fetchedAt: number, isStale: boolean } | null}
+     */
+    getCachedTicketmasterEvents: (searchParams, category = null, page = 0, refinements = {}) => {
+      const entry = entries.get(cacheKey(searchParams, category, page, refinements));
+      if (!entry) return null;
+      return { ...entry, isStale: Date.now() - entry.fetchedAt > ttlMs };
+    },
+  };
+}
@@ -0,0 +1,54 @@
+import withSearchCache from './searchCache';
+
+const denver = { city: 'Denver', stateCode: 'CO', radius: 25 };
+const okResult = (ids) => ({ status: 'ok', events: ids.map(id => ({ id })), page: { number: 0, size: ids.length, totalPages: 1, totalElements: ids.length }, fetchedAt: null });
+
+beforeEach(() => window.localStorage.clear());
+afterEach(() => jest.restoreAllMocks());
+
+test('caches successful searches and marks them stale after the TTL', async () => {
+  const api = { fetchTicketmasterEvents: jest.fn(async () => okResult(['a'])) };
+  const cached = withSearchCache(api, { ttlMs: 60 * 1000 });
+  expect(cached.getCachedTicketmasterEvents(denver, 'Music', 0)).toBeNull();
+
+  await cached.fetchTicketmasterEvents(denver, 'Music', 0);
+  expect(cached.getCachedTicketmasterEvents(denver, 'Music', 0)).toMatchObject({ result: { events: [{ id: 'a' }] }, isStale: false });
+
+  const later = Date.now() + 2 * 60 * 1000;
+  jest.spyOn(Date, 'now').mockReturnValue(later);
+  expect(cached.getCachedTicketmasterEvents(denver, 'Music', 0).isStale).toBe(true);
+});
+
+test('normalises the key, so the same search hits the cache however it is typed', async () => {
+  const cached = withSearchCache({ fetchTicketmasterEvents: async () => okResult(['a']) }, { ttlMs: 60 * 1000 });
+  await cached.fetchTicketmasterEvents({ city: ' Denver ', stateCode: 'co', radius: 25 }, 'Music', 0, { sort: 'date,asc', keyword: 'jazz' });
+  expect(cached.getCachedTicketmasterEvents(denver, 'music', 0, { keyword: 'jazz', sort: 'date,asc' })).not.toBeNull();
+  expect(cached.getCachedTicketmasterEvents(denver, 'Music', 1, { keyword: 'jazz', sort: 'date,asc' })).toBeNull();
+
+  // Coordinates are rounded, so GPS jitter still hits the same entry.
+  await cached.fetchTicketmasterEvents({ radius: 25, coordinates: { lat: 39.73921, lng: -104.99031 } }, null, 0);
+  expect(cached.getCachedTicketmasterEvents({ radius: 25, coordinates: { lat: 39.73918, lng: -104.99029 } }, null, 0)).not.toBeNull();
+});
+
+test('never caches errors or demo data over real results', async () => {
+  const api = { fetchTicketmasterEvents: jest.fn(async () => okResult(['real'])) };
+  const cached = withSearchCache(api, { ttlMs: 60 * 1000 });
+  await cached.fetchTicketmasterEvents(denver, null, 0);
+
+  api.fetchTicketmasterEvents.mockResolvedValueOnce({ status: 'demo', events: [{ id: 'tm-1' }], page: okResult(['tm-1']).page });
+  expect((await cached.fetchTicketmasterEvents(denver, null, 0)).status).toBe('demo');
+  api.fetchTicketmasterEvents.mockResolvedValueOnce({ status: 'error', events: [], page: okResult([]).page, error: { reason: 'network' } });
+  await cached.fetchTicketmasterEvents(denver, null, 0);
+
+  expect(cached.getCachedTicketmasterEvents(denver, null, 0).result.events).toEqual([{ id: 'real' }]);
+  expect(withSearchCache(api, { ttlMs: 60 * 1000 }).getCachedTicketmasterEvents(denver, null, 0).result.events).toEqual([{ id: 'real' }]);
+});
+
+test('persists entries, and drops ones too old to show on load', async () => {
+  const cached = withSearchCache({ fetchTicketmasterEvents: async () => okResult(['a']) }, { ttlMs: 60 * 1000 });
+  await cached.fetchTicketmasterEvents(denver, null, 0);
+  expect(withSearchCache({}, { ttlMs: 60 * 1000 }).getCachedTicketmasterEvents(denver, null, 0)).not.toBeNull();
+
+  jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 25 * 60 * 60 * 1000);
+  expect(withSearchCache({}, { ttlMs: 60 * 1000 }).getCachedTicketmasterEvents(denver, null, 0)).toBeNull();
+});
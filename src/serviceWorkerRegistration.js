@@ -0,0 +1,101 @@
+// --- Service worker registration ---
+// The service worker (public/service-worker.js) caches the app shell, recent API responses and
+// images for offline use. Like Create React App's own template, it is only registered in
+// production builds: in development it would serve stale bundles.
+
+export const FETCHED_AT_HEADER = 'X-Locate-Fetched-At';
+
+// Where reminders are handed to the service worker; must match public/service-worker.js.
+const REMINDERS_CACHE = 'locate-reminders-v1';
+const REMINDERS_URL = '/reminders.json';
+const REMINDERS_SYNC_TAG = 'locate-reminders';
+
+export function register() {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return;
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register(`${process.env.PUBLIC_URL}/service-worker.js`).then(registerReminderSync).catch(error => {
+      console.error('Service worker registration failed:', error);
+    });
+  });
+}
+
+export function unregister() {
+  if (!('serviceWorker' in navigator)) return;
+  navigator.serviceWorker.ready.then(registration => registration.unregister()).catch(error => {
+    console.error('Service worker unregistration failed:', error);
+  });
+}
+
+/**
+ * Asks the service worker to cache images now, e.g. for an event that was just saved.
+ * Does nothing until a service worker controls the page.
+ * @param {Array<string>} urls
+ */
+export function cacheImagesForOffline(urls) {
+  const controller = typeof navigator !== 'undefined' && navigator.serviceWorker?.controller;
+  if (controller) controller.postMessage({ type: 'CACHE_IMAGES', urls: urls.filter(Boolean) });
+}
+
+/**
+ * When a response was served from the service worker's cache, the time it was originally fetched.
+ * @param {Response} response
+ * @returns {number|null} Milliseconds since epoch, or null for a fresh network response.
+ */
+export function cachedResponseTime(response) {
+  const value = Number(response.headers?.get?.(FETCHED_AT_HEADER));
+  return value > 0 ? value : null;
+}
+
+// Periodic background sync (Chromium, installed app only) lets reminders show while the app is
+// closed. Elsewhere they show while the app is open.
+const registerReminderSync = async (registration) => {
+  if (!registration.periodicSync) return;
+  try {
+    await registration.periodicSync.register(REMINDERS_SYNC_TAG, { minInterval: 15 * 60 * 1000 });
+  } catch (error) {
+    // Not allowed until the app is installed; nothing to do.
+  }
+};
+
+/**
+ * Shows a notification, through the service worker when there is one so tapping it can open the app.
+ * Does nothing without notification permission.
+ * @param {string} title
+ * @param {{ body?: string, tag?: string, url?: string }} [options]
+ */
+export async function showNotification(title, { body, tag, url } = {}) {
+  if (typeof Notification === 'undefined' || Notification.permission !== 'granted') return;
+  const registration = await navigator.serviceWorker?.getRegistration?.();
+  if (registration) {
+    await registration.showNotification(title, { body, tag, data: { url } });
+    return;
+  }
+  const notification = new Notification(title, { body, tag });
+  notification.onclick = () => {
+    window.focus();
+    if (url) window.location.assign(url);
+  };
+}
+
+/**
+ * Hands the planned reminder alerts to the service worker, and picks up the ones it has shown.
+ * @param {Array} alerts - From planAlerts (see reminders.js).
+ * @param {Array<string>} firedTags - Tags of the alerts the app has shown.
+ * @returns {Promise<Array<string>>} Every tag shown by either, for the app to remember.
+ */
+export async function syncReminderSchedule(alerts, firedTags) {
+  if (typeof caches === 'undefined') return firedTags;
+  try {
+    const cache = await caches.open(REMINDERS_CACHE);
+    const stored = await cache.match(REMINDERS_URL);
+    const workerFired = stored ? (await stored.json()).fired || [] : [];
+    const liveTags = alerts.map(alert => alert.tag);
+    // Tags of removed reminders are dropped, so the list doesn't grow forever.
+    const fired = [...new Set([...firedTags, ...workerFired])].filter(tag => liveTags.includes(tag));
+    await cache.put(REMINDERS_URL, new Response(JSON.stringify({ alerts, fired }), { headers: { 'Content-Type': 'application/json' } }));
+    return fired;
+  } catch (error) {
+    console.error('Could not hand reminders to the service worker:', error);
+    return firedTags;
+  }
+}
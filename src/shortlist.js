@@ -0,0 +1,131 @@
+import { buildShortlistUrl } from './router';
+
+// --- Group Shortlists ---
+// "Plan with friends": a handful of events shared as a link for a group to vote on. The link
+// carries the shortlist itself, so anyone can open it without an account; only the votes go
+// through a sync backend (see shortlistSync.js).
+
+export const MAX_SHORTLIST_EVENTS = 10;
+
+export const DEFAULT_SHORTLIST_TITLE = 'Where are we going?';
+
+// The event fields a shortlist link carries, in order. Kept short so links stay shareable.
+const LINK_FIELDS = ['id', 'name', 'date', 'timezone', 'venueName', 'city'];
+
+// A short random id for shortlists and voters. Not a secret: anyone with the link can vote.
+export const createId = () => `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+
+/**
+ * @param {Array} events - Normalised events; only the fields a link carries are kept.
+ * @param {{ title?: string, id?: string, now?: number }} [options]
+ * @returns {{ id: string, title: string, events: Array, createdAt: number }}
+ */
+export const createShortlist = (events, { title, id = createId(), now = Date.now() } = {}) => ({
+  id,
+  title: (title || '').trim() || DEFAULT_SHORTLIST_TITLE,
+  events: events.slice(0, MAX_SHORTLIST_EVENTS).map(event => Object.fromEntries(LINK_FIELDS.map(field => [field, event[field] ?? null]))),
+  createdAt: now,
+});
+
+// base64url of the UTF-8 bytes, so names with accents or emoji survive the trip.
+const toBase64Url = (text) => btoa(encodeURIComponent(text).replace(/%([0-9A-F]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16))))
+  .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+const fromBase64Url = (encoded) => decodeURIComponent(
+  Array.from(atob(encoded.replace(/-/g, '+').replace(/_/g, '/')), char => `%${char.charCodeAt(0).toString(16).padStart(2, '0')}`).join('')
+);
+
+/**
+ * Packs a shortlist's title and events into a string for its link. The id is part of the path instead.
+ */
+export const encodeShortlist = (shortlist) => toBase64Url(JSON.stringify({
+  t: shortlist.title,
+  c: shortlist.createdAt,
+  e: shortlist.events.map(event => LINK_FIELDS.map(field => event[field] ?? null)),
+}));
+
+/**
+ * Reads a shortlist back from its link.
+ * @param {string} id
+ * @param {string} encoded - What encodeShortlist produced.
+ * @returns {Object|null} null if the link was cut short or tampered with.
+ */
+export const decodeShortlist = (id, encoded) => {
+  try {
+    const { t, c, e } = JSON.parse(fromBase64Url(encoded));
+    if (!Array.isArray(e) || e.length === 0) return null;
+    const events = e.slice(0, MAX_SHORTLIST_EVENTS).map(values => Object.fromEntries(LINK_FIELDS.map((field, index) => [field, values[index] ?? null])));
+    if (events.some(event => !event.id || !event.name)) return null;
+    return { id, title: t || DEFAULT_SHORTLIST_TITLE, events, createdAt: c || null };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Records a vote, replacing the voter's earlier one. Each voter backs one event.
+ * @param {Array<{ voterId: string, name: string, eventId: string }>} votes
+ * @param {{ voterId: string, name: string, eventId: string }} vote
+ */
+export const upsertVote = (votes, vote) => [...votes.filter(existing => existing.voterId !== vote.voterId), vote];
+
+/**
+ * The voters behind each event, in shortlist order. Votes for events not on the shortlist are ignored.
+ * @returns {Array<{ event: Object, voters: Array<string> }>} `voters` are names.
+ */
+export const tallyVotes = (events, votes) => events.map(event => ({
+  event,
+  voters: votes.filter(vote => vote.eventId === event.id).map(vote => vote.name),
+}));
+
+/**
+ * Tonight's pick: the event with the most votes.
+ * @param {Array} tally - From tallyVotes.
+ * @returns {{ status: 'none'|'winner'|'tie', events: Array, votes: number }}
+ *   'none' until someone votes; 'tie' lists every event sharing the lead.
+ */
+export const pickWinner = (tally) => {
+  const votes = Math.max(0, ...tally.map(entry => entry.voters.length));
+  if (votes === 0) return { status: 'none', events: [], votes };
+  const leaders = tally.filter(entry => entry.voters.length === votes).map(entry => entry.event);
+  return { status: leaders.length === 1 ? 'winner' : 'tie', events: leaders, votes };
+};
+
+/**
+ * Shares a link with the Web Share API where the browser has it (most phones), and copies it to
+ * the clipboard otherwise.
+ * @param {{ title: string, text: string, url: string }} share
+ * @returns {Promise<'shared'|'copied'|'cancelled'|'failed'>} 'failed' means the link has to be copied by hand.
+ */
+export const shareLink = async ({ title, text, url }) => {
+  if (navigator.share) {
+    try {
+      await navigator.share({ title, text, url });
+      return 'shared';
+    } catch (error) {
+      if (error.name === 'AbortError') return 'cancelled';
+    }
+  }
+  try {
+    await navigator.clipboard.writeText(url);
+    return 'copied';
+  } catch (error) {
+    return 'failed';
+  }
+};
+
+/**
+ * The full link to a shared shortlist.
+ * @param {{ id: string, data: string }} entry - `data` is the encoded shortlist.
+ */
+export const shortlistLink = ({ id, data }) => `${window.location.origin}${buildShortlistUrl(id, data)}`;
+
+/**
+ * Shares a shortlist's link (see shareLink).
+ * @param {{ id: string, title: string, data: string }} entry
+ */
+export const shareShortlist = (entry) => shareLink({
+  title: entry.title,
+  text: `Vote for your pick on Locate: ${entry.title}`,
+  url: shortlistLink(entry),
+});
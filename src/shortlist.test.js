@@ -0,0 +1,35 @@
+import { createShortlist, encodeShortlist, decodeShortlist, upsertVote, tallyVotes, pickWinner, DEFAULT_SHORTLIST_TITLE } from './shortlist';
+
+const event = (id, extra = {}) => ({ id, name: `Event ${id}`, date: '2026-10-23T01:30:00Z', timezone: 'America/Denver', venueName: 'Ball Arena', city: 'Denver', imageUrl: 'https://img/x.jpg', ...extra });
+
+test('links carry the shortlist and read back the same', () => {
+  const shortlist = createShortlist([event('a', { name: 'Café Tacvba 🎸' }), event('b', { timezone: null })], { title: ' Friday? ', id: 's1', now: 1 });
+  expect(shortlist.title).toBe('Friday?');
+  expect(shortlist.events[0]).not.toHaveProperty('imageUrl');
+  const encoded = encodeShortlist(shortlist);
+  expect(encoded).toMatch(/^[A-Za-z0-9_-]+$/);
+  expect(decodeShortlist('s1', encoded)).toEqual(shortlist);
+  expect(createShortlist([event('a')]).title).toBe(DEFAULT_SHORTLIST_TITLE);
+});
+
+test('rejects links that were cut short or tampered with', () => {
+  const encoded = encodeShortlist(createShortlist([event('a')], { id: 's1' }));
+  expect(decodeShortlist('s1', encoded.slice(0, 10))).toBeNull();
+  expect(decodeShortlist('s1', 'not base64!')).toBeNull();
+  expect(decodeShortlist('s1', btoa(JSON.stringify({ t: 'x', e: [] })))).toBeNull();
+});
+
+test('each voter backs one event, and the most votes wins', () => {
+  const events = [event('a'), event('b'), event('c')];
+  let votes = [];
+  expect(pickWinner(tallyVotes(events, votes))).toEqual({ status: 'none', events: [], votes: 0 });
+  votes = upsertVote(votes, { voterId: 'v1', name: 'Sam', eventId: 'a' });
+  votes = upsertVote(votes, { voterId: 'v2', name: 'Alex', eventId: 'b' });
+  expect(pickWinner(tallyVotes(events, votes))).toMatchObject({ status: 'tie', votes: 1 });
+  votes = upsertVote(votes, { voterId: 'v3', name: 'Jo', eventId: 'b' });
+  votes = upsertVote(votes, { voterId: 'v1', name: 'Sam', eventId: 'b' });
+  votes = upsertVote(votes, { voterId: 'v4', name: 'Lee', eventId: 'gone' });
+  const tally = tallyVotes(events, votes);
+  expect(tally.map(entry => entry.voters)).toEqual([[], ['Alex', 'Jo', 'Sam'], []]);
+  expect(pickWinner(tally)).toEqual({ status: 'winner', events: [events[1]], votes: 3 });
+});
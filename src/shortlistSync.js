@@ -0,0 +1,47 @@
+import { upsertVote } from './shortlist';
+
+// --- Shortlist Sync ---
+// Where the votes on a shared shortlist are kept. The backend is pluggable: anything with
+// `loadVotes(shortlistId)` and `castVote(shortlistId, vote)`, both resolving to the shortlist's
+// votes, works. createHttpSyncBackend talks to the proxy's vote store (server/shortlists.js);
+// createMemorySyncBackend keeps votes in the page, for development without the proxy and for tests.
+
+/**
+ * @param {string} baseUrl - e.g. `${API_PROXY_BASE_URL}/shortlists`
+ */
+export const createHttpSyncBackend = (baseUrl) => {
+  const request = async (shortlistId, options) => {
+    const response = await fetch(`${baseUrl}/${encodeURIComponent(shortlistId)}/votes`, options);
+    if (!response.ok) {
+      // The status lets the offline queue drop a vote the service will never accept.
+      throw Object.assign(new Error(`The shortlist service responded with ${response.status}.`), { status: response.status });
+    }
+    const data = await response.json();
+    return data.votes || [];
+  };
+
+  return {
+    loadVotes: (shortlistId) => request(shortlistId),
+    castVote: (shortlistId, vote) => request(shortlistId, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(vote),
+    }),
+  };
+};
+
+/**
+ * Keeps votes in memory. Only voters in the same page see each other's votes.
+ */
+export const createMemorySyncBackend = () => {
+  const votesByShortlist = new Map();
+
+  return {
+    loadVotes: async (shortlistId) => votesByShortlist.get(shortlistId) || [],
+    castVote: async (shortlistId, vote) => {
+      const votes = upsertVote(votesByShortlist.get(shortlistId) || [], { ...vote, votedAt: Date.now() });
+      votesByShortlist.set(shortlistId, votes);
+      return votes;
+    },
+  };
+};
@@ -0,0 +1,24 @@
+import { createHttpSyncBackend, createMemorySyncBackend } from './shortlistSync';
+
+const originalFetch = global.fetch;
+afterEach(() => {
+  global.fetch = originalFetch;
+});
+
+test('the in-memory backend keeps one vote per voter per shortlist', async () => {
+  const backend = createMemorySyncBackend();
+  await backend.castVote('s1', { voterId: 'v1', name: 'Sam', eventId: 'a' });
+  const votes = await backend.castVote('s1', { voterId: 'v1', name: 'Sam', eventId: 'b' });
+  expect(votes).toEqual([expect.objectContaining({ voterId: 'v1', eventId: 'b' })]);
+  expect(await backend.loadVotes('s2')).toEqual([]);
+});
+
+test('the HTTP backend reads and posts votes, and throws on errors', async () => {
+  const votes = [{ voterId: 'v1', name: 'Sam', eventId: 'a' }];
+  global.fetch = jest.fn(async () => ({ ok: true, json: async () => ({ votes }) }));
+  const backend = createHttpSyncBackend('http://proxy/api/shortlists');
+  expect(await backend.castVote('s/1', votes[0])).toEqual(votes);
+  expect(global.fetch).toHaveBeenCalledWith('http://proxy/api/shortlists/s%2F1/votes', expect.objectContaining({ method: 'POST', body: JSON.stringify(votes[0]) }));
+  global.fetch = jest.fn(async () => ({ ok: false, status: 500 }));
+  await expect(backend.loadVotes('s1')).rejects.toThrow('500');
+});
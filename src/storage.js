@@ -0,0 +1,33 @@
+// --- Persistent Storage ---
+// Thin wrappers around localStorage that never throw: storage can be full, disabled
+// (private browsing) or hold data from an older version of the app.
+
+const STORAGE_PREFIX = 'locate.';
+
+/**
+ * Reads a JSON value from localStorage.
+ * @param {string} key - The key, without the app prefix.
+ * @param {*} fallback - Returned when nothing is stored or the stored value can't be parsed.
+ */
+export const loadJSON = (key, fallback) => {
+  try {
+    const raw = window.localStorage.getItem(STORAGE_PREFIX + key);
+    return raw === null ? fallback : JSON.parse(raw);
+  } catch (error) {
+    console.warn(`Could not read ${key} from storage:`, error);
+    return fallback;
+  }
+};
+
+/**
+ * Writes a JSON value to localStorage.
+ * @param {string} key - The key, without the app prefix.
+ * @param {*} value - Any JSON-serialisable value.
+ */
+export const saveJSON = (key, value) => {
+  try {
+    window.localStorage.setItem(STORAGE_PREFIX + key, JSON.stringify(value));
+  } catch (error) {
+    console.warn(`Could not save ${key} to storage:`, error);
+  }
+};
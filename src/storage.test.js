@@ -0,0 +1,27 @@
+import { loadJSON, saveJSON } from './storage';
+
+beforeEach(() => window.localStorage.clear());
+afterEach(() => jest.restoreAllMocks());
+
+test('stores JSON under the app prefix', () => {
+  saveJSON('savedEvents', { a: 1 });
+  expect(window.localStorage.getItem('locate.savedEvents')).toBe('{"a":1}');
+  expect(loadJSON('savedEvents', {})).toEqual({ a: 1 });
+  expect(loadJSON('missing', [])).toEqual([]);
+});
+
+test('falls back when the stored value is not valid JSON', () => {
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  window.localStorage.setItem('locate.broken', '{not json');
+  expect(loadJSON('broken', 'fallback')).toBe('fallback');
+  expect(console.warn).toHaveBeenCalled();
+});
+
+test('never throws when storage is full or disabled', () => {
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(Storage.prototype, 'setItem').mockImplementation(() => { throw new DOMException('Quota exceeded', 'QuotaExceededError'); });
+  jest.spyOn(Storage.prototype, 'getItem').mockImplementation(() => { throw new DOMException('Denied', 'SecurityError'); });
+  expect(() => saveJSON('savedEvents', { a: 1 })).not.toThrow();
+  expect(loadJSON('savedEvents', null)).toBeNull();
+  expect(console.warn).toHaveBeenCalledTimes(2);
+});
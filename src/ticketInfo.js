@@ -0,0 +1,111 @@
+// --- Tickets and getting there ---
+// Formatting for the price, sale windows and status that Ticketmaster reports for an event,
+// plus the links behind the "Buy Tickets" and "Get Directions" buttons.
+
+// Ticketmaster's dates.status.code values that deserve a badge. 'onsale' is the normal case and gets none.
+const STATUS_BADGES = {
+  cancelled: { label: 'Cancelled', tone: 'bad' },
+  postponed: { label: 'Postponed', tone: 'warning' },
+  rescheduled: { label: 'Rescheduled', tone: 'warning' },
+  soldOut: { label: 'Sold out', tone: 'bad' },
+  salesEnded: { label: 'Sales ended', tone: 'muted' },
+  notOnSale: { label: 'Not on sale yet', tone: 'muted' },
+};
+
+/**
+ * The status badge to show for an event, or null when tickets are on sale as normal.
+ * Ticketmaster has no "sold out" status: an event that is 'offsale' while its public sale
+ * window is still open is treated as sold out.
+ * @returns {{ label: string, tone: 'bad'|'warning'|'muted' } | null}
+ */
+export const eventStatusBadge = (event, now = new Date()) => {
+  const publicSale = event.sales?.publicSale;
+  switch (event.status) {
+    case 'canceled':
+    case 'cancelled':
+      return STATUS_BADGES.cancelled;
+    case 'postponed':
+      return STATUS_BADGES.postponed;
+    case 'rescheduled':
+      return STATUS_BADGES.rescheduled;
+    case 'offsale':
+      if (publicSale?.start && new Date(publicSale.start) > now) return STATUS_BADGES.notOnSale;
+      if (publicSale?.end && new Date(publicSale.end) < now) return STATUS_BADGES.salesEnded;
+      return STATUS_BADGES.soldOut;
+    default:
+      return null;
+  }
+};
+
+// Whether "Buy Tickets" makes sense at all.
+export const canBuyTickets = (event) => Boolean(event.url) && !['canceled', 'cancelled'].includes(event.status);
+
+// Whole amounts drop the cents ("$45"). Both bounds are set: older Intl engines throw a RangeError
+// when the maximum is below the currency's default minimum.
+export const formatPrice = (amount, currency) => {
+  const fractionDigits = Number.isInteger(amount) ? 0 : 2;
+  return new Intl.NumberFormat([], {
+    style: 'currency',
+    currency: currency || 'USD',
+    minimumFractionDigits: fractionDigits,
+    maximumFractionDigits: fractionDigits,
+  }).format(amount);
+};
+
+/**
+ * Combines Ticketmaster's `priceRanges` (often one per ticket type, e.g. 'standard' and
+ * 'standard including fees') into the cheapest and dearest ticket, in the first range's currency.
+ * @returns {{ min: number, max: number, currency: string } | null} null when no prices are listed.
+ */
+export const priceRangeFromTicketmaster = (priceRanges = []) => {
+  const currency = priceRanges[0]?.currency || 'USD';
+  const ranges = priceRanges.filter(range => Number.isFinite(range.min) && (range.currency || 'USD') === currency);
+  if (ranges.length === 0) return null;
+  return {
+    min: Math.min(...ranges.map(range => range.min)),
+    max: Math.max(...ranges.map(range => (Number.isFinite(range.max) ? range.max : range.min))),
+    currency,
+  };
+};
+
+/**
+ * The price on an event card: "from $45", "Free", or "Price TBA" when no prices have been announced.
+ */
+export const formatPriceFrom = (priceRange) => {
+  if (priceRange?.min == null) return 'Price TBA';
+  if (priceRange.min === 0 && !priceRange.max) return 'Free';
+  return `from ${formatPrice(priceRange.min, priceRange.currency)}`;
+};
+
+/**
+ * "$45 – $120", "$45" or null when there is no price info.
+ */
+export const formatPriceRange = (priceRange) => {
+  if (priceRange?.min == null) return null;
+  const { min, max, currency } = priceRange;
+  if (max == null || max === min) return formatPrice(min, currency);
+  return `${formatPrice(min, currency)} – ${formatPrice(max, currency)}`;
+};
+
+const formatSaleDate = (date) => new Date(date).toLocaleString([], { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+
+/**
+ * "Oct 20, 10:00 AM – Nov 13, 7:00 PM", or a one-sided window when only the start or end is known.
+ */
+export const formatSaleWindow = ({ start, end }) => {
+  if (start && end) return `${formatSaleDate(start)} – ${formatSaleDate(end)}`;
+  if (start) return `From ${formatSaleDate(start)}`;
+  if (end) return `Until ${formatSaleDate(end)}`;
+  return 'Dates to be announced';
+};
+
+/**
+ * A Google Maps directions link to the venue. It opens the Maps app on phones that have it.
+ * @param {{ coordinates?: Object, venueName?: string, address?: string }} event - An event, or a venue's location in the same fields.
+ */
+export const directionsUrl = (event) => {
+  const destination = event.coordinates
+    ? `${event.coordinates.lat},${event.coordinates.lng}`
+    : [event.venueName, event.address].filter(Boolean).join(', ');
+  return `https://www.google.com/maps/dir/?api=1&destination=${encodeURIComponent(destination)}`;
+};
@@ -0,0 +1,53 @@
+import { eventStatusBadge, canBuyTickets, priceRangeFromTicketmaster, formatPrice, formatPriceRange, formatPriceFrom, directionsUrl } from './ticketInfo';
+
+const now = new Date('2026-10-19T17:00:00Z');
+
+test('maps Ticketmaster statuses to badges', () => {
+  expect(eventStatusBadge({ status: 'onsale' }, now)).toBeNull();
+  expect(eventStatusBadge({ status: 'canceled' }, now).label).toBe('Cancelled');
+  expect(eventStatusBadge({ status: 'postponed' }, now).label).toBe('Postponed');
+  expect(eventStatusBadge({ status: 'offsale', sales: { publicSale: { start: '2026-10-01T00:00:00Z', end: '2026-11-01T00:00:00Z' } } }, now).label).toBe('Sold out');
+  expect(eventStatusBadge({ status: 'offsale', sales: { publicSale: { start: '2026-10-25T00:00:00Z' } } }, now).label).toBe('Not on sale yet');
+  expect(eventStatusBadge({ status: 'offsale', sales: { publicSale: { end: '2026-10-18T00:00:00Z' } } }, now).label).toBe('Sales ended');
+});
+
+test('only offers tickets for events with a link that are not cancelled', () => {
+  expect(canBuyTickets({ url: 'https://www.ticketmaster.com/event/1', status: 'onsale' })).toBe(true);
+  expect(canBuyTickets({ url: 'https://www.ticketmaster.com/event/1', status: 'canceled' })).toBe(false);
+  expect(canBuyTickets({ status: 'onsale' })).toBe(false);
+});
+
+test('formats whole amounts without cents and others with two decimals', () => {
+  expect(formatPrice(45, 'USD')).toBe('$45');
+  expect(formatPrice(45.5, 'USD')).toBe('$45.50');
+  expect(formatPrice(20)).toBe('$20');
+});
+
+test('formats price ranges', () => {
+  expect(formatPriceRange(null)).toBeNull();
+  expect(formatPriceRange({ min: 45, max: 120, currency: 'USD' })).toBe('$45 – $120');
+  expect(formatPriceRange({ min: 29.5, max: 29.5, currency: 'USD' })).toBe('$29.50');
+  expect(formatPriceRange({ min: 30, max: 30, currency: 'USD' })).toBe('$30');
+});
+
+test('combines Ticketmaster price ranges into the cheapest and dearest ticket', () => {
+  expect(priceRangeFromTicketmaster([
+    { type: 'standard', currency: 'USD', min: 49.5, max: 150 },
+    { type: 'standard including fees', currency: 'USD', min: 58.25, max: 172.4 },
+  ])).toEqual({ min: 49.5, max: 172.4, currency: 'USD' });
+  expect(priceRangeFromTicketmaster([{ currency: 'USD', min: 20 }])).toEqual({ min: 20, max: 20, currency: 'USD' });
+  expect(priceRangeFromTicketmaster([{ currency: 'USD' }])).toBeNull();
+  expect(priceRangeFromTicketmaster(undefined)).toBeNull();
+});
+
+test('labels card prices, including free and unannounced ones', () => {
+  expect(formatPriceFrom({ min: 45, max: 120, currency: 'USD' })).toBe('from $45');
+  expect(formatPriceFrom({ min: 29.5, max: 60, currency: 'USD' })).toBe('from $29.50');
+  expect(formatPriceFrom({ min: 0, max: 0, currency: 'USD' })).toBe('Free');
+  expect(formatPriceFrom(null)).toBe('Price TBA');
+});
+
+test('links directions to the venue coordinates, or its name and address', () => {
+  expect(directionsUrl({ coordinates: { lat: 39.7487, lng: -105.0077 } })).toBe('https://www.google.com/maps/dir/?api=1&destination=39.7487%2C-105.0077');
+  expect(directionsUrl({ venueName: 'Ball Arena', address: '1000 Chopper Cir, Denver, CO' })).toBe('https://www.google.com/maps/dir/?api=1&destination=Ball%20Arena%2C%201000%20Chopper%20Cir%2C%20Denver%2C%20CO');
+});
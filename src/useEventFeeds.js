@@ -0,0 +1,85 @@
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { loadJSON, saveJSON } from './storage';
+import { feedIdFor, parseFeed, createFeedProvider } from './eventFeeds';
+
+const FEEDS_STORAGE_KEY = 'eventFeeds';
+
+const NOT_A_FEED = { reason: 'server', message: "This isn't an iCalendar or JSON feed." };
+
+// Calendar apps hand out webcal:// links for subscriptions; they are plain http(s) underneath.
+const normaliseFeedUrl = (value) => {
+  try {
+    const url = new URL(value.trim().replace(/^webcals?:\/\//i, 'https://'));
+    return ['http:', 'https:'].includes(url.protocol) ? url.toString() : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * The event feeds (iCalendar or JSON) the user subscribes to, persisted to localStorage, with a
+ * provider for each (see eventFeeds.js) for App to search alongside Ticketmaster.
+ * A feed is downloaded once when it is added, to check it is one; that download is also its first load.
+ * @param {{ fetchEventFeed: Function, attachGooglePlaceData?: Function }} api
+ * @param {{ ttlMs: number }} options - How long a download counts as fresh.
+ * @returns {{ feeds: Array, providers: Array, statuses: Object, addFeed: Function, removeFeed: Function, checkFeeds: Function }}
+ *   `feeds` are { id, url, name, addedAt }; `statuses` maps a feed id to { eventCount, fetchedAt, error } once it has loaded.
+ *   `addFeed(url, name?)` resolves to { status: 'ok', feed } or { status: 'error', error }.
+ */
+export default function useEventFeeds(api, { ttlMs }) {
+  const [feeds, setFeeds] = useState(() => loadJSON(FEEDS_STORAGE_KEY, []));
+  // Bumped after checkFeeds, to re-render with the providers' new statuses.
+  const [, setCheckCount] = useState(0);
+  // Providers by feed id. They hold the downloaded events, so they outlive re-renders.
+  const providersById = useRef(new Map());
+  // The download that validated a newly added feed, handed to its provider as its first load.
+  const firstDownloads = useRef(new Map());
+
+  useEffect(() => {
+    saveJSON(FEEDS_STORAGE_KEY, feeds);
+  }, [feeds]);
+
+  const providers = useMemo(() => feeds.map(feed => {
+    if (!providersById.current.has(feed.id)) {
+      const loadFeed = (url) => {
+        const download = firstDownloads.current.get(feed.id);
+        firstDownloads.current.delete(feed.id);
+        return download ? Promise.resolve(download) : api.fetchEventFeed(url);
+      };
+      providersById.current.set(feed.id, createFeedProvider(feed, { loadFeed, enrich: api.attachGooglePlaceData, ttlMs }));
+    }
+    return providersById.current.get(feed.id);
+  }), [feeds, api, ttlMs]);
+
+  const statuses = Object.fromEntries(providers.map(provider => [provider.id, provider.getStatus()]).filter(([, status]) => status));
+
+  const addFeed = useCallback(async (value, name = '') => {
+    const url = normaliseFeedUrl(value);
+    if (!url) return { status: 'error', error: { reason: 'bad-request', message: 'Enter the http or https link of the feed.' } };
+    const id = feedIdFor(url);
+    if (feeds.some(feed => feed.id === id)) return { status: 'error', error: { reason: 'bad-request', message: "You're already subscribed to this feed." } };
+
+    const download = await api.fetchEventFeed(url);
+    if (download.status !== 'ok') return download;
+    const parsed = parseFeed(download.text, { id, name, url });
+    if (!parsed) return { status: 'error', error: NOT_A_FEED };
+
+    const feed = { id, url, name: name.trim() || parsed.name || new URL(url).hostname, addedAt: Date.now() };
+    firstDownloads.current.set(id, download);
+    setFeeds(previous => [...previous, feed]);
+    return { status: 'ok', feed };
+  }, [api, feeds]);
+
+  const removeFeed = useCallback((feedId) => {
+    providersById.current.delete(feedId);
+    setFeeds(previous => previous.filter(feed => feed.id !== feedId));
+  }, []);
+
+  // Loads every feed that isn't fresh, so their statuses can be shown.
+  const checkFeeds = useCallback(async () => {
+    await Promise.all(providers.map(provider => provider.searchEvents(null)));
+    setCheckCount(count => count + 1);
+  }, [providers]);
+
+  return { feeds, providers, statuses, addFeed, removeFeed, checkFeeds };
+}
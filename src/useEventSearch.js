@@ -0,0 +1,114 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+
+const NO_REFINEMENTS = {};
+
+/**
+ * Loads events for a module page by page, from every event provider (see eventProviders.js).
+ * The first page is fetched whenever the search parameters change; `loadMore` appends the next one.
+ * Results are de-duplicated by event id, since Ticketmaster can repeat an event across pages and
+ * feed events are added to each page up to its last date.
+ *
+ * `status` mirrors the typed result of api.searchEvents ('ok', 'empty', 'error' or 'demo').
+ * A failed first page sets `error` and can be retried with `refresh`; a failed later page (or one
+ * demo mode filled with mock events) keeps the events already loaded and sets `loadMoreError` instead.
+ *
+ * When the api has a cache (getCachedEvents), a cached first page renders immediately. It is only
+ * refetched (in the background, with `isRefreshing` set) once it is older than the cache TTL, or
+ * when `refresh` is called. `lastUpdated` is the time the displayed results were fetched.
+ * @param {{ searchEvents: Function, getCachedEvents?: Function }} api - The app's API service, with its providers combined.
+ * @param {{ city: string, stateCode: string, radius: number, coordinates?: Object }|null} searchParams - Null searches every city.
+ * @param {string} category - The classification name(s) to search for.
+ * @param {Object} [refinements] - Server-side filters within the category (see api.fetchTicketmasterEvents).
+ *   Changing only these keeps the current results on screen, with `isRefreshing` set, until the new ones arrive.
+ *   Pass a memoised object; a new one starts a new search.
+ */
+export default function useEventSearch(api, searchParams, category, refinements = NO_REFINEMENTS) {
+  const [events, setEvents] = useState([]);
+  const [status, setStatus] = useState(null);
+  const [error, setError] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isLoadingMore, setIsLoadingMore] = useState(false);
+  const [loadMoreError, setLoadMoreError] = useState(null);
+  const [pageInfo, setPageInfo] = useState({ number: 0, totalPages: 0, totalElements: 0 });
+  const [isRefreshing, setIsRefreshing] = useState(false);
+  const [lastUpdated, setLastUpdated] = useState(null);
+  const [refreshCount, setRefreshCount] = useState(0);
+  // Incremented on every new search so responses for an old search are ignored.
+  const searchId = useRef(0);
+  // Set by `refresh` so the next load skips a cached result that is still fresh.
+  const forceRefresh = useRef(false);
+  // The search and category currently on screen, to tell a refinement from a whole new search.
+  const shownSearch = useRef(null);
+
+  useEffect(() => {
+    const currentSearch = ++searchId.current;
+    const showResult = (result, fetchedAt) => {
+      setEvents(result.events);
+      setStatus(result.status);
+      setError(result.error || null);
+      setPageInfo(result.page);
+      setLastUpdated(fetchedAt);
+    };
+
+    const loadFirstPage = async () => {
+      setIsLoadingMore(false);
+      setIsRefreshing(false);
+      setLoadMoreError(null);
+      const isRefinement = shownSearch.current?.searchParams === searchParams && shownSearch.current?.category === category;
+      shownSearch.current = { searchParams, category };
+      const cached = api.getCachedEvents?.(searchParams, category, 0, refinements);
+      if (cached) {
+        showResult(cached.result, cached.fetchedAt);
+        setIsLoading(false);
+        if (!cached.isStale && !forceRefresh.current) return;
+        setIsRefreshing(true);
+      } else if (isRefinement) {
+        setIsRefreshing(true);
+      } else {
+        setIsLoading(true);
+      }
+      forceRefresh.current = false;
+
+      const result = await api.searchEvents(searchParams, category, 0, refinements);
+      if (currentSearch !== searchId.current) return;
+      // A failed background refresh, or one demo mode filled with mock events, keeps the cached results on screen.
+      // Results the service worker served from its cache while offline keep their original age.
+      if (!(cached && (result.status === 'error' || result.status === 'demo'))) showResult(result, result.fetchedAt || Date.now());
+      setIsLoading(false);
+      setIsRefreshing(false);
+    };
+    loadFirstPage();
+  }, [searchParams, api, category, refinements, refreshCount]);
+
+  const hasMore = pageInfo.number + 1 < pageInfo.totalPages;
+
+  const loadMore = useCallback(async () => {
+    if (isLoading || isLoadingMore || !hasMore) return;
+    const currentSearch = searchId.current;
+    setIsLoadingMore(true);
+    setLoadMoreError(null);
+    const result = await api.searchEvents(searchParams, category, pageInfo.number + 1, refinements);
+    if (currentSearch !== searchId.current) return;
+    if (result.status === 'error' || result.status === 'demo') {
+      // Demo mode stands in for a failed page with mock events; those never go below real results.
+      setLoadMoreError(result.error || { reason: 'server', message: "Couldn't load more events." });
+    } else if (result.status === 'empty') {
+      // The search shrank since the first page; treat this page as the last one.
+      setPageInfo(previous => ({ ...previous, totalPages: previous.number + 1 }));
+    } else {
+      setEvents(previous => {
+        const seen = new Set(previous.map(event => event.id));
+        return [...previous, ...result.events.filter(event => !seen.has(event.id))];
+      });
+      setPageInfo(result.page);
+    }
+    setIsLoadingMore(false);
+  }, [api, searchParams, category, refinements, pageInfo, isLoading, isLoadingMore, hasMore]);
+
+  const refresh = useCallback(() => {
+    forceRefresh.current = true;
+    setRefreshCount(count => count + 1);
+  }, []);
+
+  return { events, status, error, isLoading, isLoadingMore, loadMoreError, hasMore, totalResults: pageInfo.totalElements, loadMore, isRefreshing, lastUpdated, refresh };
+}
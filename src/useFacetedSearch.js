@@ -0,0 +1,60 @@
+import { useState, useEffect, useMemo } from 'react';
+import useEventSearch from './useEventSearch';
+import { buildFacets, parseFacetSelection, resolveSelection, facetRefinements } from './facets';
+import { SORT_OPTIONS } from './eventFilters';
+
+/**
+ * useEventSearch plus the genre and league facets, keyword search and sort order for a module.
+ *
+ * The facets (and their counts) come from the unrefined results, so picking one chip doesn't make
+ * the others disappear. Once a selected facet's Ticketmaster id is known, the search itself is
+ * narrowed server-side, which reaches events beyond the pages loaded so far. The keyword and
+ * (where Ticketmaster supports it) the sort order are sent to Ticketmaster for the same reason.
+ * @param {Object} api
+ * @param {Object} searchParams
+ * @param {string} category - The module's classification name(s).
+ * @param {{ levels: Array<'genre'|'subGenre'>, selection: string, keyword?: string, sort?: string }} options
+ *   `levels` are the classification levels to offer chips for; `selection` is the URL's `filter` value;
+ *   `sort` is a SORT_OPTIONS key.
+ * @returns The useEventSearch result, plus `facets` ({ [level]: Array }) and `selectedFacets`.
+ */
+export default function useFacetedSearch(api, searchParams, category, { levels, selection, keyword, sort }) {
+  // The facets of the latest unrefined results for this search: { searchParams, category, facets }.
+  const [baseline, setBaseline] = useState(null);
+  const baselineFacets = baseline?.searchParams === searchParams && baseline?.category === category ? baseline.facets : null;
+
+  const selectedKeys = useMemo(() => parseFacetSelection(selection), [selection]);
+  const knownFacets = useMemo(() => (baselineFacets ? levels.flatMap(level => baselineFacets[level]) : []), [baselineFacets, levels]);
+  const facetRefinementsKey = JSON.stringify(facetRefinements(resolveSelection(selectedKeys, knownFacets)));
+  const serverSort = SORT_OPTIONS[sort]?.server;
+  const trimmedKeyword = (keyword || '').trim();
+  const refinements = useMemo(() => ({
+    ...JSON.parse(facetRefinementsKey),
+    ...(trimmedKeyword ? { keyword: trimmedKeyword } : {}),
+    // Date order is Ticketmaster's default, so it doesn't need a separate search.
+    ...(serverSort && sort !== 'date' ? { sort: serverSort } : {}),
+  }), [facetRefinementsKey, trimmedKeyword, serverSort, sort]);
+
+  const search = useEventSearch(api, searchParams, category, refinements);
+  // Facet counts come from results for the whole category: a keyword or a chip narrows them, a sort order doesn't.
+  const isRefined = facetRefinementsKey !== '{}' || Boolean(trimmedKeyword);
+  const hasResults = search.status === 'ok' || search.status === 'demo';
+
+  useEffect(() => {
+    if (isRefined || !hasResults || search.isRefreshing) return;
+    setBaseline({
+      searchParams,
+      category,
+      facets: Object.fromEntries(levels.map(level => [level, buildFacets(search.events, level)])),
+    });
+  }, [search.events, search.isRefreshing, isRefined, hasResults, searchParams, category, levels]);
+
+  // Before there is a baseline (e.g. a shared link with a chip already selected), use what's loaded.
+  const facets = useMemo(
+    () => baselineFacets || Object.fromEntries(levels.map(level => [level, buildFacets(search.events, level)])),
+    [baselineFacets, levels, search.events]
+  );
+  const selectedFacets = useMemo(() => resolveSelection(selectedKeys, levels.flatMap(level => facets[level])), [selectedKeys, facets, levels]);
+
+  return { ...search, facets, selectedFacets };
+}
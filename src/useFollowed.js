@@ -0,0 +1,35 @@
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { loadJSON, saveJSON } from './storage';
+
+/**
+ * A list of followed things (teams and artists, venues), persisted to localStorage under `storageKey`.
+ * Each entry is `{ id, name, followedAt }` plus whatever `toEntry(item)` adds; pass a function
+ * that doesn't change between renders.
+ * @param {string} storageKey
+ * @param {Function} [toEntry] - Picks the fields worth keeping from a followed item.
+ * @returns {{ followed: Array, isFollowing: Function, toggleFollow: Function, entries: Object }}
+ *   `followed` is sorted by name, so chips and searches built from it keep a stable order.
+ */
+export default function useFollowed(storageKey, toEntry = ({ id, name }) => ({ id, name })) {
+  // { [id]: { id, name, followedAt, ... } }
+  const [entries, setEntries] = useState(() => loadJSON(storageKey, {}));
+
+  useEffect(() => {
+    saveJSON(storageKey, entries);
+  }, [storageKey, entries]);
+
+  const isFollowing = useCallback((id) => Boolean(entries[id]), [entries]);
+
+  const toggleFollow = useCallback((item) => {
+    setEntries(previous => {
+      const next = { ...previous };
+      if (next[item.id]) delete next[item.id];
+      else next[item.id] = { ...toEntry(item), followedAt: Date.now() };
+      return next;
+    });
+  }, [toEntry]);
+
+  const followed = useMemo(() => Object.values(entries).sort((a, b) => a.name.localeCompare(b.name)), [entries]);
+
+  return { followed, isFollowing, toggleFollow, entries };
+}
@@ -0,0 +1,16 @@
+import { useCallback } from 'react';
+import useFollowed from './useFollowed';
+
+/**
+ * The teams and artists (Ticketmaster attractions) the user follows, persisted to localStorage.
+ * Their upcoming events, in any city, make up the Following tab; they are also highlighted in
+ * the Sports and Music lists.
+ */
+export default function useFollowedAttractions() {
+  const { followed, isFollowing, toggleFollow, entries } = useFollowed('followedAttractions');
+
+  // The followed attractions appearing in an event, if any.
+  const followedIn = useCallback((event) => (event.attractions || []).filter(attraction => entries[attraction.id]), [entries]);
+
+  return { followed, isFollowing, toggleFollow, followedIn };
+}
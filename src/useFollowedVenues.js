@@ -0,0 +1,13 @@
+import useFollowed from './useFollowed';
+
+// The whole venue is kept, so its page opens from the Following tab without loading it again.
+const toVenueEntry = (venue) => venue;
+
+/**
+ * The venues the user follows, persisted to localStorage. They are listed on the Following tab,
+ * each linking to its venue page.
+ */
+export default function useFollowedVenues() {
+  const { followed, isFollowing, toggleFollow } = useFollowed('followedVenues', toVenueEntry);
+  return { followed, isFollowing, toggleFollow };
+}
@@ -0,0 +1,49 @@
+import { useMemo, useCallback } from 'react';
+import useEventSearch from './useEventSearch';
+import { SOCIAL_SEGMENTS } from './eventProviders';
+
+// Statuses in order of preference when the three searches disagree; one working search is enough.
+const STATUS_PRIORITY = ['ok', 'demo', 'empty', 'error'];
+
+/**
+ * The Home feed's events: the first page of the Sports, Music and Social searches, merged.
+ * These are the same searches the module tabs run, so they share the search cache.
+ * @param {Object} api - The app's API service.
+ * @param {Object} searchParams
+ * @returns {{ events: Array, status: string, error: Object, isLoading: boolean, isRefreshing: boolean, lastUpdated: number, refresh: Function }}
+ *   `lastUpdated` is when the oldest of the three results was fetched.
+ */
+export default function useHomeFeed(api, searchParams) {
+  const sports = useEventSearch(api, searchParams, 'Sports');
+  const music = useEventSearch(api, searchParams, 'Music');
+  const social = useEventSearch(api, searchParams, SOCIAL_SEGMENTS);
+
+  const events = useMemo(() => {
+    const byId = new Map();
+    [sports.events, music.events, social.events].flat().forEach(event => byId.set(event.id, event));
+    return [...byId.values()];
+  }, [sports.events, music.events, social.events]);
+
+  const searches = [sports, music, social];
+  const status = STATUS_PRIORITY.find(candidate => searches.some(search => search.status === candidate)) || null;
+  const timestamps = searches.map(search => search.lastUpdated).filter(Boolean);
+
+  const { refresh: refreshSports } = sports;
+  const { refresh: refreshMusic } = music;
+  const { refresh: refreshSocial } = social;
+  const refresh = useCallback(() => {
+    refreshSports();
+    refreshMusic();
+    refreshSocial();
+  }, [refreshSports, refreshMusic, refreshSocial]);
+
+  return {
+    events,
+    status,
+    error: searches.find(search => search.error)?.error || null,
+    isLoading: searches.some(search => search.isLoading),
+    isRefreshing: searches.some(search => search.isRefreshing),
+    lastUpdated: timestamps.length ? Math.min(...timestamps) : null,
+    refresh,
+  };
+}
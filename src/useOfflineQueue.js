@@ -0,0 +1,27 @@
+import { useState, useEffect, useRef } from 'react';
+import offlineQueue from './offlineQueue';
+import useOnlineStatus from './useOnlineStatus';
+
+/**
+ * The app's offline queue (see offlineQueue.js) and how many actions are waiting in it.
+ * Pass `handlers` (keyed by action type) from the one component that replays the queue; it is
+ * flushed on mount and whenever the connection comes back. Other callers just read `pendingCount`.
+ * @param {Object<string, Function>} [handlers]
+ * @returns {{ pendingCount: number, enqueue: Function }}
+ */
+export default function useOfflineQueue(handlers) {
+  const [pendingCount, setPendingCount] = useState(() => offlineQueue.getPending().length);
+  const isOnline = useOnlineStatus();
+  // Handlers usually close over fresh state, so always flush with the latest ones.
+  const handlersRef = useRef(handlers);
+  handlersRef.current = handlers;
+  const canFlush = Boolean(handlers);
+
+  useEffect(() => offlineQueue.subscribe(actions => setPendingCount(actions.length)), []);
+
+  useEffect(() => {
+    if (canFlush && isOnline) offlineQueue.flush(handlersRef.current);
+  }, [canFlush, isOnline, pendingCount]);
+
+  return { pendingCount, enqueue: offlineQueue.enqueue };
+}
@@ -0,0 +1,22 @@
+import { useState, useEffect } from 'react';
+
+/**
+ * Whether the browser thinks it has a network connection. `navigator.onLine` can report true
+ * on a connection that goes nowhere, but false always means offline.
+ */
+export default function useOnlineStatus() {
+  const [isOnline, setIsOnline] = useState(() => navigator.onLine !== false);
+
+  useEffect(() => {
+    const handleOnline = () => setIsOnline(true);
+    const handleOffline = () => setIsOnline(false);
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, []);
+
+  return isOnline;
+}
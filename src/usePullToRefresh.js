@@ -0,0 +1,36 @@
+import { useState, useRef, useCallback } from 'react';
+
+// How far (in px) the user has to pull down from the top of the page to trigger a refresh.
+const PULL_THRESHOLD = 70;
+
+/**
+ * Touch-based pull-to-refresh for a scrollable screen.
+ * Spread `pullHandlers` onto the screen's container; `pullDistance` can drive an indicator.
+ * @param {Function} onRefresh - Called when the user pulls past the threshold and lets go.
+ */
+export default function usePullToRefresh(onRefresh) {
+  const [pullDistance, setPullDistance] = useState(0);
+  const startY = useRef(null);
+
+  const onTouchStart = useCallback((e) => {
+    // Only start a pull when the page is already scrolled to the top.
+    startY.current = window.scrollY === 0 ? e.touches[0].clientY : null;
+  }, []);
+
+  const onTouchMove = useCallback((e) => {
+    if (startY.current === null) return;
+    setPullDistance(Math.max(0, e.touches[0].clientY - startY.current));
+  }, []);
+
+  const onTouchEnd = useCallback(() => {
+    if (startY.current !== null && pullDistance > PULL_THRESHOLD) onRefresh();
+    startY.current = null;
+    setPullDistance(0);
+  }, [pullDistance, onRefresh]);
+
+  return {
+    pullHandlers: { onTouchStart, onTouchMove, onTouchEnd },
+    pullDistance,
+    isPastThreshold: pullDistance > PULL_THRESHOLD,
+  };
+}
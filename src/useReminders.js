@@ -0,0 +1,160 @@
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { loadJSON, saveJSON } from './storage';
+import { planAlerts, dueAlerts, detectChanges, isReminderExpired } from './reminders';
+import { showNotification, syncReminderSchedule } from './serviceWorkerRegistration';
+import useOnlineStatus from './useOnlineStatus';
+
+const REMINDERS_STORAGE_KEY = 'reminders';
+const FIRED_STORAGE_KEY = 'remindersFired';
+const CHECKED_AT_STORAGE_KEY = 'remindersCheckedAt';
+
+// How often reminded events are checked for a new date, a postponement or a cancellation.
+const CHECK_INTERVAL_MS = 6 * 60 * 60 * 1000;
+
+const currentPermission = () => (typeof Notification === 'undefined' ? 'unsupported' : Notification.permission);
+
+/**
+ * Event reminders ("2 hours before", "The day before", "When tickets go on sale"), persisted to
+ * localStorage. Entries are keyed by event id and hold a snapshot of the event, which is
+ * what alerts are planned from (see reminders.js). While the app is open, due alerts are shown
+ * every minute; the schedule is also handed to the service worker, which shows them while it's
+ * closed where the browser allows. Reminded events are re-checked every few hours, and a change
+ * is notified, updates the snapshot and is passed to `onEventChanged`.
+ * @param {{ fetchEventById: Function }} api
+ * @param {{ onEventChanged?: Function }} [options]
+ * @returns {{ reminders: Array, kindsFor: Function, setKinds: Function, remove: Function, checkForChanges: Function, isChecking: boolean, lastCheckedAt: number|null, permission: string, requestPermission: Function }}
+ *   `reminders` are { event, kinds, createdAt, lastChange? } soonest first; `permission` is
+ *   'unsupported', 'default', 'granted' or 'denied'.
+ */
+export default function useReminders(api, { onEventChanged } = {}) {
+  // { [eventId]: { event, kinds, createdAt, lastChange? } }
+  const [entries, setEntries] = useState(() => loadJSON(REMINDERS_STORAGE_KEY, {}));
+  // Tags of the alerts already shown, so each shows once.
+  const [fired, setFired] = useState(() => loadJSON(FIRED_STORAGE_KEY, []));
+  const firedRef = useRef(fired);
+  firedRef.current = fired;
+  const [lastCheckedAt, setLastCheckedAt] = useState(() => loadJSON(CHECKED_AT_STORAGE_KEY, null));
+  const [isChecking, setIsChecking] = useState(false);
+  const [permission, setPermission] = useState(currentPermission);
+  const isOnline = useOnlineStatus();
+
+  useEffect(() => {
+    saveJSON(REMINDERS_STORAGE_KEY, entries);
+  }, [entries]);
+
+  useEffect(() => {
+    saveJSON(FIRED_STORAGE_KEY, fired);
+  }, [fired]);
+
+  useEffect(() => {
+    saveJSON(CHECKED_AT_STORAGE_KEY, lastCheckedAt);
+  }, [lastCheckedAt]);
+
+  // Drop reminders for events that are over (checked on load and hourly).
+  useEffect(() => {
+    const dropExpired = () => setEntries(previous => {
+      const now = Date.now();
+      const expiredIds = Object.keys(previous).filter(id => isReminderExpired(previous[id].event, now));
+      if (expiredIds.length === 0) return previous;
+      const next = { ...previous };
+      expiredIds.forEach(id => { delete next[id]; });
+      return next;
+    });
+    dropExpired();
+    const interval = setInterval(dropExpired, 60 * 60 * 1000);
+    return () => clearInterval(interval);
+  }, []);
+
+  const alerts = useMemo(() => Object.values(entries).flatMap(entry => planAlerts(entry.event, entry.kinds)), [entries]);
+
+  // Hand the schedule to the service worker, and pick up what it showed while the app was closed.
+  useEffect(() => {
+    let cancelled = false;
+    syncReminderSchedule(alerts, firedRef.current).then(tags => {
+      if (cancelled) return;
+      // Alerts shown while the schedule was being handed over are kept.
+      const liveTags = alerts.map(alert => alert.tag);
+      const current = firedRef.current;
+      const next = [...new Set([...tags, ...current.filter(tag => liveTags.includes(tag))])];
+      if (next.length !== current.length || next.some(tag => !current.includes(tag))) setFired(next);
+    });
+    return () => { cancelled = true; };
+  }, [alerts]);
+
+  // Show due alerts now and every minute after.
+  useEffect(() => {
+    if (permission !== 'granted') return undefined;
+    const showDue = () => {
+      const due = dueAlerts(alerts, fired);
+      if (due.length === 0) return;
+      due.forEach(alert => showNotification(alert.title, alert));
+      setFired(previous => [...previous, ...due.map(alert => alert.tag)]);
+    };
+    showDue();
+    const interval = setInterval(showDue, 60 * 1000);
+    return () => clearInterval(interval);
+  }, [alerts, fired, permission]);
+
+  const checkForChanges = useCallback(async () => {
+    const ids = Object.keys(entries);
+    if (!navigator.onLine || ids.length === 0) return;
+    setIsChecking(true);
+    try {
+      const latest = await Promise.all(ids.map(id => api.fetchEventById(id)));
+      const checkedAt = Date.now();
+      const updates = {};
+      latest.forEach((event, index) => {
+        // An event that couldn't be loaded is left as it was, and tried again next time.
+        if (!event) return;
+        const entry = entries[ids[index]];
+        const changes = detectChanges(entry.event, event);
+        changes.forEach(change => showNotification(change.title, change));
+        if (changes.length > 0) onEventChanged?.(event);
+        updates[event.id] = { event: { ...entry.event, ...event }, lastChange: changes.length > 0 ? { ...changes[changes.length - 1], at: checkedAt } : entry.lastChange };
+      });
+      setEntries(previous => Object.fromEntries(Object.entries(previous).map(([id, entry]) => [id, updates[id] ? { ...entry, ...updates[id] } : entry])));
+      setLastCheckedAt(checkedAt);
+    } catch (error) {
+      // lastCheckedAt is left alone, so the check is due again as soon as it is re-armed.
+      console.error('Error checking reminders for changes:', error);
+    } finally {
+      // A failed lookup mustn't leave the screen saying it is still checking.
+      setIsChecking(false);
+    }
+  }, [api, entries, onEventChanged]);
+
+  // Check once the last check is old enough; re-armed after each check and on reconnecting.
+  useEffect(() => {
+    if (!isOnline || Object.keys(entries).length === 0) return undefined;
+    const timer = setTimeout(checkForChanges, Math.max(0, (lastCheckedAt || 0) + CHECK_INTERVAL_MS - Date.now()));
+    return () => clearTimeout(timer);
+  }, [checkForChanges, entries, isOnline, lastCheckedAt]);
+
+  const requestPermission = useCallback(async () => {
+    if (currentPermission() === 'unsupported') return;
+    setPermission(await Notification.requestPermission());
+  }, []);
+
+  const kindsFor = useCallback((eventId) => entries[eventId]?.kinds || [], [entries]);
+
+  // Picking the first reminder asks for notification permission, straight from the tap as browsers require.
+  const setKinds = useCallback((event, kinds) => {
+    if (kinds.length > 0 && currentPermission() === 'default') requestPermission();
+    setEntries(previous => {
+      const next = { ...previous };
+      if (kinds.length === 0) delete next[event.id];
+      else next[event.id] = { ...previous[event.id], event: { ...previous[event.id]?.event, ...event }, kinds, createdAt: previous[event.id]?.createdAt || Date.now() };
+      return next;
+    });
+  }, [requestPermission]);
+
+  const remove = useCallback((eventId) => setEntries(previous => {
+    const next = { ...previous };
+    delete next[eventId];
+    return next;
+  }), []);
+
+  const reminders = useMemo(() => Object.values(entries).sort((a, b) => new Date(a.event.date) - new Date(b.event.date)), [entries]);
+
+  return { reminders, kindsFor, setKinds, remove, checkForChanges, isChecking, lastCheckedAt, permission, requestPermission };
+}
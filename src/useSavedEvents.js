@@ -0,0 +1,86 @@
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { loadJSON, saveJSON } from './storage';
+import { cacheImagesForOffline } from './serviceWorkerRegistration';
+import offlineQueue from './offlineQueue';
+
+const SAVED_EVENTS_STORAGE_KEY = 'savedEvents';
+
+// An event is archived once the day it happens on is over.
+const isPast = (event, now) => new Date(event.date) < new Date(now).setHours(0, 0, 0, 0);
+
+/**
+ * Saved events ("My Events"), persisted to localStorage.
+ * Entries are keyed by event id and hold a snapshot of the event as it was when saved,
+ * so the Saved tab works without refetching. Past events are archived automatically.
+ * An entry can also hold the night plan ("Plan My Night" itinerary) saved with the event.
+ * Saved events' images are cached by the service worker, so the Saved tab still has them offline.
+ * An event saved while offline may come from stale cached results, so a `refreshSavedEvent`
+ * action is queued to update it (see useOfflineQueue in App) once the app reconnects.
+ */
+export default function useSavedEvents() {
+  // { [eventId]: { event, savedAt, archived, plan? } }
+  const [entries, setEntries] = useState(() => loadJSON(SAVED_EVENTS_STORAGE_KEY, {}));
+
+  useEffect(() => {
+    saveJSON(SAVED_EVENTS_STORAGE_KEY, entries);
+  }, [entries]);
+
+  // Archive anything whose date has passed since it was saved (checked on load and hourly).
+  useEffect(() => {
+    const archivePastEvents = () => setEntries(previous => {
+      const now = Date.now();
+      const pastIds = Object.keys(previous).filter(id => !previous[id].archived && isPast(previous[id].event, now));
+      if (pastIds.length === 0) return previous;
+      const next = { ...previous };
+      pastIds.forEach(id => { next[id] = { ...next[id], archived: true }; });
+      return next;
+    });
+    archivePastEvents();
+    const interval = setInterval(archivePastEvents, 60 * 60 * 1000);
+    return () => clearInterval(interval);
+  }, []);
+
+  const isSaved = useCallback((eventId) => Boolean(entries[eventId]), [entries]);
+
+  const toggleSaved = useCallback((event) => {
+    if (!entries[event.id]) {
+      cacheImagesForOffline([event.imageUrl, event.googleData?.photoUrl]);
+      if (!navigator.onLine) offlineQueue.enqueue({ type: 'refreshSavedEvent', key: event.id, payload: { eventId: event.id } });
+    }
+    setEntries(previous => {
+      const next = { ...previous };
+      if (next[event.id]) delete next[event.id];
+      else next[event.id] = { event, savedAt: Date.now(), archived: isPast(event, Date.now()) };
+      return next;
+    });
+  }, [entries]);
+
+  // Updates the snapshot of an event that is still saved with its latest listing.
+  // Fields only a search adds (like `distance`) are kept from the old snapshot.
+  const refreshSavedEvent = useCallback((event) => {
+    cacheImagesForOffline([event.imageUrl, event.googleData?.photoUrl]);
+    setEntries(previous => (previous[event.id]
+      ? { ...previous, [event.id]: { ...previous[event.id], event: { ...previous[event.id].event, ...event } } }
+      : previous));
+  }, []);
+
+  const getPlan = useCallback((eventId) => entries[eventId]?.plan || null, [entries]);
+
+  // Saving a plan also saves its event, if it wasn't saved already.
+  const savePlan = useCallback((event, plan) => {
+    setEntries(previous => ({
+      ...previous,
+      [event.id]: { event, savedAt: Date.now(), archived: isPast(event, Date.now()), ...previous[event.id], plan },
+    }));
+  }, []);
+
+  const { upcoming, archived } = useMemo(() => {
+    const sorted = Object.values(entries).sort((a, b) => new Date(a.event.date) - new Date(b.event.date));
+    return {
+      upcoming: sorted.filter(entry => !entry.archived).map(entry => entry.event),
+      archived: sorted.filter(entry => entry.archived).map(entry => entry.event).reverse(),
+    };
+  }, [entries]);
+
+  return { upcoming, archived, isSaved, toggleSaved, refreshSavedEvent, getPlan, savePlan };
+}
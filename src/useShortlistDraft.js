@@ -0,0 +1,46 @@
+import { useState, useEffect, useCallback } from 'react';
+import { loadJSON, saveJSON } from './storage';
+import { MAX_SHORTLIST_EVENTS } from './shortlist';
+
+const DRAFT_STORAGE_KEY = 'shortlistDraft';
+const SHARED_STORAGE_KEY = 'sharedShortlists';
+
+// How many shared shortlists the Plan with friends screen remembers.
+const MAX_SHARED_SHORTLISTS = 10;
+
+/**
+ * The "Plan with friends" shortlist being put together, and the shortlists already shared from
+ * this device, persisted to localStorage.
+ * @returns {{ events: Array, isShortlisted: Function, toggleShortlisted: Function, isFull: boolean, clear: Function, shared: Array, rememberShared: Function }}
+ *   `events` are full event snapshots, in the order they were added. `shared` entries are
+ *   `{ id, title, data, createdAt }`, newest first, where `data` is the encoded shortlist for its link.
+ */
+export default function useShortlistDraft() {
+  const [events, setEvents] = useState(() => loadJSON(DRAFT_STORAGE_KEY, []));
+  const [shared, setShared] = useState(() => loadJSON(SHARED_STORAGE_KEY, []));
+
+  useEffect(() => {
+    saveJSON(DRAFT_STORAGE_KEY, events);
+  }, [events]);
+
+  useEffect(() => {
+    saveJSON(SHARED_STORAGE_KEY, shared);
+  }, [shared]);
+
+  const isShortlisted = useCallback((eventId) => events.some(event => event.id === eventId), [events]);
+
+  const toggleShortlisted = useCallback((event) => {
+    setEvents(previous => {
+      if (previous.some(existing => existing.id === event.id)) return previous.filter(existing => existing.id !== event.id);
+      return previous.length < MAX_SHORTLIST_EVENTS ? [...previous, event] : previous;
+    });
+  }, []);
+
+  const clear = useCallback(() => setEvents([]), []);
+
+  const rememberShared = useCallback((entry) => {
+    setShared(previous => [entry, ...previous.filter(existing => existing.id !== entry.id)].slice(0, MAX_SHARED_SHORTLISTS));
+  }, []);
+
+  return { events, isShortlisted, toggleShortlisted, isFull: events.length >= MAX_SHORTLIST_EVENTS, clear, shared, rememberShared };
+}
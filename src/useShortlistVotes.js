@@ -0,0 +1,80 @@
+import { useState, useEffect, useCallback } from 'react';
+import { loadJSON, saveJSON } from './storage';
+import { createId, upsertVote } from './shortlist';
+import offlineQueue from './offlineQueue';
+import useOfflineQueue from './useOfflineQueue';
+
+const VOTER_STORAGE_KEY = 'voter';
+
+// How often an open shortlist checks for other people's votes.
+const POLL_INTERVAL_MS = 15 * 1000;
+
+/**
+ * The votes on a shared shortlist, kept up to date from a sync backend (see shortlistSync.js),
+ * and this device's voter. A vote cast offline, or that fails to send, is queued as a
+ * `castShortlistVote` action (see useOfflineQueue in App) and shown straight away.
+ * @param {{ loadVotes: Function, castVote: Function }} backend
+ * @param {string} shortlistId
+ * @returns {{ votes: Array, status: 'loading'|'ok'|'error', voterName: string, setVoterName: Function, myVote: string|null, isVotePending: boolean, castVote: Function }}
+ *   `status` is 'error' only if the votes have never loaded. `castVote(eventId)` needs a voter name.
+ */
+export default function useShortlistVotes(backend, shortlistId) {
+  // One voter id per device; the name is asked for once and reused on every shortlist.
+  const [voter, setVoter] = useState(() => loadJSON(VOTER_STORAGE_KEY, null) || { id: createId(), name: '' });
+  const [serverVotes, setServerVotes] = useState([]);
+  const [status, setStatus] = useState('loading');
+  const { pendingCount, enqueue } = useOfflineQueue();
+
+  useEffect(() => {
+    saveJSON(VOTER_STORAGE_KEY, voter);
+  }, [voter]);
+
+  const load = useCallback(async () => {
+    try {
+      setServerVotes(await backend.loadVotes(shortlistId));
+      setStatus('ok');
+    } catch (error) {
+      console.error(`Error loading the votes for shortlist ${shortlistId}:`, error);
+      setStatus(current => (current === 'ok' ? current : 'error'));
+    }
+  }, [backend, shortlistId]);
+
+  // Reloads on a timer, and whenever the offline queue changes (e.g. a queued vote has been sent).
+  useEffect(() => {
+    load();
+    const timer = setInterval(load, POLL_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [load, pendingCount]);
+
+  const pendingVote = offlineQueue.getPending().find(action => action.type === 'castShortlistVote' && action.key === shortlistId)?.payload.vote;
+  const votes = pendingVote ? upsertVote(serverVotes, pendingVote) : serverVotes;
+
+  const castVote = async (eventId) => {
+    const vote = { voterId: voter.id, name: voter.name.trim(), eventId };
+    if (!vote.name) return;
+    const queueVote = () => enqueue({ type: 'castShortlistVote', key: shortlistId, payload: { shortlistId, vote } });
+    setServerVotes(previous => upsertVote(previous, vote));
+    if (!navigator.onLine) {
+      queueVote();
+      return;
+    }
+    try {
+      setServerVotes(await backend.castVote(shortlistId, vote));
+    } catch (error) {
+      console.error(`Error voting on shortlist ${shortlistId}:`, error);
+      queueVote();
+    }
+  };
+
+  const setVoterName = useCallback((name) => setVoter(previous => ({ ...previous, name })), []);
+
+  return {
+    votes,
+    status,
+    voterName: voter.name,
+    setVoterName,
+    myVote: votes.find(vote => vote.voterId === voter.id)?.eventId || null,
+    isVotePending: Boolean(pendingVote),
+    castVote,
+  };
+}
@@ -0,0 +1,32 @@
+import { useState, useEffect, useCallback } from 'react';
+import { loadJSON, saveJSON } from './storage';
+import { createSignal, addSignal, addDismissal } from './recommendations';
+
+const TASTE_SIGNALS_STORAGE_KEY = 'tasteSignals';
+const DISMISSALS_STORAGE_KEY = 'tasteDismissals';
+
+/**
+ * The signals that rank the Home feed (see recommendations.js), persisted to localStorage.
+ * `record(kind, source)` adds one: 'open' or 'save' with an event, 'filter' with the chips
+ * selected (facets), or 'notInterested' with the event to hide. Hidden events are also kept in
+ * `dismissals`, which the signal cap doesn't touch.
+ */
+export default function useTasteProfile() {
+  const [signals, setSignals] = useState(() => loadJSON(TASTE_SIGNALS_STORAGE_KEY, []));
+  const [dismissals, setDismissals] = useState(() => loadJSON(DISMISSALS_STORAGE_KEY, []));
+
+  useEffect(() => {
+    saveJSON(TASTE_SIGNALS_STORAGE_KEY, signals);
+  }, [signals]);
+
+  useEffect(() => {
+    saveJSON(DISMISSALS_STORAGE_KEY, dismissals);
+  }, [dismissals]);
+
+  const record = useCallback((kind, source) => {
+    setSignals(previous => addSignal(previous, createSignal(kind, source)));
+    if (kind === 'notInterested') setDismissals(previous => addDismissal(previous, source));
+  }, []);
+
+  return { signals, dismissals, record };
+}
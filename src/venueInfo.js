@@ -0,0 +1,30 @@
+// --- Venue info ---
+// Helpers for showing the normalised venue object (see normaliseTicketmasterVenue in App.js).
+
+/**
+ * A venue's address on one line, e.g. "1000 Chopper Cir, Denver, CO". Missing parts are left out.
+ * @param {{ line1?: string, city?: string, stateCode?: string }} [address]
+ */
+export const formatVenueAddress = (address) => [address?.line1, address?.city, address?.stateCode].filter(Boolean).join(', ');
+
+// The venue notes, in the order the venue screen lists them.
+const NOTE_LABELS = {
+  parking: 'Parking',
+  accessibility: 'Accessibility',
+  boxOffice: 'Box office',
+  general: 'Venue rules',
+  children: 'Children',
+};
+
+/**
+ * The notes a venue has filled in, labelled for display.
+ * @returns {Array<{ key: string, label: string, text: string }>}
+ */
+export const venueNotes = (venue) => Object.entries(NOTE_LABELS)
+  .filter(([key]) => venue?.notes?.[key])
+  .map(([key, label]) => ({ key, label, text: venue.notes[key].trim() }));
+
+/**
+ * "Capacity 19,520", or null when the venue doesn't say.
+ */
+export const formatCapacity = (venue) => (venue?.capacity ? `Capacity ${venue.capacity.toLocaleString('en-US')}` : null);
@@ -0,0 +1,18 @@
+import { formatVenueAddress, venueNotes, formatCapacity } from './venueInfo';
+
+test('formats addresses without the missing parts', () => {
+  expect(formatVenueAddress({ line1: '1000 Chopper Cir', city: 'Denver', stateCode: 'CO' })).toBe('1000 Chopper Cir, Denver, CO');
+  expect(formatVenueAddress({ line1: null, city: 'Morrison', stateCode: 'CO' })).toBe('Morrison, CO');
+  expect(formatVenueAddress(undefined)).toBe('');
+});
+
+test('lists the notes a venue has, in a fixed order', () => {
+  const venue = { notes: { general: 'No outside food. ', parking: 'Lots open 2 hours before.', accessibility: null }, capacity: 19520 };
+  expect(venueNotes(venue)).toEqual([
+    { key: 'parking', label: 'Parking', text: 'Lots open 2 hours before.' },
+    { key: 'general', label: 'Venue rules', text: 'No outside food.' },
+  ]);
+  expect(venueNotes({})).toEqual([]);
+  expect(formatCapacity(venue)).toBe('Capacity 19,520');
+  expect(formatCapacity({ capacity: null })).toBeNull();
+});